@@ -1,148 +1,580 @@
-import React, { useState, useEffect } from 'react';
-import { auth, firestore } from './firebase';
+import React, { useState, useEffect, useMemo } from 'react';
+import { auth } from './firebase';
 import {
   GoogleAuthProvider,
   signInWithPopup,
   onAuthStateChanged,
   signOut,
 } from 'firebase/auth';
+import service from './data';
+import { LEGACY_ID, getTodayDate } from './data/peerReviewService';
+import { validateBackup, countBackupRecords } from './data/backup';
+import { EXPORT_FORMATS, CSV_DELIMITERS, exportOverview } from './export';
+import RubricEditor from './RubricEditor';
+import { ROLE_LABELS, roleDocId, hasPermission, getManageableRoles } from './roles';
+import BulkAllocationPanel from './BulkAllocationPanel';
+import { REVIEW_STATUS_LABELS, RETURN_REASONS, getStaleReviews, isActiveReview, isEligibleReviewer } from './allocation';
+import ReliabilityPanel from './ReliabilityPanel';
+import DashboardPanel from './DashboardPanel';
+import HelpfulnessPanel from './HelpfulnessPanel';
+import ReviewThread from './ReviewThread';
+import { getThreadRole, isThreadUnread } from './threads';
+import AuditLogPanel from './AuditLogPanel';
+import { AUDIT_LOG_PAGE_SIZE, getAuditQuery } from './audit';
 import {
-  collection,
-  doc,
-  getDocs,
-  setDoc,
-  addDoc,
-  updateDoc,
-  deleteDoc,
-  query,
-  where,
-  onSnapshot,
-} from 'firebase/firestore';
+  FILTER_FIELDS,
+  OVERVIEW_STATUS_LABELS,
+  applyOverviewFilters,
+  describeFilter,
+  isEmptyFilter,
+  sortOverviewRows,
+  toggleSortKey,
+} from './overviewFilters';
+import {
+  hasRubric,
+  getRubricMaxScore,
+  computeRubricTotal,
+  getCriteriaBreakdown,
+} from './rubric';
+import {
+  ANONYMITY_MODES,
+  getAnonymity,
+  canAuthorSeeReviewer,
+  canReviewerSeeAuthor,
+  getReviewerAlias,
+  getAuthorAlias,
+} from './anonymity';
+import {
+  DEADLINE_FIELDS,
+  PHASE_LABELS,
+  getEffectiveDeadlines,
+  getPhase,
+  isClosed,
+  isSubmissionOpen,
+  isReviewOpen,
+  formatCountdown,
+  formatDeadline,
+  validateDeadlines,
+} from './phases';
+import {
+  AGGREGATIONS,
+  HELPFULNESS_MIN,
+  HELPFULNESS_MAX,
+  getGrading,
+  computeGrade,
+  compareVersionGrades,
+  getEffectiveScore,
+} from './grading';
+import { getSubmissionVersion, getReviewVersion, isCurrentVersionReview, groupReviewsByVersion } from './versions';
 
 // The peer review application integrates Firebase Authentication
 // and Firestore to persist data. Students authenticate using their
-// Google accounts, and the configured administrator account has
-// access to additional controls such as managing global settings
-// and exporting or deleting all data.
+// Google accounts. Staff members listed in the `roles` collection
+// (owners, teachers and teaching assistants) get access to the
+// admin panel, where depending on their role they can manage
+// courses and assignments (each with its own settings), staff,
+// and export or delete data.
+
+// Settings used for a new assignment and whenever no assignment is selected
+const DEFAULT_SETTINGS = {
+  reviewsPerSubmission: 3,
+  maxScore: 100,
+};
+
+// The overview table renders only the rows scrolled into view: a window of
+// OVERVIEW_WINDOW_ROWS rows starting OVERVIEW_OVERSCAN rows above the
+// visible ones. Rows outside it are replaced by spacers sized by the
+// measured average row height, starting from the estimate.
+const OVERVIEW_WINDOW_ROWS = 60;
+const OVERVIEW_OVERSCAN = 15;
+const OVERVIEW_ROW_HEIGHT_ESTIMATE = 56;
 
-const ADMIN_EMAIL = 'gunka.daniel@gmail.com';
+// A backup counts as fresh for wiping all data this long after download
+const BACKUP_FRESH_MS = 15 * 60 * 1000;
+
+// How long a deletion can be undone from the notice after it
+const UNDO_WINDOW_MS = 10 * 1000;
+
+// Offer content as a file download through a temporary link
+const downloadFile = (content, mimeType, fileName) => {
+  const blob = new Blob([content], { type: mimeType });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.setAttribute('download', fileName);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+// Columns of the overview table shown until the user changes them. Saved
+// preferences are merged over these so new columns appear by default.
+const DEFAULT_COLUMN_VISIBILITY = {
+  submissionDate: false,
+  pickupDate: false,
+  correctionDate: false,
+  link: true,
+  score: true,
+  grade: true,
+  comment: true,
+  reviewer: true,
+  status: true,
+  sender: true,
+};
 
 const App = () => {
   // Combined state for database data loaded from Firestore
   const [dbData, setDbData] = useState({
+    courses: [],
+    assignments: [],
     submissions: [],
     reviews: [],
-    settings: {
-      reviewsPerSubmission: 3,
-      maxScore: 100,
-    },
   });
   // Authenticated user (Firebase user object)
   const [currentUser, setCurrentUser] = useState(null);
-  // True when the authenticated user has administrator privileges
-  const [isTeacher, setIsTeacher] = useState(false);
+  // Staff role of the authenticated user ('owner', 'teacher', 'ta'), null for students
+  const [role, setRole] = useState(null);
+  // Staff members (roles documents), loaded only for users who manage staff
+  const [staff, setStaff] = useState([]);
+  // Whether an owner has already claimed the application; null until known
+  const [ownerClaimed, setOwnerClaimed] = useState(null);
   // Tab selection
   const [activeTab, setActiveTab] = useState('tab1');
   // UI modal state variables
   const [reviewModalOpen, setReviewModalOpen] = useState(false);
   const [confirmModalOpen, setConfirmModalOpen] = useState(false);
-  const [currentReviewId, setCurrentReviewId] = useState(null);
+  // Review open in the review modal
+  const [currentReview, setCurrentReview] = useState(null);
   const [reviewScore, setReviewScore] = useState('');
   const [reviewComment, setReviewComment] = useState('');
+  // Per-criterion input of the review modal: { [criterionId]: { score, comment } }
+  const [reviewCriteria, setReviewCriteria] = useState({});
   const [confirmMessage, setConfirmMessage] = useState('');
   const [pendingConfirmAction, setPendingConfirmAction] = useState(null);
   const [detailModalOpen, setDetailModalOpen] = useState(false);
   const [currentSubmissionId, setCurrentSubmissionId] = useState(null);
+  // Submission the author is uploading a revised version of
+  const [resubmitSubmissionId, setResubmitSubmissionId] = useState(null);
+  // Assigned review the reviewer is giving back
+  const [returnReviewId, setReturnReviewId] = useState(null);
+  // Staff row action of the overview in progress: { kind: 'override' |
+  // 'assign' | 'move', submissionId, reviewId }
+  const [staffAction, setStaffAction] = useState(null);
+  // Ids of the overview rows selected for a bulk action, and the progress
+  // of a running batched write: { label, done, total }
+  const [selectedRows, setSelectedRows] = useState([]);
+  const [bulkProgress, setBulkProgress] = useState(null);
   // Column visibility persists locally to avoid storing UI preferences in Firestore
   const [columnVisibility, setColumnVisibility] = useState(() => {
     try {
       const saved = localStorage.getItem('columnVisibility');
-      return saved
-        ? JSON.parse(saved)
-        : {
-            submissionDate: false,
-            pickupDate: false,
-            correctionDate: false,
-            link: true,
-            score: true,
-            comment: true,
-            reviewer: true,
-            status: true,
-            sender: true,
-          };
+      return saved ? { ...DEFAULT_COLUMN_VISIBILITY, ...JSON.parse(saved) } : DEFAULT_COLUMN_VISIBILITY;
     } catch {
-      return {
-        submissionDate: false,
-        pickupDate: false,
-        correctionDate: false,
-        link: true,
-        score: true,
-        comment: true,
-        reviewer: true,
-        status: true,
-        sender: true,
-      };
+      return DEFAULT_COLUMN_VISIBILITY;
     }
   });
-  // Sorting and filtering states for admin panel
-  const [filterMenu, setFilterMenu] = useState({ column: null, open: false, value: '' });
-  const [sort, setSort] = useState({ column: null, direction: 'none' });
+  // Assignment the user currently works with; remembered between visits
+  const [selectedAssignmentId, setSelectedAssignmentId] = useState(
+    () => localStorage.getItem('selectedAssignmentId') || null
+  );
+  // Current time, refreshed every half a minute to drive phase countdowns
+  const [now, setNow] = useState(() => Date.now());
+  // Filters ({ field: value }) and sort keys ([{ column, direction }]) of
+  // the admin overview (see overviewFilters.js), the field picked in the
+  // filter editor and the views saved in the user's profile
+  const [filters, setFilters] = useState({});
+  const [sortKeys, setSortKeys] = useState([]);
+  const [filterField, setFilterField] = useState(FILTER_FIELDS[0].key);
+  const [overviewViews, setOverviewViews] = useState([]);
+  // Scroll position of the overview table and the average height of its
+  // rendered rows, which place the window of rendered rows
+  const [overviewScrollTop, setOverviewScrollTop] = useState(0);
+  const [overviewRowHeight, setOverviewRowHeight] = useState(OVERVIEW_ROW_HEIGHT_ESTIMATE);
+  // Format of the overview export ('xlsx', 'csv' or 'json')
+  const [exportFormat, setExportFormat] = useState('xlsx');
+  // When the user last downloaded a backup in this session
+  const [lastBackupAt, setLastBackupAt] = useState(null);
+  // Last deletion that can still be undone: { message, undo }
+  const [undoNotice, setUndoNotice] = useState(null);
+  // Deleted submissions and reviews of the selected assignment (staff only)
+  const [trash, setTrash] = useState({ submissions: [], reviews: [] });
+  // Messages of the discussion threads on screen: { [reviewId]: [message] }
+  const [threadMessages, setThreadMessages] = useState({});
+  // Review whose thread is open on the reviewer's card in tab 2
+  const [openThreadReviewId, setOpenThreadReviewId] = useState(null);
+  // When the user last read each thread: { [reviewId]: lastMessageAt seen }
+  const [threadReads, setThreadReads] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem('threadReads')) || {};
+    } catch {
+      return {};
+    }
+  });
+  // Counts of records stored before assignments existed, waiting to be
+  // moved into an assignment: { submissions, reviews } or null
+  const [legacyData, setLegacyData] = useState(null);
+  // Audit log entries shown on the history tab (staff only), whether the
+  // entries not tied to an assignment are shown instead, the timeline
+  // filters and how many entries are loaded
+  const [auditLog, setAuditLog] = useState([]);
+  const [auditGeneral, setAuditGeneral] = useState(false);
+  const [auditFilters, setAuditFilters] = useState({ person: '', submissionId: '', action: '' });
+  const [auditCount, setAuditCount] = useState(AUDIT_LOG_PAGE_SIZE);
 
   // Subscribe to Firebase Authentication state changes
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, (user) => {
       setCurrentUser(user);
-      setIsTeacher(user?.email === ADMIN_EMAIL);
     });
     return () => unsubscribe();
   }, []);
 
-  // Subscribe to Firestore collections/documents on mount
+  // Subscribe to the role of the signed-in user and to the bootstrap marker
+  // telling whether the application already has an owner
   useEffect(() => {
-    // Submissions collection
-    const unsubscribeSubmissions = onSnapshot(
-      collection(firestore, 'submissions'),
-      (snapshot) => {
-        const submissions = snapshot.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }));
-        setDbData((prev) => ({ ...prev, submissions }));
-      }
+    if (!currentUser) {
+      setRole(null);
+      return undefined;
+    }
+    const unsubscribeRole = service.subscribeRole(currentUser.email, setRole, () => setRole(null));
+    const unsubscribeBootstrap = service.subscribeOwnerClaimed(setOwnerClaimed);
+    return () => {
+      unsubscribeRole();
+      unsubscribeBootstrap();
+    };
+  }, [currentUser]);
+
+  // Staff members managing other staff need the full roles list
+  useEffect(() => {
+    if (!hasPermission(role, 'manageStaff')) {
+      setStaff([]);
+      return undefined;
+    }
+    return service.subscribeStaff(setStaff);
+  }, [role]);
+
+  // Teachers are offered to migrate records left over from the version
+  // without assignments
+  useEffect(() => {
+    if (!hasPermission(role, 'manageAssignments')) {
+      setLegacyData(null);
+      return;
+    }
+    service
+      .findLegacyData()
+      .then(setLegacyData)
+      .catch((error) => console.error('Failed to check legacy data:', error));
+  }, [role]);
+
+  // Role based access; students have no role
+  const isStaff = hasPermission(role, 'viewAdmin');
+  const can = (permission) => hasPermission(role, permission);
+
+  // Subscribe to stored data once signed in; the security rules reject
+  // reads of anonymous visitors
+  useEffect(() => {
+    if (!currentUser) return undefined;
+    const unsubscribeCourses = service.subscribeCourses((courses) =>
+      setDbData((prev) => ({ ...prev, courses }))
     );
-    // Reviews collection
-    const unsubscribeReviews = onSnapshot(
-      collection(firestore, 'reviews'),
-      (snapshot) => {
-        const reviews = snapshot.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }));
-        setDbData((prev) => ({ ...prev, reviews }));
-      }
+    // Each assignment carries its own settings
+    const unsubscribeAssignments = service.subscribeAssignments((assignments) =>
+      setDbData((prev) => ({ ...prev, assignments }))
     );
-    // Settings document (single document with id "global")
-    const settingsDocRef = doc(firestore, 'settings', 'global');
-    const unsubscribeSettings = onSnapshot(settingsDocRef, (docSnap) => {
-      if (docSnap.exists()) {
-        setDbData((prev) => ({ ...prev, settings: docSnap.data() }));
-      }
-    });
     return () => {
-      unsubscribeSubmissions();
-      unsubscribeReviews();
-      unsubscribeSettings();
+      unsubscribeCourses();
+      unsubscribeAssignments();
     };
+  }, [currentUser]);
+
+  // Staff load submissions and reviews of the selected assignment only,
+  // students never load more than their own work and the works they review
+  const dataScope = isStaff ? selectedAssignmentId : null;
+  const reviewedSubmissionIds =
+    currentUser && !isStaff
+      ? [...new Set(dbData.reviews.filter((r) => r.reviewer === currentUser.email).map((r) => r.submissionId))]
+          .sort()
+          .join(',')
+      : '';
+
+  // Subscribe to reviews. Staff see those of the selected assignment;
+  // students only the reviews they write and the reviews of their own work.
+  useEffect(() => {
+    if (!currentUser) return undefined;
+    return service.subscribeReviews({ assignmentId: dataScope, email: currentUser.email, isStaff }, (reviews) =>
+      setDbData((prev) => ({ ...prev, reviews }))
+    );
+  }, [currentUser, isStaff, dataScope]);
+
+  // Subscribe to submissions. Students follow their own submissions and
+  // those they were assigned to review.
+  useEffect(() => {
+    if (!currentUser) return undefined;
+    return service.subscribeSubmissions(
+      {
+        assignmentId: dataScope,
+        email: currentUser.email,
+        isStaff,
+        reviewedIds: reviewedSubmissionIds ? reviewedSubmissionIds.split(',') : [],
+      },
+      (submissions) => setDbData((prev) => ({ ...prev, submissions }))
+    );
+  }, [currentUser, isStaff, dataScope, reviewedSubmissionIds]);
+
+  // Follow the threads on screen: the reviews in the detail modal and the
+  // thread open in tab 2. Students get the messages staff did not hide.
+  const visibleThreadIds = [
+    ...(detailModalOpen ? dbData.reviews.filter((r) => r.submissionId === currentSubmissionId).map((r) => r.id) : []),
+    ...(openThreadReviewId ? [openThreadReviewId] : []),
+  ].join(',');
+  useEffect(() => {
+    if (!visibleThreadIds) {
+      setThreadMessages({});
+      return undefined;
+    }
+    const unsubscribers = [...new Set(visibleThreadIds.split(','))].map((reviewId) =>
+      service.subscribeThread(
+        reviewId,
+        { isStaff },
+        (messages) => setThreadMessages((prev) => ({ ...prev, [reviewId]: messages })),
+        (error) => console.error('Failed to load thread:', error)
+      )
+    );
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [visibleThreadIds, isStaff]);
+
+  // Shown threads count as read up to their latest message, even when
+  // that one is hidden from the reader
+  const visibleThreadStamps = [...new Set(visibleThreadIds.split(',').filter(Boolean))]
+    .map((reviewId) => {
+      const review = dbData.reviews.find((r) => r.id === reviewId);
+      return review && review.lastMessageAt ? `${reviewId}=${review.lastMessageAt}` : '';
+    })
+    .filter(Boolean)
+    .join(',');
+  useEffect(() => {
+    if (!visibleThreadStamps) return;
+    const stamps = visibleThreadStamps.split(',').map((entry) => entry.split('='));
+    setThreadReads((prev) =>
+      stamps.every(([reviewId, at]) => prev[reviewId] === at) ? prev : { ...prev, ...Object.fromEntries(stamps) }
+    );
+  }, [visibleThreadStamps]);
+
+  // Staff on the admin panel follow the trash of the selected assignment
+  useEffect(() => {
+    if (!isStaff || activeTab !== 'tab3' || !selectedAssignmentId) {
+      setTrash({ submissions: [], reviews: [] });
+      return undefined;
+    }
+    return service.subscribeTrash(selectedAssignmentId, setTrash);
+  }, [isStaff, activeTab, selectedAssignmentId]);
+
+  // Staff on the history tab follow the audit log of the selected
+  // assignment, the general entries or the history the filters ask for
+  // (see getAuditQuery). A new query starts again with one page.
+  const auditQuery = JSON.stringify(getAuditQuery(auditGeneral ? null : selectedAssignmentId || null, auditFilters));
+  useEffect(() => setAuditCount(AUDIT_LOG_PAGE_SIZE), [auditQuery]);
+  useEffect(() => {
+    if (!isStaff || activeTab !== 'tab5') {
+      setAuditLog([]);
+      return undefined;
+    }
+    return service.subscribeAuditLog(JSON.parse(auditQuery), auditCount, setAuditLog, (error) =>
+      console.error('Failed to load audit log:', error)
+    );
+  }, [isStaff, activeTab, auditQuery, auditCount]);
+
+  // The undo notice disappears after a short while
+  useEffect(() => {
+    if (!undoNotice) return undefined;
+    const timeout = setTimeout(() => setUndoNotice(null), UNDO_WINDOW_MS);
+    return () => clearTimeout(timeout);
+  }, [undoNotice]);
+
+  // Tick the clock used for phase checks and countdowns
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(interval);
   }, []);
 
+  // Staff keep their saved overview views in their profile, so they follow
+  // them across devices
+  useEffect(() => {
+    if (!currentUser || !isStaff) {
+      setOverviewViews([]);
+      return undefined;
+    }
+    return service.subscribeProfile(
+      currentUser.email,
+      (profile) => setOverviewViews((profile && profile.overviewViews) || []),
+      (error) => console.error('Failed to load profile:', error)
+    );
+  }, [currentUser, isStaff]);
+
   // Persist column visibility to localStorage whenever it changes
   useEffect(() => {
     localStorage.setItem('columnVisibility', JSON.stringify(columnVisibility));
   }, [columnVisibility]);
 
-  // Utility to get today's date as YYYY-MM-DD
-  const getTodayDate = () => {
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-    const day = String(today.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+  // Persist the read state of discussion threads
+  useEffect(() => {
+    localStorage.setItem('threadReads', JSON.stringify(threadReads));
+  }, [threadReads]);
+
+  // Persist the selected assignment to localStorage whenever it changes
+  useEffect(() => {
+    if (selectedAssignmentId) {
+      localStorage.setItem('selectedAssignmentId', selectedAssignmentId);
+    } else {
+      localStorage.removeItem('selectedAssignmentId');
+    }
+  }, [selectedAssignmentId]);
+
+  // Scroll the overview table back to its top whenever its rows change
+  useEffect(() => {
+    const table = document.getElementById('overview-table');
+    if (table) table.scrollTop = 0;
+    setOverviewScrollTop(0);
+  }, [selectedAssignmentId, filters, sortKeys]);
+
+  // The bulk selection belongs to the rows of one assignment and filter
+  useEffect(() => {
+    setSelectedRows([]);
+  }, [selectedAssignmentId, filters]);
+
+  // Keep the selection pointing at an existing assignment. Students can only
+  // work with active assignments, so an archived selection falls back to the
+  // first active one.
+  useEffect(() => {
+    const selected = dbData.assignments.find((a) => a.id === selectedAssignmentId);
+    if (selected && (isStaff || !selected.archived)) return;
+    const fallback = dbData.assignments.find((a) => !a.archived) || (isStaff ? dbData.assignments[0] : null);
+    const fallbackId = fallback ? fallback.id : null;
+    if (fallbackId !== selectedAssignmentId) setSelectedAssignmentId(fallbackId);
+  }, [dbData.assignments, selectedAssignmentId, isStaff]);
+
+  // Data scoped to the selected assignment
+  const selectedAssignment = dbData.assignments.find((a) => a.id === selectedAssignmentId) || null;
+  // Rubric of the selected assignment; empty when graded by a single score
+  const rubric = hasRubric(selectedAssignment) ? selectedAssignment.rubric : [];
+  const settings = selectedAssignment
+    ? {
+        reviewsPerSubmission: selectedAssignment.reviewsPerSubmission,
+        maxScore: rubric.length > 0 ? getRubricMaxScore(rubric) : selectedAssignment.maxScore,
+      }
+    : DEFAULT_SETTINGS;
+  // Memoized, like the grades and overview rows below, so the clock tick
+  // and UI state changes do not recompute them
+  const assignmentSubmissions = useMemo(
+    () => dbData.submissions.filter((s) => s.assignmentId === selectedAssignmentId),
+    [dbData.submissions, selectedAssignmentId]
+  );
+  const assignmentReviews = useMemo(
+    () => dbData.reviews.filter((r) => r.assignmentId === selectedAssignmentId),
+    [dbData.reviews, selectedAssignmentId]
+  );
+  // Final grade of every submission of the assignment by submission id.
+  // computeGrade needs only the reviews of the submission and those its
+  // author wrote, so they are looked up by submission and reviewer first.
+  const gradesBySubmission = useMemo(() => {
+    const bySubmission = new Map();
+    const byReviewer = new Map();
+    for (const review of assignmentReviews) {
+      bySubmission.set(review.submissionId, [...(bySubmission.get(review.submissionId) || []), review]);
+      byReviewer.set(review.reviewer, [...(byReviewer.get(review.reviewer) || []), review]);
+    }
+    return new Map(
+      assignmentSubmissions.map((sub) => {
+        const relevant = new Set([...(bySubmission.get(sub.id) || []), ...(byReviewer.get(sub.author) || [])]);
+        return [sub.id, computeGrade(selectedAssignment, sub, [...relevant], { maxScore: settings.maxScore })];
+      })
+    );
+  }, [selectedAssignment, assignmentSubmissions, assignmentReviews, settings.maxScore]);
+  // Rows of the admin overview: every review of the assignment, and the
+  // submissions without one, filtered and sorted (see overviewFilters.js)
+  const overviewRows = useMemo(() => {
+    if (!isStaff || activeTab !== 'tab3') return [];
+    const allItems = assignmentSubmissions
+      .map((sub) => {
+        const reviewsForSub = assignmentReviews.filter((r) => r.submissionId === sub.id);
+        // Final grade of the submission, repeated on each of its rows
+        const { grade } = gradesBySubmission.get(sub.id);
+        if (reviewsForSub.length > 0) {
+          return reviewsForSub.map((rev) => ({
+            ...rev,
+            type: 'review',
+            grade,
+            submissionVersion: getReviewVersion(rev),
+            currentVersion: getSubmissionVersion(sub),
+            sender: sub.author,
+            submissionLink: sub.link,
+            submissionDate: sub.submissionDate,
+            pickupDate: rev.pickupDate,
+            correctionDate: rev.correctionDate,
+            statusText: REVIEW_STATUS_LABELS[rev.status] || rev.status,
+          }));
+        }
+        return [
+          {
+            ...sub,
+            type: 'submission',
+            grade,
+            submissionVersion: getSubmissionVersion(sub),
+            currentVersion: getSubmissionVersion(sub),
+            sender: sub.author,
+            submissionLink: sub.link,
+            status: 'unassigned',
+            statusText: OVERVIEW_STATUS_LABELS.unassigned,
+            reviewer: 'N/A',
+            score: null,
+            comment: '',
+            submissionDate: sub.submissionDate,
+            pickupDate: null,
+            correctionDate: null,
+          },
+        ];
+      })
+      .flat();
+    return sortOverviewRows(applyOverviewFilters(allItems, filters), sortKeys);
+  }, [isStaff, activeTab, assignmentSubmissions, assignmentReviews, gradesBySubmission, filters, sortKeys]);
+  // Rows of the overview rendered for the scroll position: { first, last }
+  const overviewWindowFirst = Math.min(
+    Math.max(Math.floor(overviewScrollTop / overviewRowHeight) - OVERVIEW_OVERSCAN, 0),
+    Math.max(overviewRows.length - OVERVIEW_WINDOW_ROWS, 0)
+  );
+  const overviewWindow = {
+    first: overviewWindowFirst,
+    last: Math.min(overviewWindowFirst + OVERVIEW_WINDOW_ROWS, overviewRows.length),
   };
 
+  // Measure the rendered overview rows so the spacers match their height
+  useEffect(() => {
+    const rows = document.querySelectorAll('#overview-table tr[data-overview-row]');
+    if (rows.length === 0) return;
+    const average = [...rows].reduce((sum, row) => sum + row.offsetHeight, 0) / rows.length;
+    if (average > 0 && Math.abs(average - overviewRowHeight) >= 1) setOverviewRowHeight(average);
+  }, [overviewRows, overviewWindow.first, overviewWindow.last, overviewRowHeight, columnVisibility]);
+  const anonymity = getAnonymity(selectedAssignment);
+  // Assigned reviews past the expiry of the assignment that this client may
+  // release: every stale review for staff, the user's own for students
+  const staleReviewIds = selectedAssignment
+    ? getStaleReviews(
+        assignmentReviews.filter((r) => isStaff || (currentUser && r.reviewer === currentUser.email)),
+        selectedAssignment.reviewExpiryDays,
+        getTodayDate()
+      )
+        .map((r) => r.id)
+        .join(',')
+    : '';
+
+  // Release stale assignments back to the pool as soon as a client that may
+  // change them sees them
+  useEffect(() => {
+    if (!staleReviewIds) return;
+    service
+      .expireReviews(staleReviewIds.split(','))
+      .catch((error) => console.error('Failed to release expired reviews:', error));
+  }, [staleReviewIds]);
+
   // Google sign‑in handler. Initiates a pop‑up for the user to
   // authenticate with their Google account. Any errors are logged
   // to the console and surfaced to the user via confirm modal.
@@ -169,10 +601,19 @@ const App = () => {
 
   // Add a new submission to Firestore. Validates that the URL is
   // present and begins with http. Uses the current user's email as
-  // the author. Upon success the form clears automatically because
-  // the DOM input value is passed in by the caller and reset outside.
+  // the author and files the work under the selected assignment. Upon
+  // success the form clears automatically because the DOM input value
+  // is passed in by the caller and reset outside.
   const handleAddSubmission = async () => {
     if (!currentUser) return;
+    if (!selectedAssignment || selectedAssignment.archived) {
+      showMessage('Vyberte prosím aktivní úkol.');
+      return;
+    }
+    if (!isSubmissionOpen(selectedAssignment, currentUser.email, Date.now())) {
+      showMessage('Odevzdávání prací k tomuto úkolu není otevřeno.');
+      return;
+    }
     const linkInput = document.getElementById('submit-link-input');
     const link = linkInput.value.trim();
     if (!link || !link.startsWith('http')) {
@@ -180,14 +621,10 @@ const App = () => {
       return;
     }
     try {
-      await addDoc(collection(firestore, 'submissions'), {
+      await service.addSubmission({
+        assignmentId: selectedAssignment.id,
         author: currentUser.email,
         link: link,
-        status: 'Odesláno',
-        reviewCount: 0,
-        submissionDate: getTodayDate(),
-        pickupDate: null,
-        correctionDate: null,
       });
       linkInput.value = '';
     } catch (error) {
@@ -196,172 +633,852 @@ const App = () => {
     }
   };
 
-  // Delete a submission and its associated reviews from Firestore
+  // Upload a revised version of the author's submission. The reviews of
+  // the previous version are kept and the new version is reviewed again.
+  const handleResubmit = async () => {
+    const link = document.getElementById('resubmit-link-input').value.trim();
+    if (!link || !link.startsWith('http')) {
+      showMessage('Prosím, zadejte platný URL odkaz.');
+      return;
+    }
+    if (isClosed(selectedAssignment, currentUser.email, Date.now())) {
+      showMessage('Úkol je již uzavřen.');
+      return;
+    }
+    try {
+      await service.resubmitSubmission(resubmitSubmissionId, link);
+      setResubmitSubmissionId(null);
+    } catch (error) {
+      console.error('Failed to resubmit work:', error);
+      showMessage('Odeslání nové verze se nezdařilo.');
+    }
+  };
+
+  // Move a submission and its associated reviews to the trash; the
+  // deletion can be undone for a short while
   const handleDeleteSubmission = async (id) => {
     try {
-      // Delete associated reviews first
-      const reviewsQuery = query(collection(firestore, 'reviews'), where('submissionId', '==', id));
-      const reviewsSnapshot = await getDocs(reviewsQuery);
-      for (const reviewDoc of reviewsSnapshot.docs) {
-        await deleteDoc(doc(firestore, 'reviews', reviewDoc.id));
-      }
-      // Delete the submission
-      await deleteDoc(doc(firestore, 'submissions', id));
+      await service.deleteSubmission(id, { email: currentUser.email, isStaff });
       setConfirmModalOpen(false);
+      setUndoNotice({
+        message: 'Práce byla smazána.',
+        undo: () => service.restoreSubmission(id, { email: currentUser.email, isStaff }),
+      });
     } catch (error) {
       console.error('Failed to delete submission:', error);
       showMessage('Smazání práce se nezdařilo.');
     }
-  };
-
-  // Delete a review record from Firestore
-  const handleDeleteReview = async (reviewId) => {
+  };
+
+  // Delete a review record and free its slot on the reviewed submission
+  const handleDeleteReview = async (reviewId) => {
+    try {
+      await service.deleteReview(reviewId, {
+        submissions: dbData.submissions,
+        reviews: dbData.reviews,
+        email: currentUser.email,
+      });
+      setConfirmModalOpen(false);
+      setUndoNotice({ message: 'Hodnocení bylo smazáno.', undo: () => service.restoreReview(reviewId) });
+    } catch (error) {
+      console.error('Failed to delete review:', error);
+      showMessage('Smazání hodnocení se nezdařilo.');
+    }
+  };
+
+  // Undo the last deletion from the notice
+  const handleUndoDelete = async () => {
+    if (!undoNotice) return;
+    const { undo } = undoNotice;
+    setUndoNotice(null);
+    try {
+      await undo();
+    } catch (error) {
+      console.error('Failed to undo deletion:', error);
+      showMessage('Vrácení smazání se nezdařilo.');
+    }
+  };
+
+  // Restore an item from the trash ({ type, id })
+  const handleRestoreFromTrash = async (item) => {
+    try {
+      if (item.type === 'submission') {
+        await service.restoreSubmission(item.id, { email: currentUser.email, isStaff });
+      } else {
+        await service.restoreReview(item.id);
+      }
+    } catch (error) {
+      console.error('Failed to restore from trash:', error);
+      showMessage('Obnovení z koše se nezdařilo.');
+    }
+  };
+
+  // Run a batched write of the service, showing its progress. `task`
+  // receives the onProgress callback to pass on.
+  const runWithProgress = async (label, task) => {
+    setBulkProgress({ label, done: 0, total: 0 });
+    try {
+      return await task((done, total) => setBulkProgress({ label, done, total }));
+    } finally {
+      setBulkProgress(null);
+    }
+  };
+
+  // Message for a failed batched write. A write that stopped part way
+  // says how far it got; running it again finishes the rest.
+  const batchFailureMessage = (message, error) =>
+    error.total
+      ? `${message} Uloženo bylo ${error.done} z ${error.total} operací, zbytek dokončíte opakováním akce.`
+      : message;
+
+  // Permanently delete items from the trash
+  const handlePurgeTrash = async (items) => {
+    try {
+      const counts = await runWithProgress('Trvalé mazání', (onProgress) =>
+        service.purgeTrash(items, { assignmentId: selectedAssignmentId, onProgress })
+      );
+      showMessage(`Trvale smazáno: ${counts.submissions} prací a ${counts.reviews} hodnocení.`);
+    } catch (error) {
+      console.error('Failed to purge trash:', error);
+      showMessage(batchFailureMessage('Trvalé smazání se nezdařilo.', error));
+    }
+  };
+
+  // Completely remove all submissions, reviews, assignments and courses.
+  // This operation cannot be undone. Only accessible to the administrator.
+  const handleDeleteAllData = async () => {
+    setConfirmModalOpen(false);
+    try {
+      await runWithProgress('Mazání všech dat', (onProgress) => service.deleteAllData({ onProgress }));
+      showMessage('Všechna data byla smazána.');
+    } catch (error) {
+      console.error('Failed to delete all data:', error);
+      showMessage(batchFailureMessage('Smazání dat se nezdařilo.', error));
+    }
+  };
+
+  // Bring records stored by older versions up to date, moving those
+  // without an assignment into the default assignment, and select it
+  const handleMigrateLegacyData = async () => {
+    try {
+      const counts = await runWithProgress('Převod původních dat', (onProgress) =>
+        service.migrateLegacyData({
+          title: 'Původní úkol',
+          courseName: 'Původní data',
+          defaults: DEFAULT_SETTINGS,
+          onProgress,
+        })
+      );
+      setLegacyData(null);
+      setSelectedAssignmentId(LEGACY_ID);
+      showMessage(`Převedeno bylo ${counts.submissions} prací a ${counts.reviews} hodnocení.`);
+    } catch (error) {
+      console.error('Failed to migrate legacy data:', error);
+      showMessage(batchFailureMessage('Převod původních dat se nezdařil.', error));
+    }
+  };
+
+  // Download a JSON archive of every collection. Resolves to whether the
+  // backup succeeded.
+  const handleBackup = async () => {
+    try {
+      const archive = await service.createBackup(currentUser.email);
+      const stamp = archive.createdAt.slice(0, 19).replace(/[:T]/g, '-');
+      downloadFile(JSON.stringify(archive, null, 2), 'application/json', `zaloha_hodnoceni_${stamp}.json`);
+      setLastBackupAt(Date.now());
+      return true;
+    } catch (error) {
+      console.error('Failed to create backup:', error);
+      showMessage('Vytvoření zálohy se nezdařilo.');
+      return false;
+    }
+  };
+
+  // Wiping everything requires a fresh backup; without one the user is
+  // asked to download it first and only then confirms the deletion
+  const handleRequestDeleteAll = () => {
+    const confirmDelete = () =>
+      showConfirmModal('Opravdu chcete smazat VŠECHNA data? Tato akce je nevratná.', handleDeleteAllData);
+    if (lastBackupAt && Date.now() - lastBackupAt < BACKUP_FRESH_MS) {
+      confirmDelete();
+      return;
+    }
+    showConfirmModal('Před smazáním všech dat je nutné stáhnout aktuální zálohu. Stáhnout zálohu nyní?', async () => {
+      if (await handleBackup()) confirmDelete();
+    });
+  };
+
+  // Restore an uploaded backup archive after validating it and asking for
+  // confirmation. The mode ('merge' or 'replace') comes from the form.
+  const handleRestoreFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    const mode = document.getElementById('restore-mode').value;
+    let archive;
+    try {
+      archive = JSON.parse(await file.text());
+    } catch (error) {
+      showMessage('Soubor se nepodařilo načíst jako JSON.');
+      return;
+    }
+    const validationError = validateBackup(archive);
+    if (validationError) {
+      showMessage(validationError);
+      return;
+    }
+    const modeText = mode === 'replace' ? 'nahradí všechna současná data' : 'sloučí se současnými daty';
+    showConfirmModal(
+      `Záloha z ${archive.createdAt || 'neznámého data'} obsahuje ${countBackupRecords(archive)} záznamů a ${modeText}. Pokračovat?`,
+      async () => {
+        try {
+          await service.restoreBackup(archive, { mode });
+          showMessage('Záloha byla obnovena.');
+        } catch (error) {
+          console.error('Failed to restore backup:', error);
+          showMessage('Obnovení zálohy se nezdařilo.');
+        }
+      }
+    );
+  };
+
+  // Request a new submission to review. The least reviewed submissions of
+  // the selected assignment (not authored by the current user, not yet
+  // reviewed by them and still short of reviewsPerSubmission) are queried
+  // and ranked so that works with the fewest reviews come first. The final
+  // choice runs in a transaction that re-reads the review counters of the
+  // best candidates, so two students picking up work at the same time
+  // cannot over-assign a submission.
+  const handleGetWorkToReview = async () => {
+    if (!currentUser) return;
+    if (!selectedAssignment || selectedAssignment.archived) {
+      showMessage('Vyberte prosím aktivní úkol.');
+      return;
+    }
+    if (!isReviewOpen(selectedAssignment, currentUser.email, Date.now())) {
+      showMessage('Hodnocení prací k tomuto úkolu není otevřeno.');
+      return;
+    }
+    try {
+      const assigned = await service.pickUpWork({
+        assignmentId: selectedAssignment.id,
+        reviewer: currentUser.email,
+        reviewsPerSubmission: settings.reviewsPerSubmission,
+        reviews: assignmentReviews,
+        staffReview: isStaff,
+      });
+      if (!assigned) {
+        showMessage('Není k dispozici žádná práce k hodnocení. Zkuste to prosím později.');
+      }
+    } catch (error) {
+      console.error('Failed to assign submission:', error);
+      showMessage('Při přidělování práce k hodnocení došlo k chybě.');
+    }
+  };
+
+  // Save the author's helpfulness rating and reply for a received review
+  // from the inputs of the detail modal
+  const handleRateReview = async (review) => {
+    const helpfulness = parseInt(document.getElementById(`helpfulness-${review.id}`).value, 10);
+    const reply = document.getElementById(`reply-${review.id}`).value.trim();
+    if (isNaN(helpfulness) || helpfulness < HELPFULNESS_MIN || helpfulness > HELPFULNESS_MAX) {
+      showMessage(`Ohodnoťte prosím užitečnost na stupnici ${HELPFULNESS_MIN}–${HELPFULNESS_MAX}.`);
+      return;
+    }
+    try {
+      await service.rateReview(review, { helpfulness, reply });
+      showMessage('Vaše reakce byla uložena.');
+    } catch (error) {
+      console.error('Failed to rate review:', error);
+      showMessage('Uložení reakce se nezdařilo.');
+    }
+  };
+
+  // Post a message to the thread of a review; resolves to true when sent
+  const handlePostMessage = async (review, text) => {
+    try {
+      await service.postMessage(review, {
+        role: getThreadRole(review, currentUser.email, isStaff),
+        text,
+        sender: currentUser.email,
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to post message:', error);
+      showMessage('Odeslání zprávy se nezdařilo.');
+      return false;
+    }
+  };
+
+  // Staff moderation of a thread message: hide or show it, or delete it
+  const handleToggleMessageHidden = async (review, message) => {
+    try {
+      await service.setMessageHidden(review, message, !message.hidden, { email: currentUser.email });
+    } catch (error) {
+      console.error('Failed to moderate message:', error);
+      showMessage('Úprava zprávy se nezdařila.');
+    }
+  };
+
+  const handleDeleteMessage = (review, message) =>
+    showConfirmModal('Opravdu chcete zprávu trvale smazat?', async () => {
+      try {
+        await service.deleteMessage(review, message);
+      } catch (error) {
+        console.error('Failed to delete message:', error);
+        showMessage('Smazání zprávy se nezdařilo.');
+      }
+    });
+
+  // Thread of a review as the current user sees it; names follow the
+  // anonymity of the assignment
+  const renderThread = (review, names) => (
+    <ReviewThread
+      reviewId={review.id}
+      messages={threadMessages[review.id] || []}
+      role={getThreadRole(review, currentUser.email, isStaff)}
+      names={names}
+      onPost={(text) => handlePostMessage(review, text)}
+      onToggleHidden={(message) => handleToggleMessageHidden(review, message)}
+      onDelete={(message) => handleDeleteMessage(review, message)}
+    />
+  );
+
+  // Whether the thread of a review has messages the current user has not seen
+  const hasUnreadThread = (review) =>
+    isThreadUnread(review, getThreadRole(review, currentUser.email, isStaff), threadReads[review.id]);
+
+  // Give the assigned work back with the reason chosen in the return modal
+  const handleReturnReview = async () => {
+    const reason = document.getElementById('return-reason').value;
+    const note = document.getElementById('return-note').value.trim();
+    try {
+      await service.returnReview(returnReviewId, { reason, note });
+      setReturnReviewId(null);
+    } catch (error) {
+      console.error('Failed to return review:', error);
+      showMessage('Vrácení práce se nezdařilo.');
+    }
+  };
+
+  // Students who may be given the submission: authors of the assignment
+  // other than its own author who do not review it yet
+  const getEligibleReviewers = (submission) =>
+    [...new Set(assignmentSubmissions.map((s) => s.author))]
+      .filter((email) => isEligibleReviewer(submission, assignmentReviews, email))
+      .sort();
+
+  // Carry out the staff row action from the staff action modal: override a
+  // finished review, assign a reviewer to the submission or move an
+  // unfinished review to another student
+  const handleStaffAction = async () => {
+    const { kind, submissionId, reviewId } = staffAction;
+    const review = dbData.reviews.find((r) => r.id === reviewId);
+    try {
+      if (kind === 'override') {
+        const score = parseInt(document.getElementById('override-score').value, 10);
+        if (isNaN(score) || score < 0 || score > settings.maxScore) {
+          showMessage(`Prosím, zadejte hodnocení v rozmezí 0-${settings.maxScore} bodů.`);
+          return;
+        }
+        const comment = document.getElementById('override-comment').value.trim();
+        await service.overrideReview(review, { score, comment }, { email: currentUser.email });
+      } else {
+        const reviewer = document.getElementById('staff-action-reviewer').value;
+        if (!reviewer) {
+          showMessage('Vyberte prosím recenzenta.');
+          return;
+        }
+        if (kind === 'assign') {
+          await service.assignReviewer({
+            submission: dbData.submissions.find((s) => s.id === submissionId),
+            reviewer,
+            reviews: assignmentReviews,
+          });
+        } else if (!(await service.reassignReview(reviewId, { reviewer, reviews: assignmentReviews }))) {
+          showMessage('Hodnocení bylo mezitím dokončeno nebo uvolněno, případně tuto práci recenzent již hodnotí.');
+        }
+      }
+      setStaffAction(null);
+    } catch (error) {
+      console.error('Failed to carry out staff action:', error);
+      showMessage('Úprava se nezdařila.');
+    }
+  };
+
+  // Drop the teacher's override so the reviewer's own score counts again
+  const handleRevertOverride = (review) =>
+    showConfirmModal('Opravdu chcete zrušit přepsání a vrátit původní hodnocení recenzenta?', async () => {
+      try {
+        await service.overrideReview(review, null, { email: currentUser.email });
+      } catch (error) {
+        console.error('Failed to revert override:', error);
+        showMessage('Zrušení přepsání se nezdařilo.');
+      }
+    });
+
+  // Open the staff member's own authoritative review of the submission,
+  // assigning it to them first when they have none yet
+  const handleTeacherReview = async (submissionId) => {
+    const submission = dbData.submissions.find((s) => s.id === submissionId);
+    const existing = assignmentReviews.find(
+      (r) => isCurrentVersionReview(r, submission) && r.reviewer === currentUser.email && isActiveReview(r)
+    );
+    if (existing) {
+      openReviewModal(existing);
+      return;
+    }
+    try {
+      openReviewModal(
+        await service.assignReviewer({
+          submission,
+          reviewer: currentUser.email,
+          reviews: assignmentReviews,
+          staffReview: true,
+        })
+      );
+    } catch (error) {
+      console.error('Failed to start teacher review:', error);
+      showMessage('Vytvoření vlastního hodnocení se nezdařilo.');
+    }
+  };
+
+  // Select or unselect one row of the overview, or all rows matching the
+  // current filter (not only the rendered page)
+  const toggleRowSelection = (rowId) =>
+    setSelectedRows((prev) => (prev.includes(rowId) ? prev.filter((id) => id !== rowId) : [...prev, rowId]));
+
+  const toggleAllRowsSelection = (rows) =>
+    setSelectedRows((prev) => (rows.every((row) => prev.includes(row.id)) ? [] : rows.map((row) => row.id)));
+
+  // Run a bulk action on the selected rows that match the current filter,
+  // showing its progress. `action(rows, onProgress)` resolves to the number
+  // of changed records; `targetsOf(rows)`, when given, counts the records
+  // the action was meant to change, so the skipped ones are reported.
+  const runBulkAction = async (label, action, targetsOf) => {
+    const rows = overviewRows.filter((row) => selectedRows.includes(row.id));
+    try {
+      const changed = await runWithProgress(label, (onProgress) => action(rows, onProgress));
+      const skipped = targetsOf ? targetsOf(rows) - changed : 0;
+      setSelectedRows([]);
+      showMessage(
+        `${label}: hotovo, změněno záznamů: ${changed}.` +
+          (skipped > 0 ? ` Přeskočeno ${skipped} hodnocení, která mezitím změnila stav nebo je nelze přesunout.` : '')
+      );
+    } catch (error) {
+      console.error('Bulk action failed:', error);
+      showMessage(batchFailureMessage(`${label}: akce se nezdařila.`, error));
+    }
+  };
+
+  const bulkOptions = (onProgress) => ({
+    submissions: assignmentSubmissions,
+    reviews: assignmentReviews,
+    email: currentUser.email,
+    onProgress,
+  });
+
+  const toItems = (rows) => rows.map((row) => ({ type: row.type, id: row.id }));
+
+  const reviewIdsOf = (rows) => rows.filter((row) => row.type === 'review').map((row) => row.id);
+
+  const handleBulkDelete = () =>
+    showConfirmModal(`Opravdu chcete přesunout ${selectedRows.length} vybraných záznamů do koše?`, () =>
+      runBulkAction('Mazání', (rows, onProgress) => service.bulkDelete(toItems(rows), bulkOptions(onProgress)))
+    );
+
+  const handleBulkRelease = () =>
+    runBulkAction(
+      'Uvolnění prací',
+      (rows, onProgress) => service.releaseReviews(reviewIdsOf(rows), bulkOptions(onProgress)),
+      (rows) => reviewIdsOf(rows).length
+    );
+
+  const handleBulkExclusion = (excluded) =>
+    runBulkAction(excluded ? 'Vyřazení z hodnocení' : 'Zahrnutí do hodnocení', (rows, onProgress) =>
+      service.setExcludedFromGrading(toItems(rows), excluded, bulkOptions(onProgress))
+    );
+
+  const handleBulkReassign = () => {
+    const reviewer = document.getElementById('bulk-reviewer').value;
+    if (!reviewer) {
+      showMessage('Vyberte prosím recenzenta.');
+      return;
+    }
+    runBulkAction(
+      'Přesunutí prací',
+      (rows, onProgress) => service.bulkReassign(reviewIdsOf(rows), { ...bulkOptions(onProgress), reviewer }),
+      (rows) => reviewIdsOf(rows).length
+    );
+  };
+
+  // Show the review modal for editing a review
+  const openReviewModal = (review) => {
+    setCurrentReview(review);
+    setReviewScore(review.score !== null ? review.score : '');
+    setReviewComment(review.comment || '');
+    setReviewCriteria(
+      rubric.reduce((acc, criterion) => {
+        const entry = review.criteria && review.criteria[criterion.id];
+        acc[criterion.id] = {
+          score: entry && entry.score !== null ? entry.score : '',
+          comment: entry ? entry.comment || '' : '',
+        };
+        return acc;
+      }, {})
+    );
+    setReviewModalOpen(true);
+  };
+
+  const showReviewModal = (reviewId) => {
+    const review = dbData.reviews.find((r) => r.id === reviewId);
+    if (review) openReviewModal(review);
+  };
+
+  // Submit changes to a review: score and comment. When the assignment
+  // has a rubric, each criterion is scored separately and the total score
+  // is computed from them. Updates the review document and the
+  // corresponding submission document with a correction date if
+  // appropriate.
+  const handleSubmitReview = async () => {
+    if (!currentReview) return;
+    // Staff review outside the review phase too
+    if (!isStaff && !isReviewOpen(selectedAssignment, currentUser.email, Date.now())) {
+      showMessage('Hodnocení prací k tomuto úkolu není otevřeno.');
+      return;
+    }
+    const comment = reviewComment.trim();
+    let score;
+    let criteria = null;
+    if (rubric.length > 0) {
+      criteria = {};
+      for (const criterion of rubric) {
+        const entry = reviewCriteria[criterion.id] || { score: '', comment: '' };
+        const points = parseInt(entry.score, 10);
+        if (isNaN(points) || points < 0 || points > criterion.maxPoints) {
+          showMessage(
+            `Prosím, zadejte hodnocení kritéria „${criterion.name}“ v rozmezí 0-${criterion.maxPoints} bodů.`
+          );
+          return;
+        }
+        criteria[criterion.id] = { score: points, comment: entry.comment.trim() };
+      }
+      score = computeRubricTotal(rubric, criteria);
+    } else {
+      score = parseInt(reviewScore, 10);
+      if (isNaN(score) || score < 0 || score > settings.maxScore) {
+        showMessage(`Prosím, zadejte hodnocení v rozmezí 0-${settings.maxScore} bodů.`);
+        return;
+      }
+    }
+    try {
+      // A review created a moment ago may not have arrived in dbData yet
+      const review = dbData.reviews.find((r) => r.id === currentReview.id) || currentReview;
+      await service.submitReview(review, { score, comment, criteria });
+      setReviewModalOpen(false);
+      setReviewScore('');
+      setReviewComment('');
+      setReviewCriteria({});
+    } catch (error) {
+      console.error('Failed to submit review:', error);
+      showMessage('Odeslání hodnocení se nezdařilo.');
+    }
+  };
+
+  // Validate the assignment form fields shared by creating and editing an
+  // assignment. Returns the parsed values, or null after informing the user.
+  const readAssignmentForm = (prefix) => {
+    const title = document.getElementById(`${prefix}-title`).value.trim();
+    const description = document.getElementById(`${prefix}-description`).value.trim();
+    const reviewCount = parseInt(document.getElementById(`${prefix}-review-count`).value, 10);
+    const maxScore = parseInt(document.getElementById(`${prefix}-max-score`).value, 10);
+    const anonymity = document.getElementById(`${prefix}-anonymity`).value;
+    const reviewExpiryDays = parseInt(document.getElementById(`${prefix}-expiry-days`).value || '0', 10);
+    const grading = {
+      aggregation: document.getElementById(`${prefix}-aggregation`).value,
+      teacherWeight: parseFloat(document.getElementById(`${prefix}-teacher-weight`).value || '0'),
+      missingReviewPenalty: parseFloat(document.getElementById(`${prefix}-missing-penalty`).value || '0'),
+      helpfulnessBonus: parseFloat(document.getElementById(`${prefix}-helpfulness-bonus`).value || '0'),
+    };
+    const deadlines = DEADLINE_FIELDS.reduce((acc, { field }) => {
+      acc[field] = document.getElementById(`${prefix}-${field}`).value;
+      return acc;
+    }, {});
+    if (!title) {
+      showMessage('Prosím, zadejte název úkolu.');
+      return null;
+    }
+    if (
+      isNaN(reviewCount) ||
+      reviewCount <= 0 ||
+      isNaN(maxScore) ||
+      maxScore < 0 ||
+      maxScore > 100
+    ) {
+      showMessage('Prosím, zadejte platné hodnoty pro nastavení. Počet hodnocení > 0, Max. body 0-100.');
+      return null;
+    }
+    if (
+      isNaN(grading.teacherWeight) ||
+      grading.teacherWeight < 0 ||
+      grading.teacherWeight > 100 ||
+      isNaN(grading.missingReviewPenalty) ||
+      grading.missingReviewPenalty < 0 ||
+      isNaN(grading.helpfulnessBonus) ||
+      grading.helpfulnessBonus < 0
+    ) {
+      showMessage(
+        'Váha hodnocení vyučujícího musí být 0-100 %, srážka za chybějící hodnocení i bonus za užitečnost nezáporné.'
+      );
+      return null;
+    }
+    if (isNaN(reviewExpiryDays) || reviewExpiryDays < 0) {
+      showMessage('Počet dní do uvolnění nevyřízené práce musí být nezáporný.');
+      return null;
+    }
+    const deadlineError = validateDeadlines(deadlines);
+    if (deadlineError) {
+      showMessage(deadlineError);
+      return null;
+    }
+    return {
+      ...deadlines,
+      title,
+      description,
+      reviewsPerSubmission: reviewCount,
+      maxScore,
+      anonymity,
+      grading,
+      reviewExpiryDays,
+    };
+  };
+
+  // Make the signed-in user the owner of a fresh installation. The role
+  // document and the bootstrap marker are written together; the security
+  // rules only allow this while the marker does not exist yet.
+  const handleClaimOwnership = async () => {
+    if (!currentUser) return;
+    try {
+      await service.claimOwnership(currentUser.email);
+    } catch (error) {
+      console.error('Failed to claim ownership:', error);
+      showMessage('Převzetí správy aplikace se nezdařilo.');
+    }
+  };
+
+  // Add a staff member or change their role
+  const handleAddStaff = async () => {
+    const emailInput = document.getElementById('staff-email');
+    const email = roleDocId(emailInput.value);
+    const newRole = document.getElementById('staff-role').value;
+    if (!email || !email.includes('@')) {
+      showMessage('Prosím, zadejte platný e-mail.');
+      return;
+    }
+    const existing = staff.find((member) => member.id === email);
+    const manageable = getManageableRoles(role);
+    if (!manageable.includes(newRole) || (existing && !manageable.includes(existing.role))) {
+      showMessage('K této změně role nemáte oprávnění.');
+      return;
+    }
+    try {
+      await service.setStaffRole(email, newRole, currentUser.email);
+      emailInput.value = '';
+    } catch (error) {
+      console.error('Failed to add staff member:', error);
+      showMessage('Přidání člena týmu se nezdařilo.');
+    }
+  };
+
+  // Remove a staff member, turning them back into a student. The last owner
+  // cannot be removed so the application never ends up without one.
+  const handleRemoveStaff = async (member) => {
+    if (!getManageableRoles(role).includes(member.role)) {
+      showMessage('K odebrání tohoto člena týmu nemáte oprávnění.');
+      return;
+    }
+    if (member.role === 'owner' && staff.filter((m) => m.role === 'owner').length <= 1) {
+      showMessage('Aplikace musí mít alespoň jednoho správce.');
+      return;
+    }
+    try {
+      await service.removeStaff(member.id);
+      setConfirmModalOpen(false);
+    } catch (error) {
+      console.error('Failed to remove staff member:', error);
+      showMessage('Odebrání člena týmu se nezdařilo.');
+    }
+  };
+
+  // Create a new course. Courses only group assignments together.
+  const handleAddCourse = async () => {
+    const nameInput = document.getElementById('new-course-name');
+    const name = nameInput.value.trim();
+    if (!name) {
+      showMessage('Prosím, zadejte název kurzu.');
+      return;
+    }
+    try {
+      await service.addCourse(name);
+      nameInput.value = '';
+    } catch (error) {
+      console.error('Failed to add course:', error);
+      showMessage('Přidání kurzu se nezdařilo.');
+    }
+  };
+
+  // Create a new assignment in the chosen course and select it
+  const handleAddAssignment = async () => {
+    const courseId = document.getElementById('new-assignment-course').value;
+    if (!courseId) {
+      showMessage('Nejprve prosím vytvořte kurz.');
+      return;
+    }
+    const values = readAssignmentForm('new-assignment');
+    if (!values) return;
+    try {
+      const assignmentId = await service.addAssignment(courseId, values);
+      setSelectedAssignmentId(assignmentId);
+      document.getElementById('new-assignment-title').value = '';
+      document.getElementById('new-assignment-description').value = '';
+      showMessage('Úkol byl vytvořen.');
+    } catch (error) {
+      console.error('Failed to add assignment:', error);
+      showMessage('Přidání úkolu se nezdařilo.');
+    }
+  };
+
+  // Save settings of the selected assignment (title, description, reviews
+  // per submission and maximum score). With a rubric the maximum score is
+  // always the rubric total.
+  const handleSaveSettings = async () => {
+    if (!selectedAssignment) return;
+    const values = readAssignmentForm('assignment');
+    if (!values) return;
+    if (rubric.length > 0) values.maxScore = getRubricMaxScore(rubric);
+    try {
+      await service.updateAssignment(selectedAssignment.id, values);
+      showMessage('Nastavení bylo uloženo.');
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      showMessage('Ukládání nastavení se nezdařilo.');
+    }
+  };
+
+  // Save the rubric of the selected assignment. An empty rubric switches the
+  // assignment back to a single overall score.
+  const handleSaveRubric = async (draft) => {
+    if (!selectedAssignment) return;
+    const criteria = draft.map((criterion) => ({
+      id: criterion.id,
+      name: criterion.name.trim(),
+      maxPoints: parseInt(criterion.maxPoints, 10),
+      descriptors: criterion.descriptors.trim(),
+    }));
+    if (criteria.some((c) => !c.name || isNaN(c.maxPoints) || c.maxPoints <= 0)) {
+      showMessage('Každé kritérium musí mít název a kladný maximální počet bodů.');
+      return;
+    }
+    const maxScore = getRubricMaxScore(criteria);
+    if (maxScore > 100) {
+      showMessage('Součet bodů všech kritérií nesmí přesáhnout 100.');
+      return;
+    }
     try {
-      await deleteDoc(doc(firestore, 'reviews', reviewId));
-      setConfirmModalOpen(false);
+      await service.updateAssignment(selectedAssignment.id, {
+        rubric: criteria,
+        ...(criteria.length > 0 ? { maxScore } : {}),
+      });
+      showMessage('Rubrika byla uložena.');
     } catch (error) {
-      console.error('Failed to delete review:', error);
-      showMessage('Smazání hodnocení se nezdařilo.');
+      console.error('Failed to save rubric:', error);
+      showMessage('Ukládání rubriky se nezdařilo.');
     }
   };
 
-  // Completely remove all submissions, reviews and settings. This operation
-  // cannot be undone. Only accessible to the administrator.
-  const handleDeleteAllData = async () => {
+  // Archive or restore the selected assignment. Archived assignments keep
+  // all their data but are hidden from students.
+  const handleToggleArchiveAssignment = async () => {
+    if (!selectedAssignment) return;
     try {
-      // Delete all reviews
-      const reviewsSnapshot = await getDocs(collection(firestore, 'reviews'));
-      for (const reviewDoc of reviewsSnapshot.docs) {
-        await deleteDoc(doc(firestore, 'reviews', reviewDoc.id));
-      }
-      // Delete all submissions
-      const submissionsSnapshot = await getDocs(collection(firestore, 'submissions'));
-      for (const submissionDoc of submissionsSnapshot.docs) {
-        await deleteDoc(doc(firestore, 'submissions', submissionDoc.id));
-      }
-      // Reset global settings document
-      await setDoc(doc(firestore, 'settings', 'global'), {
-        reviewsPerSubmission: 3,
-        maxScore: 100,
+      await service.updateAssignment(selectedAssignment.id, {
+        archived: !selectedAssignment.archived,
       });
-      setConfirmModalOpen(false);
     } catch (error) {
-      console.error('Failed to delete all data:', error);
-      showMessage('Smazání dat se nezdařilo.');
+      console.error('Failed to archive assignment:', error);
+      showMessage('Archivace úkolu se nezdařila.');
     }
   };
 
-  // Request a new submission to review. Chooses a random submission that
-  // is not authored by the current user and has not yet been reviewed by
-  // them. Once selected, creates a new review document and updates the
-  // pickup date on the submission.
-  const handleGetWorkToReview = async () => {
-    if (!currentUser) return;
-    // Determine available submissions client‑side. Note: the data
-    // consistency of this approach can be improved by using Cloud
-    // Functions or transactions, but for small demo purposes it's OK.
-    const availableSubmissions = dbData.submissions.filter(
-      (s) =>
-        s.author !== currentUser.email &&
-        !dbData.reviews.some((r) => r.submissionId === s.id && r.reviewer === currentUser.email)
-    );
-    if (availableSubmissions.length === 0) {
-      showMessage('Není k dispozici žádná práce k hodnocení. Zkuste to prosím později.');
+  // Grant an individual student later deadlines for the selected
+  // assignment. A new extension for the same student replaces the old one.
+  const handleAddExtension = async () => {
+    if (!selectedAssignment) return;
+    const email = roleDocId(document.getElementById('extension-email').value);
+    const submissionDeadline = document.getElementById('extension-submissionDeadline').value;
+    const reviewDeadline = document.getElementById('extension-reviewDeadline').value;
+    if (!email || (!submissionDeadline && !reviewDeadline)) {
+      showMessage('Zadejte e-mail studenta a alespoň jeden nový termín.');
       return;
     }
-    const newSubmission = availableSubmissions[Math.floor(Math.random() * availableSubmissions.length)];
+    const extensions = (selectedAssignment.extensions || []).filter((e) => roleDocId(e.email) !== email);
     try {
-      // Create a new review document
-      await addDoc(collection(firestore, 'reviews'), {
-        submissionId: newSubmission.id,
-        reviewer: currentUser.email,
-        status: 'assigned',
-        score: null,
-        comment: '',
-        pickupDate: getTodayDate(),
-        correctionDate: null,
-      });
-      // Update the pickup date on the submission
-      await updateDoc(doc(firestore, 'submissions', newSubmission.id), {
-        pickupDate: getTodayDate(),
+      await service.updateAssignment(selectedAssignment.id, {
+        extensions: [...extensions, { email, submissionDeadline, reviewDeadline }],
       });
+      document.getElementById('extension-email').value = '';
     } catch (error) {
-      console.error('Failed to assign submission:', error);
-      showMessage('Při přidělování práce k hodnocení došlo k chybě.');
+      console.error('Failed to add extension:', error);
+      showMessage('Prodloužení termínu se nezdařilo.');
     }
   };
 
-  // Show the review modal for editing a review
-  const showReviewModal = (reviewId) => {
-    const review = dbData.reviews.find((r) => r.id === reviewId);
-    if (review) {
-      setCurrentReviewId(reviewId);
-      setReviewScore(review.score !== null ? review.score : '');
-      setReviewComment(review.comment || '');
-      setReviewModalOpen(true);
+  // Remove a student's deadline extension from the selected assignment
+  const handleRemoveExtension = async (email) => {
+    if (!selectedAssignment) return;
+    try {
+      await service.updateAssignment(selectedAssignment.id, {
+        extensions: (selectedAssignment.extensions || []).filter((e) => e.email !== email),
+      });
+    } catch (error) {
+      console.error('Failed to remove extension:', error);
+      showMessage('Odebrání prodloužení se nezdařilo.');
     }
   };
 
-  // Submit changes to a review: score and comment. Updates the review
-  // document and the corresponding submission document with a correction
-  // date if appropriate.
-  const handleSubmitReview = async () => {
-    if (!currentReviewId) return;
-    const score = parseInt(reviewScore, 10);
-    const comment = reviewComment.trim();
-    if (isNaN(score) || score < 0 || score > dbData.settings.maxScore) {
-      showMessage(`Prosím, zadejte hodnocení v rozmezí 0-${dbData.settings.maxScore} bodů.`);
-      return;
-    }
+  // Write a previewed bulk allocation as `assigned` reviews. After a
+  // partial failure a new plan covers only the reviews still missing.
+  const handleBulkAllocate = async (pairs) => {
+    if (!selectedAssignment) return;
     try {
-      // Update review document
-      await updateDoc(doc(firestore, 'reviews', currentReviewId), {
-        score: score,
-        comment: comment,
-        status: 'finished',
-        correctionDate: getTodayDate(),
-      });
-      // Update corresponding submission's correction date
-      const review = dbData.reviews.find((r) => r.id === currentReviewId);
-      if (review) {
-        await updateDoc(doc(firestore, 'submissions', review.submissionId), {
-          correctionDate: getTodayDate(),
-        });
-      }
-      setReviewModalOpen(false);
-      setReviewScore('');
-      setReviewComment('');
+      await runWithProgress('Přidělování', (onProgress) =>
+        service.bulkAllocate({
+          assignmentId: selectedAssignment.id,
+          pairs,
+          submissions: assignmentSubmissions,
+          reviews: assignmentReviews,
+          onProgress,
+        })
+      );
+      showMessage(`Bylo přiděleno ${pairs.length} hodnocení.`);
     } catch (error) {
-      console.error('Failed to submit review:', error);
-      showMessage('Odeslání hodnocení se nezdařilo.');
+      console.error('Failed to allocate reviews:', error);
+      showMessage(batchFailureMessage('Hromadné přidělení hodnocení se nezdařilo.', error));
     }
   };
 
-  // Save global settings (reviews per submission and maximum score)
-  const handleSaveSettings = async () => {
-    const reviewCountInput = document.getElementById('review-count');
-    const maxScoreInput = document.getElementById('max-score');
-    const reviewCount = parseInt(reviewCountInput.value, 10);
-    const maxScore = parseInt(maxScoreInput.value, 10);
-    if (
-      isNaN(reviewCount) ||
-      reviewCount <= 0 ||
-      isNaN(maxScore) ||
-      maxScore < 0 ||
-      maxScore > 100
-    ) {
-      showMessage('Prosím, zadejte platné hodnoty pro nastavení. Počet hodnocení > 0, Max. body 0-100.');
+  // Save class groups of the selected assignment's course
+  const handleSaveStudentGroups = async (studentGroups) => {
+    if (!selectedAssignment || !dbData.courses.some((c) => c.id === selectedAssignment.courseId)) {
+      showMessage('Úkol nepatří do žádného kurzu.');
       return;
     }
     try {
-      await setDoc(doc(firestore, 'settings', 'global'), {
-        reviewsPerSubmission: reviewCount,
-        maxScore: maxScore,
-      });
-      showMessage('Nastavení bylo uloženo.');
+      await service.updateCourse(selectedAssignment.courseId, { studentGroups });
+      showMessage('Skupiny byly uloženy.');
     } catch (error) {
-      console.error('Failed to save settings:', error);
-      showMessage('Ukládání nastavení se nezdařilo.');
+      console.error('Failed to save student groups:', error);
+      showMessage('Ukládání skupin se nezdařilo.');
     }
   };
 
@@ -372,74 +1489,20 @@ const App = () => {
     setDetailModalOpen(true);
   };
 
-  // Export current aggregated review data into a CSV file. This function
-  // mirrors the behaviour from the legacy localStorage implementation but
-  // operates on Firestore data. Note: since this runs client‑side it
-  // synthesizes the CSV and triggers a download via a temporary link.
-  const handleExportToExcel = () => {
-    const rows = filteredAndSortedReviews().map((item) => {
-      // We need to determine whether the item is a submission or review
-      if (item.type === 'submission') {
-        return {
-          odesilatel: item.sender,
-          odkaz: item.submissionLink,
-          recenzent: 'N/A',
-          stav_recenze: 'Nevyzvednuto',
-          hodnoceni: 'N/A',
-          komentar: 'N/A',
-          datum_odeslani: item.submissionDate || 'N/A',
-          datum_vyzvednuti: 'N/A',
-          datum_opravy: 'N/A',
-        };
-      } else {
-        return {
-          odesilatel: item.sender || 'N/A',
-          odkaz: item.submissionLink || 'N/A',
-          recenzent: item.reviewer || 'N/A',
-          stav_recenze: item.status === 'finished' ? 'Zkontrolováno' : 'Vyzvednuto',
-          hodnoceni:
-            item.score !== null
-              ? `${item.score} / ${dbData.settings.maxScore}`
-              : 'N/A',
-          komentar: item.comment || 'Žádná poznámka',
-          datum_odeslani: item.submissionDate || 'N/A',
-          datum_vyzvednuti: item.pickupDate || 'N/A',
-          datum_opravy: item.correctionDate || 'N/A',
-        };
-      }
+  // Export overview rows – the filtered, sorted rows or the selected ones –
+  // with the visible columns in the chosen format. Since this runs
+  // client‑side the file is synthesized in memory and downloaded via a
+  // temporary link.
+  const handleExport = (rows) => {
+    const delimiterSelect = document.getElementById('export-delimiter');
+    const { content, extension, mimeType } = exportOverview(rows, exportFormat, {
+      rubric,
+      maxScore: settings.maxScore,
+      columnVisibility,
+      delimiter: delimiterSelect ? delimiterSelect.value : ';',
     });
-    const csvRows = [];
-    const headers = [
-      'Odesilatel',
-      'Odkaz',
-      'Recenzent',
-      'Stav recenze',
-      'Hodnocení',
-      'Komentář',
-      'Datum odeslání',
-      'Datum vyzvednutí',
-      'Datum opravy',
-    ];
-    csvRows.push(headers.join(';'));
-    for (const row of rows) {
-      const values = headers.map((header) => {
-        const key = header.toLowerCase().replace(/ /g, '_');
-        const value = row[key];
-        return `"${(value || '').toString().replace(/"/g, '""')}"`;
-      });
-      csvRows.push(values.join(';'));
-    }
-    const csvString = csvRows.join('\n');
-    const blob = new Blob([
-      new Uint8Array([0xef, 0xbb, 0xbf]),
-      csvString,
-    ], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(blob);
-    link.setAttribute('download', 'prehled_hodnoceni.csv');
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    const fileSuffix = selectedAssignment ? `_${selectedAssignment.title.replace(/[^\w-]+/g, '_')}` : '';
+    downloadFile(content, mimeType, `prehled_hodnoceni${fileSuffix}.${extension}`);
   };
 
   // Show a confirmation modal with a custom message and callback. If
@@ -458,130 +1521,344 @@ const App = () => {
     setConfirmModalOpen(true);
   };
 
-  // Toggle filter menu visibility for a given column
-  const toggleFilterMenu = (column, event) => {
-    event.stopPropagation();
-    setFilterMenu((prev) =>
-      prev.column === column && prev.open
-        ? { column: null, open: false, value: '' }
-        : { column, open: true, value: '' }
+  // Sort by a column header; Shift adds the column as a further sort key
+  const handleSort = (column, additive) => setSortKeys((prev) => toggleSortKey(prev, column, additive));
+
+  // Sort direction and, with several keys, the position of the column
+  const renderSortIndicator = (column) => {
+    const index = sortKeys.findIndex((key) => key.column === column);
+    if (index === -1) return null;
+    return (
+      <span className="ml-1">
+        {sortKeys[index].direction === 'asc' ? '▲' : '▼'}
+        {sortKeys.length > 1 && <sup>{index + 1}</sup>}
+      </span>
     );
   };
-  const handleFilterChange = (value) => {
-    setFilterMenu((prev) => ({ ...prev, value }));
+
+  // Add the filter set up in the filter editor, replacing an earlier
+  // filter of the same field
+  const handleAddFilter = () => {
+    const field = FILTER_FIELDS.find((f) => f.key === filterField);
+    const read = (id) => document.getElementById(id).value.trim();
+    const value =
+      field.kind === 'range'
+        ? { min: read('filter-min'), max: read('filter-max') }
+        : field.kind === 'dateRange'
+        ? { from: read('filter-from'), to: read('filter-to') }
+        : read('filter-value');
+    if (isEmptyFilter(field.key, value)) {
+      showMessage('Zadejte prosím hodnotu filtru.');
+      return;
+    }
+    setFilters((prev) => ({ ...prev, [field.key]: value }));
   };
-  // Sort data by column; toggles between ascending, descending and none
-  const handleSort = (column) => {
-    setSort((prev) => {
-      if (prev.column === column) {
-        if (prev.direction === 'asc') return { column, direction: 'desc' };
-        if (prev.direction === 'desc') return { column: null, direction: 'none' };
-        return { column, direction: 'asc' };
-      }
-      return { column, direction: 'asc' };
+
+  const removeFilter = (key) =>
+    setFilters((prev) => {
+      const { [key]: removed, ...rest } = prev;
+      return rest;
     });
+
+  // Save the current filters, sorting and columns as a named view
+  const handleSaveView = async () => {
+    const input = document.getElementById('view-name');
+    const name = input.value.trim();
+    if (!name) {
+      showMessage('Zadejte prosím název pohledu.');
+      return;
+    }
+    try {
+      await service.saveOverviewView(currentUser.email, { name, filters, sortKeys, columnVisibility });
+      input.value = '';
+    } catch (error) {
+      console.error('Failed to save view:', error);
+      showMessage('Uložení pohledu se nezdařilo.');
+    }
+  };
+
+  const handleApplyView = (view) => {
+    setFilters(view.filters || {});
+    setSortKeys(view.sortKeys || []);
+    setColumnVisibility({ ...DEFAULT_COLUMN_VISIBILITY, ...view.columnVisibility });
   };
+
+  const handleDeleteView = (name) =>
+    showConfirmModal(`Opravdu chcete smazat pohled „${name}“?`, async () => {
+      try {
+        await service.deleteOverviewView(currentUser.email, name);
+      } catch (error) {
+        console.error('Failed to delete view:', error);
+        showMessage('Smazání pohledu se nezdařilo.');
+      }
+    });
+
   // Toggle column visibility for admin panel
   const toggleColumnVisibility = (column) => {
     setColumnVisibility((prev) => ({ ...prev, [column]: !prev[column] }));
   };
 
-  // Construct a unified list of submissions and reviews for filtering and sorting
-  const filteredAndSortedReviews = () => {
-    const allItems = dbData.submissions
-      .map((sub) => {
-        const reviewsForSub = dbData.reviews.filter((r) => r.submissionId === sub.id);
-        if (reviewsForSub.length > 0) {
-          return reviewsForSub.map((rev) => ({
-            ...rev,
-            type: 'review',
-            sender: sub.author,
-            submissionLink: sub.link,
-            submissionDate: sub.submissionDate,
-            pickupDate: rev.pickupDate,
-            correctionDate: rev.correctionDate,
-            statusText: rev.status === 'finished' ? 'Zkontrolováno' : 'Vyzvednuto',
-          }));
-        }
-        return [
-          {
-            ...sub,
-            type: 'submission',
-            sender: sub.author,
-            submissionLink: sub.link,
-            status: 'unassigned',
-            statusText: 'Nevyzvednuto',
-            reviewer: 'N/A',
-            score: null,
-            comment: '',
-            submissionDate: sub.submissionDate,
-            pickupDate: null,
-            correctionDate: null,
-          },
-        ];
-      })
-      .flat();
-    // Filter
-    const filtered = allItems.filter((item) => {
-      if (filterMenu.column === 'sender' && filterMenu.value !== '') {
-        return (item.sender || '').toLowerCase().includes(filterMenu.value.toLowerCase());
-      }
-      if (filterMenu.column === 'reviewer' && filterMenu.value !== '') {
-        return (item.reviewer || '').toLowerCase().includes(filterMenu.value.toLowerCase());
-      }
-      if (filterMenu.column === 'status' && filterMenu.value !== '') {
-        return item.status === filterMenu.value;
-      }
-      if (filterMenu.column === 'score' && filterMenu.value !== '' && item.type === 'review') {
-        const [min, max] = filterMenu.value.split('-').map(Number);
-        if (!isNaN(min) && !isNaN(max)) {
-          return item.score >= min && item.score <= max;
-        } else if (!isNaN(min)) {
-          return item.score >= min;
-        } else if (!isNaN(max)) {
-          return item.score <= max;
-        }
-        return false;
-      }
-      return true;
-    });
-    // Sort
-    const sorted = [...filtered].sort((a, b) => {
-      if (!sort.column || sort.direction === 'none') return 0;
-      let aValue;
-      let bValue;
-      switch (sort.column) {
-        case 'sender':
-        case 'reviewer':
-        case 'submissionLink':
-        case 'submissionDate':
-        case 'pickupDate':
-        case 'correctionDate':
-        case 'status':
-          aValue = a[sort.column];
-          bValue = b[sort.column];
-          break;
-        case 'score':
-          aValue = a.type === 'review' && a.score !== null ? a.score : -1;
-          bValue = b.type === 'review' && b.score !== null ? b.score : -1;
-          break;
-        case 'comment':
-          aValue = a.type === 'review' ? (a.comment || '').length : 0;
-          bValue = b.type === 'review' ? (b.comment || '').length : 0;
-          break;
-        default:
-          return 0;
-      }
-      if (typeof aValue === 'string') {
-        return sort.direction === 'asc'
-          ? aValue.localeCompare(bValue)
-          : bValue.localeCompare(aValue);
-      }
-      return sort.direction === 'asc' ? aValue - bValue : bValue - aValue;
-    });
-    return sorted;
+  // Render the assignment selector. Students only see active assignments,
+  // the administrator can also switch to archived ones.
+  const renderAssignmentPicker = (includeArchived) => {
+    const assignments = dbData.assignments.filter(
+      (a) => includeArchived || !a.archived || a.id === selectedAssignmentId
+    );
+    if (assignments.length === 0) {
+      return (
+        <div className="bg-yellow-50 p-4 rounded-xl mb-6 shadow-sm text-gray-600">
+          Zatím není vypsán žádný úkol.
+        </div>
+      );
+    }
+    // Assignments whose course no longer exists are listed without a group
+    const courseGroups = [
+      ...dbData.courses,
+      { id: null, name: 'Bez kurzu' },
+    ].map((course) => ({
+      course,
+      assignments: assignments.filter((a) =>
+        course.id === null
+          ? !dbData.courses.some((c) => c.id === a.courseId)
+          : a.courseId === course.id
+      ),
+    }));
+    return (
+      <div className="bg-gray-50 p-4 rounded-xl mb-6 shadow-sm">
+        <label htmlFor="assignment-select" className="block font-bold text-gray-600 mb-2">
+          Úkol
+        </label>
+        <select
+          id="assignment-select"
+          value={selectedAssignmentId || ''}
+          onChange={(e) => setSelectedAssignmentId(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+        >
+          {courseGroups
+            .filter((group) => group.assignments.length > 0)
+            .map((group) => (
+              <optgroup key={group.course.id || 'none'} label={group.course.name}>
+                {group.assignments.map((a) => (
+                  <option key={a.id} value={a.id}>
+                    {a.title}
+                    {a.archived ? ' (archivováno)' : ''}
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+        </select>
+        {selectedAssignment && selectedAssignment.description && (
+          <p className="mt-2 text-sm text-gray-600 whitespace-pre-line">{selectedAssignment.description}</p>
+        )}
+      </div>
+    );
+  };
+
+  // Render the current phase of the selected assignment for the signed-in
+  // user together with a countdown to the deadline relevant for the tab
+  // ('submission' or 'review').
+  const renderPhaseInfo = (kind) => {
+    if (!selectedAssignment) return null;
+    const email = currentUser.email;
+    const deadlines = getEffectiveDeadlines(selectedAssignment, email);
+    const phase = getPhase(selectedAssignment, email, now);
+    const open =
+      kind === 'submission'
+        ? isSubmissionOpen(selectedAssignment, email, now)
+        : isReviewOpen(selectedAssignment, email, now);
+    const deadline = kind === 'submission' ? deadlines.submissionDeadline : deadlines.reviewDeadline;
+    const notStarted = kind === 'review' && deadlines.reviewStart && now < new Date(deadlines.reviewStart).getTime();
+    return (
+      <div
+        className={`p-4 rounded-xl mb-6 shadow-sm text-sm ${
+          open ? 'bg-green-50 text-green-700' : 'bg-yellow-50 text-yellow-700'
+        }`}
+      >
+        <p>
+          <strong>Fáze:</strong> {PHASE_LABELS[phase]}
+        </p>
+        {open && deadline && (
+          <p>
+            {kind === 'submission' ? 'Odevzdávání' : 'Hodnocení'} končí {formatDeadline(deadline)} (zbývá{' '}
+            {formatCountdown(deadline, now)}).
+          </p>
+        )}
+        {open && !deadline && (
+          <p>{kind === 'submission' ? 'Odevzdávání' : 'Hodnocení'} není časově omezeno.</p>
+        )}
+        {!open && notStarted && (
+          <p>
+            Hodnocení začne {formatDeadline(deadlines.reviewStart)} (za {formatCountdown(deadlines.reviewStart, now)}).
+          </p>
+        )}
+        {!open && !notStarted && (
+          <p>{kind === 'submission' ? 'Odevzdávání' : 'Hodnocení'} je uzavřeno.</p>
+        )}
+      </div>
+    );
   };
 
+  // Render the form fields shared by creating and editing an assignment.
+  // Inputs are uncontrolled and read back by readAssignmentForm using the
+  // given id prefix.
+  const renderAssignmentFields = (prefix, values) => (
+    <>
+      <div className="sm:col-span-2">
+        <label htmlFor={`${prefix}-title`} className="block text-gray-600">
+          Název úkolu:
+        </label>
+        <input
+          type="text"
+          id={`${prefix}-title`}
+          defaultValue={values.title}
+          className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+        />
+      </div>
+      <div>
+        <label htmlFor={`${prefix}-review-count`} className="block text-gray-600">
+          Počet hodnocení na práci:
+        </label>
+        <input
+          type="number"
+          id={`${prefix}-review-count`}
+          min="1"
+          defaultValue={values.reviewsPerSubmission}
+          className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+        />
+      </div>
+      <div>
+        <label htmlFor={`${prefix}-max-score`} className="block text-gray-600">
+          Maximální počet bodů:
+        </label>
+        <input
+          type="number"
+          id={`${prefix}-max-score`}
+          min="0"
+          max="100"
+          defaultValue={values.maxScore}
+          disabled={hasRubric(values)}
+          className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+        />
+        {hasRubric(values) && (
+          <p className="text-xs text-gray-500 mt-1">Určeno součtem bodů rubriky.</p>
+        )}
+      </div>
+      <div className="sm:col-span-2">
+        <label htmlFor={`${prefix}-anonymity`} className="block text-gray-600">
+          Anonymita:
+        </label>
+        <select
+          id={`${prefix}-anonymity`}
+          defaultValue={getAnonymity(values)}
+          className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+        >
+          {ANONYMITY_MODES.map((mode) => (
+            <option key={mode.value} value={mode.value}>
+              {mode.label}
+            </option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">
+          Anonymita platí v aplikaci. Jména zůstávají uložena v záznamech, takže je student může zjistit přímým
+          dotazem do databáze.
+        </p>
+      </div>
+      <div className="sm:col-span-2">
+        <label htmlFor={`${prefix}-aggregation`} className="block text-gray-600">
+          Výpočet výsledného hodnocení:
+        </label>
+        <select
+          id={`${prefix}-aggregation`}
+          defaultValue={getGrading(values).aggregation}
+          className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+        >
+          {AGGREGATIONS.map((aggregation) => (
+            <option key={aggregation.value} value={aggregation.value}>
+              {aggregation.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label htmlFor={`${prefix}-teacher-weight`} className="block text-gray-600">
+          Váha hodnocení vyučujícího (%):
+        </label>
+        <input
+          type="number"
+          id={`${prefix}-teacher-weight`}
+          min="0"
+          max="100"
+          defaultValue={getGrading(values).teacherWeight}
+          className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+        />
+        <p className="text-xs text-gray-500 mt-1">0 = počítá se jako běžné hodnocení.</p>
+      </div>
+      <div>
+        <label htmlFor={`${prefix}-missing-penalty`} className="block text-gray-600">
+          Srážka za chybějící hodnocení (body):
+        </label>
+        <input
+          type="number"
+          id={`${prefix}-missing-penalty`}
+          min="0"
+          defaultValue={getGrading(values).missingReviewPenalty}
+          className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+        />
+        <p className="text-xs text-gray-500 mt-1">Za každé nedokončené povinné hodnocení autora.</p>
+      </div>
+      <div>
+        <label htmlFor={`${prefix}-helpfulness-bonus`} className="block text-gray-600">
+          Bonus za užitečná hodnocení (body):
+        </label>
+        <input
+          type="number"
+          id={`${prefix}-helpfulness-bonus`}
+          min="0"
+          defaultValue={getGrading(values).helpfulnessBonus}
+          className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+        />
+        <p className="text-xs text-gray-500 mt-1">Plný bonus při průměrné užitečnosti 5, 0 = nezapočítává se.</p>
+      </div>
+      <div>
+        <label htmlFor={`${prefix}-expiry-days`} className="block text-gray-600">
+          Uvolnit nevyřízenou práci po (dnech):
+        </label>
+        <input
+          type="number"
+          id={`${prefix}-expiry-days`}
+          min="0"
+          defaultValue={values.reviewExpiryDays || 0}
+          className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+        />
+        <p className="text-xs text-gray-500 mt-1">0 = vyzvednutá práce nevyprší.</p>
+      </div>
+      {DEADLINE_FIELDS.map(({ field, label }) => (
+        <div key={field}>
+          <label htmlFor={`${prefix}-${field}`} className="block text-gray-600">
+            {label}:
+          </label>
+          <input
+            type="datetime-local"
+            id={`${prefix}-${field}`}
+            defaultValue={values[field] || ''}
+            className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+        </div>
+      ))}
+      <div className="sm:col-span-2">
+        <label htmlFor={`${prefix}-description`} className="block text-gray-600">
+          Zadání:
+        </label>
+        <textarea
+          id={`${prefix}-description`}
+          rows="3"
+          defaultValue={values.description}
+          className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+        ></textarea>
+      </div>
+    </>
+  );
+
   // Render UI based on authentication state
   const renderApp = () => {
     // If user is not logged in, show Google sign‑in button
@@ -599,6 +1876,44 @@ const App = () => {
         </div>
       );
     }
+    // Trash entries; reviews deleted together with their submission are
+    // listed under it rather than on their own
+    const trashItems = [
+      ...trash.submissions.map((sub) => ({
+        type: 'submission',
+        id: sub.id,
+        label: `Práce: ${sub.author}`,
+        detail: sub.link,
+        deletedAt: sub.deletedAt,
+        deletedBy: sub.deletedBy,
+        reviewCount: trash.reviews.filter((r) => r.submissionId === sub.id && r.deletedAt === sub.deletedAt).length,
+      })),
+      ...trash.reviews
+        .filter((rev) => !trash.submissions.some((sub) => sub.id === rev.submissionId && sub.deletedAt === rev.deletedAt))
+        .map((rev) => ({
+          type: 'review',
+          id: rev.id,
+          label: `Hodnocení: ${rev.reviewer} → ${rev.submissionAuthor}`,
+          detail: rev.score !== null && rev.score !== undefined ? `${rev.score} / ${settings.maxScore}` : 'Nezadáno',
+          deletedAt: rev.deletedAt,
+          deletedBy: rev.deletedBy,
+          reviewCount: 0,
+        })),
+    ].sort((a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || ''));
+    // Submission shown in the detail modal with its reviews per version
+    const detailSubmission = detailModalOpen ? dbData.submissions.find((s) => s.id === currentSubmissionId) : null;
+    const detailVersions = detailSubmission ? groupReviewsByVersion(detailSubmission, dbData.reviews) : [];
+    // Review and submission the staff action modal works on
+    const staffActionReview = staffAction && dbData.reviews.find((r) => r.id === staffAction.reviewId);
+    const staffActionSubmission = staffAction && dbData.submissions.find((s) => s.id === staffAction.submissionId);
+    // How a reviewer is named in the detail modal, following the anonymity
+    const detailReviewerLabel = (review) =>
+      isStaff || canAuthorSeeReviewer(anonymity)
+        ? review.reviewer
+        : getReviewerAlias(
+            review,
+            dbData.reviews.filter((r) => r.submissionId === currentSubmissionId)
+          );
     // Main application UI
     return (
       <div id="main-app">
@@ -620,7 +1935,7 @@ const App = () => {
             >
               2. Hodnocení prací
             </button>
-            {isTeacher && (
+            {isStaff && (
               <button
                 className={`tab-button px-4 py-2 text-gray-600 hover:text-green-500 font-medium ${
                   activeTab === 'tab3' ? 'active text-green-500 border-b-2 border-green-500' : ''
@@ -630,6 +1945,26 @@ const App = () => {
                 3. Admin panel
               </button>
             )}
+            {isStaff && (
+              <button
+                className={`tab-button px-4 py-2 text-gray-600 hover:text-green-500 font-medium ${
+                  activeTab === 'tab4' ? 'active text-green-500 border-b-2 border-green-500' : ''
+                }`}
+                onClick={() => setActiveTab('tab4')}
+              >
+                4. Statistiky
+              </button>
+            )}
+            {isStaff && (
+              <button
+                className={`tab-button px-4 py-2 text-gray-600 hover:text-green-500 font-medium ${
+                  activeTab === 'tab5' ? 'active text-green-500 border-b-2 border-green-500' : ''
+                }`}
+                onClick={() => setActiveTab('tab5')}
+              >
+                5. Historie
+              </button>
+            )}
           </div>
           <button
             id="logout-btn"
@@ -642,6 +1977,20 @@ const App = () => {
         {activeTab === 'tab1' && (
           <div id="tab1" className="tab-content active">
             <h2 className="text-2xl font-semibold mb-4 text-gray-700">Moje odeslané práce</h2>
+            {ownerClaimed === false && (
+              <div className="bg-blue-50 p-4 rounded-xl mb-6 shadow-sm text-sm text-blue-700 flex flex-col sm:flex-row justify-between items-start sm:items-center space-y-2 sm:space-y-0">
+                <span>Aplikace zatím nemá správce. První přihlášený vyučující může převzít její správu.</span>
+                <button
+                  id="claim-ownership-btn"
+                  className="bg-blue-500 text-white font-semibold py-1 px-3 rounded-lg hover:bg-blue-600 transition duration-300 whitespace-nowrap"
+                  onClick={handleClaimOwnership}
+                >
+                  Převzít správu
+                </button>
+              </div>
+            )}
+            {renderAssignmentPicker(false)}
+            {renderPhaseInfo('submission')}
             <div className="bg-gray-50 p-4 rounded-xl mb-6 shadow-sm">
               <h3 className="font-bold text-gray-600 mb-2">Odeslat novou práci</h3>
               <div className="flex flex-col sm:flex-row items-stretch sm:items-end space-y-2 sm:space-y-0 sm:space-x-2">
@@ -668,25 +2017,33 @@ const App = () => {
                     <tr className="bg-gray-200 text-gray-600 uppercase text-sm leading-normal">
                       <th className="py-3 px-6 text-left">Odkaz</th>
                       <th className="py-3 px-6 text-left">Stav</th>
+                      <th className="py-3 px-6 text-left">Výsledné hodnocení</th>
                       <th className="py-3 px-6 text-left">Datum odeslání</th>
                       <th className="py-3 px-6 text-center">Akce</th>
                     </tr>
                   </thead>
                   <tbody className="text-gray-600 text-sm font-light">
-                    {dbData.submissions.filter((s) => s.author === currentUser.email).length === 0 ? (
+                    {assignmentSubmissions.filter((s) => s.author === currentUser.email).length === 0 ? (
                       <tr>
-                        <td colSpan="4" className="text-center py-4 text-gray-500">
+                        <td colSpan="5" className="text-center py-4 text-gray-500">
                           Zatím jste neodeslal žádnou práci.
                         </td>
                       </tr>
                     ) : (
-                      dbData.submissions
+                      assignmentSubmissions
                         .filter((s) => s.author === currentUser.email)
                         .map((sub) => {
-                          const reviewsDone = dbData.reviews.filter(
-                            (r) => r.submissionId === sub.id && r.status === 'finished'
+                          // Peer reviews done out of the required ones; staff
+                          // reviews come on top of them
+                          const reviewsDone = assignmentReviews.filter(
+                            (r) => isCurrentVersionReview(r, sub) && r.status === 'finished' && !r.staffReview
                           ).length;
-                          const reviewsNeeded = dbData.settings.reviewsPerSubmission;
+                          const hasFinishedReviews = assignmentReviews.some(
+                            (r) => r.submissionId === sub.id && (r.status === 'finished' || r.lastMessageAt)
+                          );
+                          const hasUnread = assignmentReviews.some((r) => r.submissionId === sub.id && hasUnreadThread(r));
+                          const reviewsNeeded = settings.reviewsPerSubmission;
+                          const result = gradesBySubmission.get(sub.id);
                           return (
                             <tr key={sub.id} className="border-b border-gray-200 hover:bg-gray-100">
                               <td className="py-3 px-6 text-left whitespace-nowrap">
@@ -698,12 +2055,15 @@ const App = () => {
                                 >
                                   {sub.link.length > 40 ? sub.link.substring(0, 37) + '...' : sub.link}
                                 </a>
+                                {getSubmissionVersion(sub) > 1 && (
+                                  <span className="ml-2 text-xs text-gray-500">verze {getSubmissionVersion(sub)}</span>
+                                )}
                               </td>
                               <td className="py-3 px-6 text-left">
                                 <span className="bg-gray-200 text-gray-600 py-1 px-3 rounded-full text-xs font-semibold">
                                   {reviewsDone} / {reviewsNeeded} Zkontrolováno
                                 </span>
-                                {reviewsDone > 0 && (
+                                {hasFinishedReviews && (
                                   <button
                                     onClick={() => showDetailModal(sub.id)}
                                     className="ml-2 text-blue-500 hover:underline text-xs"
@@ -711,9 +2071,40 @@ const App = () => {
                                     Zobrazit hodnocení
                                   </button>
                                 )}
+                                {hasUnread && (
+                                  <span className="ml-2 bg-red-500 text-white py-0.5 px-2 rounded-full text-xs font-semibold">
+                                    Nová zpráva
+                                  </span>
+                                )}
+                              </td>
+                              <td className="py-3 px-6 text-left">
+                                {result.grade !== null ? (
+                                  <span className="font-semibold">
+                                    {result.grade} / {settings.maxScore}
+                                  </span>
+                                ) : (
+                                  'Zatím nehodnoceno'
+                                )}
+                                {result.penalty > 0 && (
+                                  <div className="text-xs text-red-500">
+                                    Srážka {result.penalty} b. za {result.missingReviews} chybějící hodnocení
+                                  </div>
+                                )}
+                                {result.bonus > 0 && (
+                                  <div className="text-xs text-green-600">Bonus {result.bonus} b. za užitečná hodnocení</div>
+                                )}
                               </td>
                               <td className="py-3 px-6 text-left whitespace-nowrap">{sub.submissionDate}</td>
-                              <td className="py-3 px-6 text-center">
+                              <td className="py-3 px-6 text-center whitespace-nowrap">
+                                {!selectedAssignment.archived &&
+                                  !isClosed(selectedAssignment, currentUser.email, now) && (
+                                    <button
+                                      onClick={() => setResubmitSubmissionId(sub.id)}
+                                      className="bg-blue-200 text-blue-600 py-1 px-3 rounded-full text-xs hover:bg-blue-300 transition duration-200 mr-2"
+                                    >
+                                      Nová verze
+                                    </button>
+                                  )}
                                 <button
                                   onClick={() =>
                                     showConfirmModal(
@@ -736,8 +2127,13 @@ const App = () => {
               <div className="mt-4 text-sm text-gray-500">
                 <p>
                   <strong>Poznámka:</strong> Počet potřebných hodnocení je nastaven na
-                  {dbData.settings.reviewsPerSubmission}.
+                  {settings.reviewsPerSubmission}.
                 </p>
+                {anonymity === 'double-blind' && (
+                  <p className="mt-1">
+                    Úkol je hodnocen oboustranně anonymně. Odstraňte prosím své jméno z práce i z odkazu.
+                  </p>
+                )}
               </div>
             </div>
           </div>
@@ -745,6 +2141,8 @@ const App = () => {
         {activeTab === 'tab2' && (
           <div id="tab2" className="tab-content active">
             <h2 className="text-2xl font-semibold mb-4 text-gray-700">Hodnocení prací ostatních</h2>
+            {renderAssignmentPicker(false)}
+            {renderPhaseInfo('review')}
             <div className="bg-gray-50 p-4 rounded-xl mb-6 shadow-sm">
               <div className="flex items-center flex-wrap space-y-2 sm:space-y-0 space-x-0 sm:space-x-2">
                 <button
@@ -755,136 +2153,514 @@ const App = () => {
                   Získat práci k hodnocení
                 </button>
                 <span className="text-gray-600 text-sm">
-                  Máte k hodnocení {dbData.reviews.filter((r) => r.reviewer === currentUser.email).length}
-                  {' '}prací.
+                  Máte k hodnocení{' '}
+                  {
+                    assignmentReviews.filter(
+                      (r) => r.reviewer === currentUser.email && ['assigned', 'finished'].includes(r.status)
+                    ).length
+                  }{' '}
+                  prací.
                 </span>
               </div>
-            </div>
-            <div className="bg-gray-50 p-4 rounded-xl shadow-sm">
-              <h3 className="font-bold text-gray-600 mb-2">Práce k hodnocení</h3>
-              <div id="reviews-list" className="space-y-4">
-                {dbData.reviews.filter((r) => r.reviewer === currentUser.email).length === 0 ? (
-                  <p className="text-center text-gray-500 mt-4">
-                    V současné době nemáte žádné práce k hodnocení.
-                  </p>
+            </div>
+            <div className="bg-gray-50 p-4 rounded-xl shadow-sm">
+              <h3 className="font-bold text-gray-600 mb-2">Práce k hodnocení</h3>
+              <div id="reviews-list" className="space-y-4">
+                {assignmentReviews.filter((r) => r.reviewer === currentUser.email).length === 0 ? (
+                  <p className="text-center text-gray-500 mt-4">
+                    V současné době nemáte žádné práce k hodnocení.
+                  </p>
+                ) : (
+                  assignmentReviews
+                    .filter((r) => r.reviewer === currentUser.email)
+                    .map((review) => {
+                      const submission = dbData.submissions.find((s) => s.id === review.submissionId);
+                      if (!submission) return null;
+                      const authorLabel = canReviewerSeeAuthor(anonymity)
+                        ? submission.author
+                        : getAuthorAlias(
+                            review,
+                            assignmentReviews.filter((r) => r.reviewer === currentUser.email)
+                          );
+                      return (
+                        <div key={review.id} className="bg-white p-4 rounded-lg shadow">
+                          <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between space-y-2 sm:space-y-0">
+                            <div className="flex-1">
+                              <p className="font-medium text-gray-700">
+                                {authorLabel}
+                              </p>
+                              <a
+                                href={submission.link}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-blue-500 hover:underline font-medium break-all"
+                              >
+                                {canReviewerSeeAuthor(anonymity) ? submission.link : 'Otevřít práci'}
+                              </a>
+                              <p className="text-sm text-gray-500">
+                                Stav:{' '}
+                                <span
+                                  className={`py-1 px-2 rounded-full text-xs font-semibold ${
+                                    review.status === 'finished'
+                                      ? 'bg-green-200 text-green-600'
+                                      : 'bg-gray-200 text-gray-800'
+                                  }`}
+                                >
+                                  {REVIEW_STATUS_LABELS[review.status] || review.status}
+                                </span>
+                              </p>
+                              {review.status === 'returned' && (
+                                <p className="text-xs text-gray-500 mt-1">
+                                  Vráceno
+                                  {review.returnReason &&
+                                    ` – ${(RETURN_REASONS.find((r) => r.value === review.returnReason) || {}).label || review.returnReason}`}
+                                  {review.returnNote && `: ${review.returnNote}`}
+                                </p>
+                              )}
+                              {review.status === 'finished' && typeof review.helpfulness === 'number' && (
+                                <p className="text-sm text-gray-600 mt-1">
+                                  Užitečnost podle autora: <strong>{review.helpfulness} / {HELPFULNESS_MAX}</strong>
+                                  {review.authorReply && <span className="block italic">„{review.authorReply}“</span>}
+                                </p>
+                              )}
+                              {review.status === 'expired' && (
+                                <p className="text-xs text-gray-500 mt-1">
+                                  Práce byla uvolněna, protože nebyla ohodnocena do{' '}
+                                  {selectedAssignment.reviewExpiryDays} dnů od vyzvednutí.
+                                </p>
+                              )}
+                              {review.status === 'released' && (
+                                <p className="text-xs text-gray-500 mt-1">Práci vám odebral vyučující.</p>
+                              )}
+                            </div>
+                            <div className="mt-2 sm:mt-0 flex space-x-2">
+                              {review.status === 'assigned' && (
+                                <>
+                                  <button
+                                    onClick={() => showReviewModal(review.id)}
+                                    className="bg-green-500 text-white font-semibold py-1 px-3 rounded-lg hover:bg-green-600 transition duration-300"
+                                  >
+                                    Dokončit hodnocení
+                                  </button>
+                                  <button
+                                    onClick={() => setReturnReviewId(review.id)}
+                                    className="bg-gray-300 text-gray-800 font-semibold py-1 px-3 rounded-lg hover:bg-gray-400 transition duration-300"
+                                  >
+                                    Vrátit práci
+                                  </button>
+                                </>
+                              )}
+                              {review.status === 'finished' && (
+                                <span className="text-green-600 font-semibold">Dokončeno</span>
+                              )}
+                            </div>
+                          </div>
+                          <button
+                            onClick={() => setOpenThreadReviewId(openThreadReviewId === review.id ? null : review.id)}
+                            className="mt-2 text-sm text-blue-500 hover:underline"
+                          >
+                            {openThreadReviewId === review.id ? 'Skrýt diskusi' : 'Diskuse s autorem'}
+                            {hasUnreadThread(review) && (
+                              <span className="ml-2 bg-red-500 text-white py-0.5 px-2 rounded-full text-xs font-semibold">
+                                Nová zpráva
+                              </span>
+                            )}
+                          </button>
+                          {openThreadReviewId === review.id &&
+                            renderThread(review, { author: authorLabel, reviewer: review.reviewer })}
+                        </div>
+                      );
+                    })
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+        {activeTab === 'tab3' && isStaff && (
+          <div id="tab3" className="tab-content active">
+            <h2 className="text-2xl font-semibold mb-4 text-gray-700">Administrátorský panel</h2>
+            {legacyData && (
+              <div className="bg-yellow-50 p-4 rounded-xl mb-6 shadow-sm">
+                <h3 className="font-bold text-gray-600 mb-2">Data z předchozí verze</h3>
+                <p className="text-sm text-gray-600 mb-2">
+                  Nalezeno {legacyData.submissions} prací a {legacyData.reviews} hodnocení uložených starší verzí
+                  aplikace. Dokud je nepřevedete, práce bez úkolu se v aplikaci nezobrazují a ostatní se nenabízejí
+                  k hodnocení. Převod zařadí záznamy bez úkolu do nového úkolu „Původní úkol“ s dřívějším nastavením
+                  počtu hodnocení a maximálního počtu bodů.
+                </p>
+                <button
+                  id="migrate-legacy-btn"
+                  disabled={Boolean(bulkProgress)}
+                  className="bg-blue-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-blue-600 transition duration-300 whitespace-nowrap disabled:opacity-50"
+                  onClick={handleMigrateLegacyData}
+                >
+                  Převést data
+                </button>
+              </div>
+            )}
+            {can('manageStaff') && (
+              <div className="bg-gray-50 p-4 rounded-xl mb-6 shadow-sm">
+                <h3 className="font-bold text-gray-600 mb-2">Tým a role</h3>
+                <ul className="mb-4 space-y-2 text-sm text-gray-600">
+                  {staff.map((member) => (
+                    <li key={member.id} className="flex justify-between items-center bg-white p-2 rounded-lg shadow">
+                      <span>
+                        <strong>{member.id}</strong> – {ROLE_LABELS[member.role] || member.role}
+                      </span>
+                      {getManageableRoles(role).includes(member.role) && (
+                        <button
+                          onClick={() =>
+                            showConfirmModal(`Opravdu chcete odebrat ${member.id} z týmu?`, () =>
+                              handleRemoveStaff(member)
+                            )
+                          }
+                          className="bg-red-200 text-red-600 py-1 px-3 rounded-full text-xs hover:bg-red-300 transition duration-200"
+                        >
+                          Odebrat
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+                <div className="flex flex-col sm:flex-row items-stretch sm:items-end space-y-2 sm:space-y-0 sm:space-x-2">
+                  <input type="email" id="staff-email" placeholder="E-mail člena týmu" className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500" />
+                  <select id="staff-role" className="mt-1 px-4 py-2 border border-gray-300 rounded-lg sm:w-48 focus:outline-none focus:ring-2 focus:ring-green-500">
+                    {getManageableRoles(role).map((r) => (
+                      <option key={r} value={r}>
+                        {ROLE_LABELS[r]}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    id="add-staff-btn"
+                    className="bg-green-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-green-600 transition duration-300 whitespace-nowrap"
+                    onClick={handleAddStaff}
+                  >
+                    Přidat do týmu
+                  </button>
+                </div>
+              </div>
+            )}
+            {can('manageAssignments') && (
+              <div className="bg-gray-50 p-4 rounded-xl mb-6 shadow-sm">
+                <h3 className="font-bold text-gray-600 mb-2">Kurzy a úkoly</h3>
+                <div className="flex flex-col sm:flex-row items-stretch sm:items-end space-y-2 sm:space-y-0 sm:space-x-2 mb-4">
+                  <input
+                    type="text"
+                    id="new-course-name"
+                    placeholder="Název nového kurzu"
+                    className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+                  />
+                  <button
+                    id="add-course-btn"
+                    className="bg-green-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-green-600 transition duration-300 whitespace-nowrap"
+                    onClick={handleAddCourse}
+                  >
+                    Přidat kurz
+                  </button>
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div className="sm:col-span-2">
+                    <label htmlFor="new-assignment-course" className="block text-gray-600">
+                      Kurz:
+                    </label>
+                    <select id="new-assignment-course" className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500">
+                      {dbData.courses.map((course) => (
+                        <option key={course.id} value={course.id}>
+                          {course.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  {renderAssignmentFields('new-assignment', { ...DEFAULT_SETTINGS, title: '', description: '' })}
+                </div>
+                <div className="mt-4">
+                  <button
+                    id="add-assignment-btn"
+                    className="bg-green-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-green-600 transition duration-300 w-full sm:w-auto"
+                    onClick={handleAddAssignment}
+                  >
+                    Vytvořit úkol
+                  </button>
+                </div>
+              </div>
+            )}
+            {renderAssignmentPicker(true)}
+            {selectedAssignment && can('manageAssignments') && (
+              <div key={selectedAssignment.id} className="bg-gray-50 p-4 rounded-xl mb-6 shadow-sm">
+                <h3 className="font-bold text-gray-600 mb-2">
+                  Nastavení úkolu
+                  {selectedAssignment.archived && (
+                    <span className="ml-2 bg-gray-200 text-gray-600 py-1 px-3 rounded-full text-xs font-semibold">
+                      Archivováno
+                    </span>
+                  )}
+                </h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  {renderAssignmentFields('assignment', {
+                    ...selectedAssignment,
+                    maxScore: settings.maxScore,
+                  })}
+                </div>
+                <div className="mt-4 flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
+                  <button
+                    id="save-settings-btn"
+                    className="bg-green-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-green-600 transition duration-300 w-full sm:w-auto"
+                    onClick={handleSaveSettings}
+                  >
+                    Uložit nastavení
+                  </button>
+                  <button
+                    id="archive-assignment-btn"
+                    className="bg-gray-300 text-gray-800 font-semibold py-2 px-4 rounded-lg shadow hover:bg-gray-400 transition duration-300 w-full sm:w-auto"
+                    onClick={handleToggleArchiveAssignment}
+                  >
+                    {selectedAssignment.archived ? 'Obnovit z archivu' : 'Archivovat úkol'}
+                  </button>
+                </div>
+              </div>
+            )}
+            {selectedAssignment && can('manageAssignments') && (
+              <div className="bg-gray-50 p-4 rounded-xl mb-6 shadow-sm">
+                <h3 className="font-bold text-gray-600 mb-2">Prodloužení termínů</h3>
+                {(selectedAssignment.extensions || []).length > 0 && (
+                  <ul className="mb-4 space-y-2 text-sm text-gray-600">
+                    {selectedAssignment.extensions.map((extension) => (
+                      <li key={extension.email} className="flex justify-between items-center bg-white p-2 rounded-lg shadow">
+                        <span>
+                          <strong>{extension.email}</strong>
+                          {extension.submissionDeadline &&
+                            ` – odevzdání do ${formatDeadline(extension.submissionDeadline)}`}
+                          {extension.reviewDeadline && ` – hodnocení do ${formatDeadline(extension.reviewDeadline)}`}
+                        </span>
+                        <button
+                          onClick={() => handleRemoveExtension(extension.email)}
+                          className="bg-red-200 text-red-600 py-1 px-3 rounded-full text-xs hover:bg-red-300 transition duration-200"
+                        >
+                          Odebrat
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  <div>
+                    <label htmlFor="extension-email" className="block text-gray-600">
+                      E-mail studenta:
+                    </label>
+                    <input type="email" id="extension-email" className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500" />
+                  </div>
+                  <div>
+                    <label htmlFor="extension-submissionDeadline" className="block text-gray-600">
+                      Odevzdání do:
+                    </label>
+                    <input type="datetime-local" id="extension-submissionDeadline" className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500" />
+                  </div>
+                  <div>
+                    <label htmlFor="extension-reviewDeadline" className="block text-gray-600">
+                      Hodnocení do:
+                    </label>
+                    <input type="datetime-local" id="extension-reviewDeadline" className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500" />
+                  </div>
+                </div>
+                <div className="mt-4">
+                  <button
+                    id="add-extension-btn"
+                    className="bg-green-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-green-600 transition duration-300 w-full sm:w-auto"
+                    onClick={handleAddExtension}
+                  >
+                    Prodloužit termín
+                  </button>
+                </div>
+              </div>
+            )}
+            {selectedAssignment && can('manageAssignments') && (
+              <div className="bg-gray-50 p-4 rounded-xl mb-6 shadow-sm">
+                <h3 className="font-bold text-gray-600 mb-2">Hromadné přidělení hodnocení</h3>
+                <BulkAllocationPanel
+                  key={selectedAssignment.id}
+                  submissions={assignmentSubmissions}
+                  reviews={assignmentReviews}
+                  defaultReviewsEach={settings.reviewsPerSubmission}
+                  studentGroups={
+                    (dbData.courses.find((c) => c.id === selectedAssignment.courseId) || {}).studentGroups
+                  }
+                  onSaveGroups={handleSaveStudentGroups}
+                  onConfirm={handleBulkAllocate}
+                />
+              </div>
+            )}
+            {selectedAssignment && can('manageAssignments') && (
+              <div className="bg-gray-50 p-4 rounded-xl mb-6 shadow-sm">
+                <h3 className="font-bold text-gray-600 mb-2">Rubrika hodnocení</h3>
+                <RubricEditor
+                  key={`${selectedAssignment.id}-${JSON.stringify(rubric)}`}
+                  rubric={rubric}
+                  onSave={handleSaveRubric}
+                />
+              </div>
+            )}
+            {selectedAssignment && (
+              <div className="bg-gray-50 p-4 rounded-xl mb-6 shadow-sm">
+                <h3 className="font-bold text-gray-600 mb-2">Spolehlivost hodnocení</h3>
+                <ReliabilityPanel
+                  key={selectedAssignment.id}
+                  assignment={selectedAssignment}
+                  submissions={assignmentSubmissions}
+                  reviews={assignmentReviews}
+                  maxScore={settings.maxScore}
+                />
+              </div>
+            )}
+            {selectedAssignment && (
+              <div className="bg-gray-50 p-4 rounded-xl mb-6 shadow-sm">
+                <h3 className="font-bold text-gray-600 mb-2">Užitečnost recenzí</h3>
+                <HelpfulnessPanel assignment={selectedAssignment} reviews={assignmentReviews} />
+              </div>
+            )}
+            {selectedAssignment && (
+              <div className="bg-gray-50 p-4 rounded-xl mb-6 shadow-sm">
+                <div className="flex justify-between items-center mb-2">
+                  <h3 className="font-bold text-gray-600">Koš</h3>
+                  {can('deleteRecords') && trashItems.length > 0 && (
+                    <button
+                      disabled={Boolean(bulkProgress)}
+                      className="bg-red-200 text-red-600 py-1 px-3 rounded-full text-xs hover:bg-red-300 transition duration-200 disabled:opacity-50"
+                      onClick={() =>
+                        showConfirmModal('Opravdu chcete koš vysypat? Položky budou trvale smazány.', () =>
+                          handlePurgeTrash(trashItems)
+                        )
+                      }
+                    >
+                      Vysypat koš
+                    </button>
+                  )}
+                </div>
+                {trashItems.length === 0 ? (
+                  <p className="text-sm text-gray-600">Koš je prázdný.</p>
                 ) : (
-                  dbData.reviews
-                    .filter((r) => r.reviewer === currentUser.email)
-                    .map((review) => {
-                      const submission = dbData.submissions.find((s) => s.id === review.submissionId);
-                      if (!submission) return null;
-                      return (
-                        <div
-                          key={review.id}
-                          className="bg-white p-4 rounded-lg shadow flex flex-col sm:flex-row items-start sm:items-center justify-between space-y-2 sm:space-y-0"
-                        >
-                          <div className="flex-1">
-                            <a
-                              href={submission.link}
-                              target="_blank"
-                              rel="noopener noreferrer"
-                              className="text-blue-500 hover:underline font-medium break-all"
+                  <ul className="space-y-2 text-sm text-gray-600">
+                    {trashItems.map((item) => (
+                      <li
+                        key={`${item.type}-${item.id}`}
+                        className="flex flex-col sm:flex-row justify-between sm:items-center bg-white p-2 rounded-lg shadow"
+                      >
+                        <span>
+                          <strong>{item.label}</strong> – {item.detail}
+                          {item.reviewCount > 0 && ` (s ${item.reviewCount} hodnoceními)`}
+                          <span className="block text-xs text-gray-500">
+                            Smazáno {new Date(item.deletedAt).toLocaleString()}
+                            {item.deletedBy && ` (${item.deletedBy})`}
+                          </span>
+                        </span>
+                        <span className="flex space-x-2 mt-2 sm:mt-0">
+                          <button
+                            className="bg-green-200 text-green-700 py-1 px-3 rounded-full text-xs hover:bg-green-300 transition duration-200"
+                            onClick={() => handleRestoreFromTrash(item)}
+                          >
+                            Obnovit
+                          </button>
+                          {can('deleteRecords') && (
+                            <button
+                              className="bg-red-200 text-red-600 py-1 px-3 rounded-full text-xs hover:bg-red-300 transition duration-200"
+                              onClick={() =>
+                                showConfirmModal('Opravdu chcete položku trvale smazat?', () =>
+                                  handlePurgeTrash([item])
+                                )
+                              }
                             >
-                              {submission.link}
-                            </a>
-                            <p className="text-sm text-gray-500">
-                              Stav:{' '}
-                              <span
-                                className={`py-1 px-2 rounded-full text-xs font-semibold ${
-                                  review.status === 'finished'
-                                    ? 'bg-green-200 text-green-600'
-                                    : 'bg-gray-200 text-gray-800'
-                                }`}
-                              >
-                                {review.status === 'finished' ? 'Zkontrolováno' : 'Vyzvednuto'}
-                              </span>
-                            </p>
-                          </div>
-                          <div className="mt-2 sm:mt-0">
-                            {review.status !== 'finished' ? (
-                              <button
-                                onClick={() => showReviewModal(review.id)}
-                                className="bg-green-500 text-white font-semibold py-1 px-3 rounded-lg hover:bg-green-600 transition duration-300"
-                              >
-                                Dokončit hodnocení
-                              </button>
-                            ) : (
-                              <span className="text-green-600 font-semibold">Dokončeno</span>
-                            )}
-                          </div>
-                        </div>
-                      );
-                    })
+                              Smazat trvale
+                            </button>
+                          )}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
                 )}
               </div>
-            </div>
-          </div>
-        )}
-        {activeTab === 'tab3' && isTeacher && (
-          <div id="tab3" className="tab-content active">
-            <h2 className="text-2xl font-semibold mb-4 text-gray-700">Administrátorský panel</h2>
-            <div className="bg-gray-50 p-4 rounded-xl mb-6 shadow-sm">
-              <h3 className="font-bold text-gray-600 mb-2">Nastavení</h3>
-              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                <div>
-                  <label htmlFor="review-count" className="block text-gray-600">
-                    Počet hodnocení na práci:
-                  </label>
-                  <input
-                    type="number"
-                    id="review-count"
-                    min="1"
-                    defaultValue={dbData.settings.reviewsPerSubmission}
-                    className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
-                  />
-                </div>
-                <div>
-                  <label htmlFor="max-score" className="block text-gray-600">
-                    Maximální počet bodů:
+            )}
+            {can('deleteAllData') && (
+              <div className="bg-gray-50 p-4 rounded-xl mb-6 shadow-sm">
+                <h3 className="font-bold text-gray-600 mb-2">Záloha a obnovení</h3>
+                <p className="text-sm text-gray-600 mb-2">
+                  Záloha obsahuje kurzy, úkoly, práce, hodnocení i role. Role se při obnovení nezapisují.
+                  {lastBackupAt && ` Poslední záloha: ${new Date(lastBackupAt).toLocaleTimeString()}.`}
+                </p>
+                <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
+                  <button
+                    id="backup-btn"
+                    className="bg-blue-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-blue-600 transition duration-300 whitespace-nowrap"
+                    onClick={handleBackup}
+                  >
+                    Zálohovat
+                  </button>
+                  <select
+                    id="restore-mode"
+                    defaultValue="merge"
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                  >
+                    <option value="merge">Sloučit se současnými daty</option>
+                    <option value="replace">Nahradit současná data</option>
+                  </select>
+                  <label className="bg-gray-300 text-gray-800 font-semibold py-2 px-4 rounded-lg shadow hover:bg-gray-400 transition duration-300 whitespace-nowrap cursor-pointer text-center">
+                    Obnovit
+                    <input
+                      type="file"
+                      id="restore-file"
+                      accept="application/json,.json"
+                      className="hidden"
+                      onChange={handleRestoreFile}
+                    />
                   </label>
-                  <input
-                    type="number"
-                    id="max-score"
-                    min="0"
-                    max="100"
-                    defaultValue={dbData.settings.maxScore}
-                    className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
-                  />
                 </div>
               </div>
-              <div className="mt-4">
-                <button
-                  id="save-settings-btn"
-                  className="bg-green-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-green-600 transition duration-300 w-full sm:w-auto"
-                  onClick={handleSaveSettings}
-                >
-                  Uložit nastavení
-                </button>
-              </div>
-            </div>
+            )}
             <div className="bg-gray-50 p-4 rounded-xl shadow-sm">
               <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4 space-y-2 sm:space-y-0">
                 <h3 className="font-bold text-gray-600">Celkový přehled</h3>
                 <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
+                  <select
+                    id="export-format"
+                    value={exportFormat}
+                    onChange={(e) => setExportFormat(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                  >
+                    {EXPORT_FORMATS.map((format) => (
+                      <option key={format.value} value={format.value}>
+                        {format.label}
+                      </option>
+                    ))}
+                  </select>
+                  {exportFormat === 'csv' && (
+                    <select
+                      id="export-delimiter"
+                      defaultValue=";"
+                      className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                    >
+                      {CSV_DELIMITERS.map((delimiter) => (
+                        <option key={delimiter.value} value={delimiter.value}>
+                          {delimiter.label}
+                        </option>
+                      ))}
+                    </select>
+                  )}
                   <button
                     id="export-btn"
                     className="bg-blue-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-blue-600 transition duration-300 whitespace-nowrap"
-                    onClick={handleExportToExcel}
-                  >
-                    Export do Excelu
-                  </button>
-                  <button
-                    id="delete-all-btn"
-                    className="bg-red-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-red-600 transition duration-300 whitespace-nowrap"
-                    onClick={() =>
-                      showConfirmModal(
-                        'Opravdu chcete smazat VŠECHNA data? Tato akce je nevratná.',
-                        handleDeleteAllData
-                      )
-                    }
+                    onClick={() => handleExport(overviewRows)}
                   >
-                    Smazat vše
+                    Exportovat
                   </button>
+                  {can('deleteAllData') && (
+                    <button
+                      id="delete-all-btn"
+                      disabled={Boolean(bulkProgress)}
+                      className="bg-red-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-red-600 transition duration-300 whitespace-nowrap disabled:opacity-50"
+                      onClick={handleRequestDeleteAll}
+                    >
+                      Smazat vše
+                    </button>
+                  )}
                 </div>
               </div>
               {/* Column visibility controls */}
@@ -925,169 +2701,567 @@ const App = () => {
                   />
                   <span>Odkaz</span>
                 </label>
+                <label className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="rounded text-green-500"
+                    checked={columnVisibility.grade}
+                    onChange={() => toggleColumnVisibility('grade')}
+                  />
+                  <span>Výsledné hodnocení</span>
+                </label>
+              </div>
+              {/* Saved views: filters, sorting and columns kept in the profile */}
+              <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-600">
+                <span className="font-semibold">Pohledy:</span>
+                {overviewViews.length === 0 && <span className="text-gray-500">žádné uložené</span>}
+                {overviewViews.map((view) => (
+                  <span key={view.name} className="flex items-center bg-white border border-gray-300 rounded-full">
+                    <button onClick={() => handleApplyView(view)} className="py-1 pl-3 pr-1 hover:underline">
+                      {view.name}
+                    </button>
+                    <button
+                      onClick={() => handleDeleteView(view.name)}
+                      title="Smazat pohled"
+                      className="pr-3 pl-1 text-gray-400 hover:text-red-600"
+                    >
+                      &times;
+                    </button>
+                  </span>
+                ))}
+                <input
+                  id="view-name"
+                  type="text"
+                  maxLength="60"
+                  placeholder="Název pohledu"
+                  className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                />
+                <button
+                  onClick={handleSaveView}
+                  className="bg-gray-200 text-gray-700 py-1 px-3 rounded-lg hover:bg-gray-300 transition duration-200"
+                >
+                  Uložit aktuální pohled
+                </button>
+              </div>
+              {/* Filters: every applied filter is shown as a removable chip */}
+              <div className="flex flex-wrap items-center gap-2 mb-2 text-sm text-gray-600">
+                <input
+                  type="search"
+                  value={filters.comment || ''}
+                  onChange={(e) => setFilters((prev) => ({ ...prev, comment: e.target.value }))}
+                  placeholder="Hledat v komentářích…"
+                  className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                />
+                <select
+                  value={filterField}
+                  onChange={(e) => setFilterField(e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                >
+                  {FILTER_FIELDS.filter((field) => field.kind !== 'search').map((field) => (
+                    <option key={field.key} value={field.key}>
+                      {field.label}
+                    </option>
+                  ))}
+                </select>
+                <span key={filterField} className="flex items-center gap-1">
+                  {(() => {
+                    const inputClass =
+                      'px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500';
+                    const { kind } = FILTER_FIELDS.find((field) => field.key === filterField);
+                    if (kind === 'status') {
+                      return (
+                        <select id="filter-value" className={inputClass}>
+                          {Object.entries(OVERVIEW_STATUS_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                      );
+                    }
+                    if (kind === 'range') {
+                      return (
+                        <>
+                          <input id="filter-min" type="number" placeholder="od" className={`w-20 ${inputClass}`} />
+                          <span>–</span>
+                          <input id="filter-max" type="number" placeholder="do" className={`w-20 ${inputClass}`} />
+                        </>
+                      );
+                    }
+                    if (kind === 'dateRange') {
+                      return (
+                        <>
+                          <input id="filter-from" type="date" className={inputClass} />
+                          <span>–</span>
+                          <input id="filter-to" type="date" className={inputClass} />
+                        </>
+                      );
+                    }
+                    return <input id="filter-value" type="text" placeholder="obsahuje…" className={inputClass} />;
+                  })()}
+                </span>
+                <button
+                  onClick={handleAddFilter}
+                  className="bg-gray-200 text-gray-700 py-1 px-3 rounded-lg hover:bg-gray-300 transition duration-200"
+                >
+                  Přidat filtr
+                </button>
+              </div>
+              <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+                {Object.entries(filters)
+                  .filter(([key, value]) => !isEmptyFilter(key, value))
+                  .map(([key, value]) => (
+                    <span key={key} className="flex items-center bg-green-100 text-green-800 rounded-full py-1 px-3">
+                      {describeFilter(key, value)}
+                      <button
+                        onClick={() => removeFilter(key)}
+                        title="Odebrat filtr"
+                        className="ml-2 text-green-600 hover:text-red-600"
+                      >
+                        &times;
+                      </button>
+                    </span>
+                  ))}
+                {Object.keys(filters).length > 0 && (
+                  <button onClick={() => setFilters({})} className="text-blue-600 hover:underline">
+                    Zrušit filtry
+                  </button>
+                )}
+                <span className="text-xs text-gray-500 ml-auto">
+                  Řazení: klikněte na záhlaví sloupce, Shift+klik přidá další sloupec.
+                </span>
               </div>
+              {/* Bulk actions on the selected rows */}
+              {selectedRows.length > 0 && (
+                <div className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-blue-50 rounded-lg text-sm">
+                  <span className="text-gray-700">
+                    Vybráno {selectedRows.length} z {overviewRows.length}
+                  </span>
+                  {selectedRows.length < overviewRows.length && (
+                    <button onClick={() => toggleAllRowsSelection(overviewRows)} className="text-blue-600 hover:underline">
+                      Vybrat všech {overviewRows.length}
+                    </button>
+                  )}
+                  <button onClick={() => setSelectedRows([])} className="text-blue-600 hover:underline">
+                    Zrušit výběr
+                  </button>
+                  <span className="flex-1"></span>
+                  {can('deleteRecords') && (
+                    <button
+                      disabled={Boolean(bulkProgress)}
+                      onClick={handleBulkDelete}
+                      className="bg-red-200 text-red-600 py-1 px-3 rounded-full hover:bg-red-300 transition duration-200 disabled:opacity-50"
+                    >
+                      Smazat
+                    </button>
+                  )}
+                  {can('overrideReviews') && (
+                    <>
+                      <button
+                        disabled={Boolean(bulkProgress)}
+                        onClick={handleBulkRelease}
+                        className="bg-blue-200 text-blue-600 py-1 px-3 rounded-full hover:bg-blue-300 transition duration-200 disabled:opacity-50"
+                      >
+                        Uvolnit vyzvednuté
+                      </button>
+                      <button
+                        disabled={Boolean(bulkProgress)}
+                        onClick={() => handleBulkExclusion(true)}
+                        className="bg-blue-200 text-blue-600 py-1 px-3 rounded-full hover:bg-blue-300 transition duration-200 disabled:opacity-50"
+                      >
+                        Vyřadit z hodnocení
+                      </button>
+                      <button
+                        disabled={Boolean(bulkProgress)}
+                        onClick={() => handleBulkExclusion(false)}
+                        className="bg-blue-200 text-blue-600 py-1 px-3 rounded-full hover:bg-blue-300 transition duration-200 disabled:opacity-50"
+                      >
+                        Zahrnout do hodnocení
+                      </button>
+                      <select
+                        id="bulk-reviewer"
+                        defaultValue=""
+                        className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                      >
+                        <option value="" disabled>
+                          Recenzent…
+                        </option>
+                        {[...new Set(assignmentSubmissions.map((sub) => sub.author))].sort().map((email) => (
+                          <option key={email} value={email}>
+                            {email}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        disabled={Boolean(bulkProgress)}
+                        onClick={handleBulkReassign}
+                        className="bg-blue-200 text-blue-600 py-1 px-3 rounded-full hover:bg-blue-300 transition duration-200 disabled:opacity-50"
+                      >
+                        Přesunout
+                      </button>
+                    </>
+                  )}
+                  <button
+                    onClick={() => handleExport(overviewRows.filter((row) => selectedRows.includes(row.id)))}
+                    className="bg-gray-200 text-gray-700 py-1 px-3 rounded-full hover:bg-gray-300 transition duration-200"
+                  >
+                    Exportovat výběr
+                  </button>
+                </div>
+              )}
               {/* Table for aggregated data */}
-              <div className="overflow-x-auto relative">
+              <div
+                id="overview-table"
+                className="overflow-auto relative max-h-[70vh]"
+                onScroll={(e) => setOverviewScrollTop(e.currentTarget.scrollTop)}
+              >
                 <table className="min-w-full bg-white rounded-xl shadow overflow-hidden">
-                  <thead>
+                  <thead className="sticky top-0 z-10">
                     <tr className="bg-gray-200 text-gray-600 uppercase text-sm leading-normal">
+                      <th className="py-3 px-3 text-center">
+                        <input
+                          type="checkbox"
+                          title="Vybrat vše podle filtru"
+                          checked={overviewRows.length > 0 && overviewRows.every((row) => selectedRows.includes(row.id))}
+                          onChange={() => toggleAllRowsSelection(overviewRows)}
+                        />
+                      </th>
                       {columnVisibility.sender && (
                         <th
                           className="py-3 px-6 text-left cursor-pointer"
-                          onClick={() => handleSort('sender')}
+                          onClick={(event) => handleSort('sender', event.shiftKey)}
                         >
                           Odesilatel
+                          {renderSortIndicator('sender')}
                         </th>
                       )}
                       {columnVisibility.link && (
                         <th
                           className="py-3 px-6 text-left cursor-pointer"
-                          onClick={() => handleSort('submissionLink')}
+                          onClick={(event) => handleSort('submissionLink', event.shiftKey)}
                         >
                           Odkaz
+                          {renderSortIndicator('submissionLink')}
                         </th>
                       )}
                       {columnVisibility.reviewer && (
                         <th
                           className="py-3 px-6 text-left cursor-pointer"
-                          onClick={() => handleSort('reviewer')}
+                          onClick={(event) => handleSort('reviewer', event.shiftKey)}
                         >
                           Recenzent
+                          {renderSortIndicator('reviewer')}
                         </th>
                       )}
                       {columnVisibility.status && (
                         <th
                           className="py-3 px-6 text-left cursor-pointer"
-                          onClick={() => handleSort('status')}
+                          onClick={(event) => handleSort('status', event.shiftKey)}
                         >
                           Stav recenze
+                          {renderSortIndicator('status')}
                         </th>
                       )}
                       {columnVisibility.submissionDate && (
                         <th
                           className="py-3 px-6 text-left cursor-pointer"
-                          onClick={() => handleSort('submissionDate')}
+                          onClick={(event) => handleSort('submissionDate', event.shiftKey)}
                         >
                           Datum odeslání
+                          {renderSortIndicator('submissionDate')}
                         </th>
                       )}
                       {columnVisibility.pickupDate && (
                         <th
                           className="py-3 px-6 text-left cursor-pointer"
-                          onClick={() => handleSort('pickupDate')}
+                          onClick={(event) => handleSort('pickupDate', event.shiftKey)}
                         >
                           Datum vyzvednutí
+                          {renderSortIndicator('pickupDate')}
                         </th>
                       )}
                       {columnVisibility.correctionDate && (
                         <th
                           className="py-3 px-6 text-left cursor-pointer"
-                          onClick={() => handleSort('correctionDate')}
+                          onClick={(event) => handleSort('correctionDate', event.shiftKey)}
                         >
                           Datum opravy
+                          {renderSortIndicator('correctionDate')}
                         </th>
                       )}
                       {columnVisibility.score && (
                         <th
                           className="py-3 px-6 text-left cursor-pointer"
-                          onClick={() => handleSort('score')}
+                          onClick={(event) => handleSort('score', event.shiftKey)}
                         >
                           Hodnocení
+                          {renderSortIndicator('score')}
+                        </th>
+                      )}
+                      {columnVisibility.grade && (
+                        <th
+                          className="py-3 px-6 text-left cursor-pointer"
+                          onClick={(event) => handleSort('grade', event.shiftKey)}
+                        >
+                          Výsledek
+                          {renderSortIndicator('grade')}
                         </th>
                       )}
                       {columnVisibility.comment && (
                         <th
                           className="py-3 px-6 text-left cursor-pointer"
-                          onClick={() => handleSort('comment')}
+                          onClick={(event) => handleSort('comment', event.shiftKey)}
                         >
                           Komentář
+                          {renderSortIndicator('comment')}
                         </th>
                       )}
                       <th className="py-3 px-6 text-center">Akce</th>
                     </tr>
                   </thead>
                   <tbody className="text-gray-600 text-sm font-light">
-                    {filteredAndSortedReviews().length === 0 ? (
+                    {overviewRows.length === 0 ? (
                       <tr>
-                        <td colSpan="10" className="text-center py-4 text-gray-500">
+                        <td colSpan="12" className="text-center py-4 text-gray-500">
                           Žádné záznamy neodpovídají filtrům.
                         </td>
                       </tr>
                     ) : (
-                      filteredAndSortedReviews().map((item) => {
-                        // Determine the unique key for row (review id or submission id)
-                        const recordId = item.type === 'submission' ? item.id : item.id;
-                        const statusColor =
-                          item.status === 'finished'
-                            ? 'bg-green-200 text-green-600'
-                            : item.status === 'assigned'
-                            ? 'bg-yellow-200 text-yellow-600'
-                            : 'bg-red-200 text-red-600';
-                        return (
-                          <tr key={recordId} className="border-b border-gray-200 hover:bg-gray-100">
-                            {columnVisibility.sender && <td className="py-3 px-6 text-left">{item.sender}</td>}
-                            {columnVisibility.link && (
-                              <td className="py-3 px-6 text-left">
-                                <a
-                                  href={item.submissionLink}
-                                  target="_blank"
-                                  rel="noopener noreferrer"
-                                  className="text-blue-500 hover:underline break-all"
-                                >
-                                  {item.submissionLink.length > 40
-                                    ? item.submissionLink.substring(0, 37) + '...'
-                                    : item.submissionLink}
-                                </a>
-                              </td>
-                            )}
-                            {columnVisibility.reviewer && <td className="py-3 px-6 text-left">{item.reviewer || 'N/A'}</td>}
-                            {columnVisibility.status && (
-                              <td className="py-3 px-6 text-left">
-                                <span className={`py-1 px-2 rounded-full text-xs font-semibold ${statusColor}`}>
-                                  {item.statusText}
-                                </span>
-                              </td>
-                            )}
-                            {columnVisibility.submissionDate && <td className="py-3 px-6 text-left">{item.submissionDate || 'N/A'}</td>}
-                            {columnVisibility.pickupDate && <td className="py-3 px-6 text-left">{item.pickupDate || 'N/A'}</td>}
-                            {columnVisibility.correctionDate && <td className="py-3 px-6 text-left">{item.correctionDate || 'N/A'}</td>}
-                            {columnVisibility.score && (
-                              <td className="py-3 px-6 text-left">
-                                {item.score !== null ? `${item.score} / ${dbData.settings.maxScore}` : 'N/A'}
+                      <>
+                        {overviewWindow.first > 0 && (
+                          <tr style={{ height: overviewWindow.first * overviewRowHeight }} aria-hidden="true" />
+                        )}
+                        {overviewRows.slice(overviewWindow.first, overviewWindow.last).map((item) => {
+                          // Determine the unique key for row (review id or submission id)
+                          const recordId = item.type === 'submission' ? item.id : item.id;
+                          const statusColor =
+                            item.status === 'finished'
+                              ? 'bg-green-200 text-green-600'
+                              : item.status === 'assigned'
+                              ? 'bg-yellow-200 text-yellow-600'
+                              : ['returned', 'expired', 'released'].includes(item.status)
+                              ? 'bg-gray-200 text-gray-600'
+                              : 'bg-red-200 text-red-600';
+                          return (
+                            <tr key={recordId} data-overview-row className="border-b border-gray-200 hover:bg-gray-100">
+                              <td className="py-3 px-3 text-center">
+                                <input
+                                  type="checkbox"
+                                  checked={selectedRows.includes(recordId)}
+                                  onChange={() => toggleRowSelection(recordId)}
+                                />
                               </td>
-                            )}
-                            {columnVisibility.comment && (
-                              <td className="py-3 px-6 text-left">{item.comment || 'Žádná poznámka'}</td>
-                            )}
-                            <td className="py-3 px-6 text-center">
-                              <button
-                                onClick={() =>
-                                  showConfirmModal(
-                                    'Opravdu chcete smazat tento záznam?',
-                                    () => {
-                                      if (item.type === 'submission') {
-                                        handleDeleteSubmission(item.id);
-                                      } else {
-                                        handleDeleteReview(item.id);
+                              {columnVisibility.sender && <td className="py-3 px-6 text-left">{item.sender}</td>}
+                              {columnVisibility.link && (
+                                <td className="py-3 px-6 text-left">
+                                  <a
+                                    href={item.submissionLink}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="text-blue-500 hover:underline break-all"
+                                  >
+                                    {item.submissionLink.length > 40
+                                      ? item.submissionLink.substring(0, 37) + '...'
+                                      : item.submissionLink}
+                                  </a>
+                                  {item.currentVersion > 1 && (
+                                    <button
+                                      onClick={() => showDetailModal(item.type === 'submission' ? item.id : item.submissionId)}
+                                      className="block text-xs text-gray-500 hover:underline"
+                                    >
+                                      {item.submissionVersion < item.currentVersion
+                                        ? `Hodnocení verze ${item.submissionVersion} z ${item.currentVersion}`
+                                        : `Verze ${item.currentVersion} – porovnat`}
+                                    </button>
+                                  )}
+                                  {item.type === 'review' && item.lastMessageAt && (
+                                    <button
+                                      onClick={() => showDetailModal(item.submissionId)}
+                                      className="block text-xs text-gray-500 hover:underline"
+                                    >
+                                      Diskuse
+                                      {hasUnreadThread(item) && (
+                                        <span className="ml-1 bg-red-500 text-white py-0.5 px-2 rounded-full font-semibold">
+                                          Nová zpráva
+                                        </span>
+                                      )}
+                                    </button>
+                                  )}
+                                </td>
+                              )}
+                              {columnVisibility.reviewer && <td className="py-3 px-6 text-left">{item.reviewer || 'N/A'}</td>}
+                              {columnVisibility.status && (
+                                <td className="py-3 px-6 text-left">
+                                  <span className={`py-1 px-2 rounded-full text-xs font-semibold ${statusColor}`}>
+                                    {item.statusText}
+                                  </span>
+                                  {item.excludedFromGrading && (
+                                    <div className="text-xs text-gray-500 mt-1 whitespace-nowrap">Vyřazeno z hodnocení</div>
+                                  )}
+                                </td>
+                              )}
+                              {columnVisibility.submissionDate && <td className="py-3 px-6 text-left">{item.submissionDate || 'N/A'}</td>}
+                              {columnVisibility.pickupDate && <td className="py-3 px-6 text-left">{item.pickupDate || 'N/A'}</td>}
+                              {columnVisibility.correctionDate && <td className="py-3 px-6 text-left">{item.correctionDate || 'N/A'}</td>}
+                              {columnVisibility.score && (
+                                <td className="py-3 px-6 text-left">
+                                  {item.override ? (
+                                    <>
+                                      <span className="font-semibold">
+                                        {item.override.score} / {settings.maxScore}
+                                      </span>
+                                      <div className="text-xs text-gray-500 whitespace-nowrap">
+                                        přepsáno, původně {item.score !== null ? item.score : 'N/A'}
+                                      </div>
+                                    </>
+                                  ) : item.score !== null ? (
+                                    `${item.score} / ${settings.maxScore}`
+                                  ) : (
+                                    'N/A'
+                                  )}
+                                  {getCriteriaBreakdown(rubric, item.criteria).map((entry) => (
+                                    <div key={entry.id} className="text-xs text-gray-500 whitespace-nowrap">
+                                      {entry.name}: {entry.score} / {entry.maxPoints}
+                                    </div>
+                                  ))}
+                                </td>
+                              )}
+                              {columnVisibility.grade && (
+                                <td className="py-3 px-6 text-left whitespace-nowrap">
+                                  {item.grade !== null ? `${item.grade} / ${settings.maxScore}` : 'N/A'}
+                                </td>
+                              )}
+                              {columnVisibility.comment && (
+                                <td className="py-3 px-6 text-left">
+                                  {item.comment || 'Žádná poznámka'}
+                                  {item.override && item.override.comment && (
+                                    <div className="text-xs text-gray-500">Vyučující: {item.override.comment}</div>
+                                  )}
+                                </td>
+                              )}
+                              <td className="py-3 px-6 text-center">
+                                {can('overrideReviews') && (
+                                  <div className="flex flex-wrap justify-center gap-1 mb-1">
+                                    {item.type === 'review' && item.status === 'finished' && (
+                                      <button
+                                        onClick={() =>
+                                          setStaffAction({ kind: 'override', submissionId: item.submissionId, reviewId: item.id })
+                                        }
+                                        className="bg-blue-200 text-blue-600 py-1 px-3 rounded-full text-xs hover:bg-blue-300 transition duration-200"
+                                      >
+                                        Přepsat
+                                      </button>
+                                    )}
+                                    {item.type === 'review' && item.override && (
+                                      <button
+                                        onClick={() => handleRevertOverride(dbData.reviews.find((r) => r.id === item.id))}
+                                        className="bg-gray-200 text-gray-600 py-1 px-3 rounded-full text-xs hover:bg-gray-300 transition duration-200"
+                                      >
+                                        Zrušit přepsání
+                                      </button>
+                                    )}
+                                    {item.type === 'review' && item.status === 'assigned' && (
+                                      <button
+                                        onClick={() =>
+                                          setStaffAction({ kind: 'move', submissionId: item.submissionId, reviewId: item.id })
+                                        }
+                                        className="bg-blue-200 text-blue-600 py-1 px-3 rounded-full text-xs hover:bg-blue-300 transition duration-200"
+                                      >
+                                        Přesunout
+                                      </button>
+                                    )}
+                                    <button
+                                      onClick={() =>
+                                        setStaffAction({
+                                          kind: 'assign',
+                                          submissionId: item.type === 'submission' ? item.id : item.submissionId,
+                                          reviewId: null,
+                                        })
                                       }
+                                      className="bg-blue-200 text-blue-600 py-1 px-3 rounded-full text-xs hover:bg-blue-300 transition duration-200"
+                                    >
+                                      Přidělit
+                                    </button>
+                                    <button
+                                      onClick={() => handleTeacherReview(item.type === 'submission' ? item.id : item.submissionId)}
+                                      className="bg-green-200 text-green-600 py-1 px-3 rounded-full text-xs hover:bg-green-300 transition duration-200"
+                                    >
+                                      Vlastní hodnocení
+                                    </button>
+                                  </div>
+                                )}
+                                {can('deleteRecords') && (
+                                  <button
+                                    onClick={() =>
+                                      showConfirmModal(
+                                        'Opravdu chcete smazat tento záznam?',
+                                        () => {
+                                          if (item.type === 'submission') {
+                                            handleDeleteSubmission(item.id);
+                                          } else {
+                                            handleDeleteReview(item.id);
+                                          }
+                                        }
+                                      )
                                     }
-                                  )
-                                }
-                                className="bg-red-200 text-red-600 py-1 px-3 rounded-full text-xs hover:bg-red-300 transition duration-200"
-                              >
-                                Smazat
-                              </button>
-                            </td>
-                          </tr>
-                        );
-                      })
+                                    className="bg-red-200 text-red-600 py-1 px-3 rounded-full text-xs hover:bg-red-300 transition duration-200"
+                                  >
+                                    Smazat
+                                  </button>
+                                )}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                        {overviewWindow.last < overviewRows.length && (
+                          <tr
+                            style={{ height: (overviewRows.length - overviewWindow.last) * overviewRowHeight }}
+                            aria-hidden="true"
+                          />
+                        )}
+                      </>
                     )}
                   </tbody>
                 </table>
               </div>
+              {overviewRows.length > 0 && (
+                <div className="mt-4 text-sm text-gray-600">Záznamů: {overviewRows.length}</div>
+              )}
             </div>
           </div>
         )}
+        {activeTab === 'tab4' && isStaff && (
+          <div id="tab4" className="tab-content active">
+            <h2 className="text-2xl font-semibold mb-4 text-gray-700">Statistiky úkolu</h2>
+            {renderAssignmentPicker(true)}
+            {selectedAssignment && (
+              <DashboardPanel
+                submissions={assignmentSubmissions}
+                reviews={assignmentReviews}
+                reviewsPerSubmission={settings.reviewsPerSubmission}
+                maxScore={settings.maxScore}
+              />
+            )}
+          </div>
+        )}
+        {activeTab === 'tab5' && isStaff && (
+          <div id="tab5" className="tab-content active">
+            <h2 className="text-2xl font-semibold mb-4 text-gray-700">Historie změn</h2>
+            <label className="flex items-center space-x-2 text-sm text-gray-600 mb-4">
+              <input type="checkbox" checked={auditGeneral} onChange={(e) => setAuditGeneral(e.target.checked)} />
+              <span>Zobrazit obecné změny (role, kurzy, zálohy) místo změn úkolu</span>
+            </label>
+            {!auditGeneral && renderAssignmentPicker(true)}
+            <AuditLogPanel
+              entries={auditLog}
+              filters={auditFilters}
+              onFiltersChange={setAuditFilters}
+              submissions={auditGeneral ? [] : assignmentSubmissions}
+              hasMore={auditLog.length >= auditCount}
+              onLoadMore={() => setAuditCount((count) => count + AUDIT_LOG_PAGE_SIZE)}
+            />
+          </div>
+        )}
         {/* Review modal */}
         {reviewModalOpen && (
           <div id="review-modal" className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -1101,20 +3275,62 @@ const App = () => {
                   &times;
                 </button>
               </div>
-              <div className="mb-4">
-                <label htmlFor="review-score" className="block text-gray-700">
-                  Hodnocení (0-{dbData.settings.maxScore} bodů):
-                </label>
-                <input
-                  type="number"
-                  id="review-score"
-                  min="0"
-                  max={dbData.settings.maxScore}
-                  value={reviewScore}
-                  onChange={(e) => setReviewScore(e.target.value)}
-                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-green-500 focus:border-green-500"
-                />
-              </div>
+              {rubric.length > 0 ? (
+                <div className="mb-4 space-y-4 max-h-96 overflow-y-auto">
+                  {rubric.map((criterion) => {
+                    const entry = reviewCriteria[criterion.id] || { score: '', comment: '' };
+                    const updateEntry = (field, value) =>
+                      setReviewCriteria((prev) => ({
+                        ...prev,
+                        [criterion.id]: { ...entry, [field]: value },
+                      }));
+                    return (
+                      <div key={criterion.id} className="p-4 rounded-lg border border-gray-200">
+                        <label htmlFor={`review-criterion-${criterion.id}`} className="block text-gray-700 font-semibold">
+                          {criterion.name} (0-{criterion.maxPoints} bodů):
+                        </label>
+                        {criterion.descriptors && (
+                          <p className="text-xs text-gray-500 whitespace-pre-line">{criterion.descriptors}</p>
+                        )}
+                        <input
+                          type="number"
+                          id={`review-criterion-${criterion.id}`}
+                          min="0"
+                          max={criterion.maxPoints}
+                          value={entry.score}
+                          onChange={(e) => updateEntry('score', e.target.value)}
+                          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-green-500 focus:border-green-500"
+                        />
+                        <textarea
+                          rows="2"
+                          placeholder="Komentář ke kritériu"
+                          value={entry.comment}
+                          onChange={(e) => updateEntry('comment', e.target.value)}
+                          className="mt-2 block w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-green-500 focus:border-green-500"
+                        ></textarea>
+                      </div>
+                    );
+                  })}
+                  <p className="text-gray-700">
+                    <strong>Celkem:</strong> {computeRubricTotal(rubric, reviewCriteria)} / {settings.maxScore} bodů
+                  </p>
+                </div>
+              ) : (
+                <div className="mb-4">
+                  <label htmlFor="review-score" className="block text-gray-700">
+                    Hodnocení (0-{settings.maxScore} bodů):
+                  </label>
+                  <input
+                    type="number"
+                    id="review-score"
+                    min="0"
+                    max={settings.maxScore}
+                    value={reviewScore}
+                    onChange={(e) => setReviewScore(e.target.value)}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-green-500 focus:border-green-500"
+                  />
+                </div>
+              )}
               <div className="mb-4">
                 <label htmlFor="review-comment" className="block text-gray-700">
                   Poznámka:
@@ -1139,6 +3355,181 @@ const App = () => {
             </div>
           </div>
         )}
+        {/* Return modal for giving an assigned work back */}
+        {returnReviewId && (
+          <div id="return-modal" className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-lg mx-auto">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-bold">Vrátit práci</h3>
+                <button className="text-gray-500 hover:text-gray-700 text-2xl" onClick={() => setReturnReviewId(null)}>
+                  &times;
+                </button>
+              </div>
+              <p className="text-sm text-gray-600 mb-4">
+                Práce se uvolní pro jiného hodnotitele a vám už nebude znovu přidělena.
+              </p>
+              <label htmlFor="return-reason" className="block text-gray-700 font-semibold">
+                Důvod:
+              </label>
+              <select
+                id="return-reason"
+                className="mt-1 mb-4 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+              >
+                {RETURN_REASONS.map((reason) => (
+                  <option key={reason.value} value={reason.value}>
+                    {reason.label}
+                  </option>
+                ))}
+              </select>
+              <label htmlFor="return-note" className="block text-gray-700 font-semibold">
+                Poznámka (nepovinné):
+              </label>
+              <textarea
+                id="return-note"
+                rows="2"
+                className="mt-1 mb-4 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+              ></textarea>
+              <button
+                id="return-btn"
+                className="w-full bg-green-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-green-600 transition duration-300"
+                onClick={handleReturnReview}
+              >
+                Vrátit práci
+              </button>
+            </div>
+          </div>
+        )}
+        {/* Progress of a running batched write */}
+        {bulkProgress && (
+          <div className="fixed bottom-4 right-4 bg-white p-4 rounded-xl shadow-2xl w-80 z-40 text-sm text-gray-600">
+            <div className="flex justify-between mb-1">
+              <span className="font-semibold">{bulkProgress.label}…</span>
+              {bulkProgress.total > 0 && (
+                <span>
+                  {bulkProgress.done} / {bulkProgress.total}
+                </span>
+              )}
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className="bg-green-500 h-2 rounded-full transition-all duration-300"
+                style={{ width: `${bulkProgress.total > 0 ? (bulkProgress.done / bulkProgress.total) * 100 : 0}%` }}
+              ></div>
+            </div>
+            <p className="text-xs text-gray-500 mt-1">Nezavírejte prosím stránku, dokud akce neskončí.</p>
+          </div>
+        )}
+        {/* Staff action modal for overriding, assigning and moving reviews */}
+        {staffAction && (
+          <div id="staff-action-modal" className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-lg mx-auto">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-bold">
+                  {staffAction.kind === 'override'
+                    ? 'Přepsat hodnocení'
+                    : staffAction.kind === 'assign'
+                    ? 'Přidělit recenzenta'
+                    : 'Přesunout hodnocení'}
+                </h3>
+                <button className="text-gray-500 hover:text-gray-700 text-2xl" onClick={() => setStaffAction(null)}>
+                  &times;
+                </button>
+              </div>
+              {staffAction.kind === 'override' ? (
+                <>
+                  <p className="text-sm text-gray-600 mb-4">
+                    Původní hodnocení recenzenta zůstane zachováno, do výsledku se však započítá vaše.
+                  </p>
+                  <label htmlFor="override-score" className="block text-gray-700 font-semibold">
+                    Body (0-{settings.maxScore}):
+                  </label>
+                  <input
+                    type="number"
+                    id="override-score"
+                    min="0"
+                    max={settings.maxScore}
+                    defaultValue={staffActionReview ? getEffectiveScore(staffActionReview) : ''}
+                    className="mt-1 mb-4 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+                  />
+                  <label htmlFor="override-comment" className="block text-gray-700 font-semibold">
+                    Komentář vyučujícího:
+                  </label>
+                  <textarea
+                    id="override-comment"
+                    rows="3"
+                    defaultValue={staffActionReview && staffActionReview.override ? staffActionReview.override.comment : ''}
+                    className="mt-1 mb-4 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+                  ></textarea>
+                </>
+              ) : (
+                <>
+                  <p className="text-sm text-gray-600 mb-4">
+                    {staffAction.kind === 'assign'
+                      ? 'Práce bude přidělena vybranému studentovi i nad požadovaný počet hodnocení.'
+                      : 'Nedokončené hodnocení převezme vybraný student; dosavadní recenzent o ně přijde.'}
+                  </p>
+                  <label htmlFor="staff-action-reviewer" className="block text-gray-700 font-semibold">
+                    Recenzent:
+                  </label>
+                  <select
+                    id="staff-action-reviewer"
+                    defaultValue=""
+                    className="mt-1 mb-4 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+                  >
+                    <option value="" disabled>
+                      Vyberte studenta…
+                    </option>
+                    {staffActionSubmission &&
+                      getEligibleReviewers(staffActionSubmission).map((email) => (
+                        <option key={email} value={email}>
+                          {email}
+                        </option>
+                      ))}
+                  </select>
+                </>
+              )}
+              <button
+                id="staff-action-btn"
+                className="w-full bg-green-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-green-600 transition duration-300"
+                onClick={handleStaffAction}
+              >
+                Uložit
+              </button>
+            </div>
+          </div>
+        )}
+        {/* Resubmission modal for uploading a revised version */}
+        {resubmitSubmissionId && (
+          <div id="resubmit-modal" className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-lg mx-auto">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-bold">Odeslat novou verzi</h3>
+                <button
+                  className="text-gray-500 hover:text-gray-700 text-2xl"
+                  onClick={() => setResubmitSubmissionId(null)}
+                >
+                  &times;
+                </button>
+              </div>
+              <p className="text-sm text-gray-600 mb-4">
+                Hodnocení dosavadní verze zůstanou zachována a nová verze bude znovu hodnocena.
+              </p>
+              <input
+                type="url"
+                id="resubmit-link-input"
+                placeholder="Vložte odkaz na novou verzi práce (např. Google Docs, GitHub...)"
+                className="px-4 py-2 border border-gray-300 rounded-lg w-full mb-4 focus:outline-none focus:ring-2 focus:ring-green-500"
+              />
+              <button
+                id="resubmit-btn"
+                className="w-full bg-green-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-green-600 transition duration-300"
+                onClick={handleResubmit}
+              >
+                Odeslat novou verzi
+              </button>
+            </div>
+          </div>
+        )}
         {/* Confirmation / message modal */}
         {confirmModalOpen && (
           <div id="confirm-modal" className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -1180,6 +3571,15 @@ const App = () => {
             </div>
           </div>
         )}
+        {/* Notice offering to undo the last deletion */}
+        {undoNotice && (
+          <div className="fixed bottom-4 left-1/2 transform -translate-x-1/2 bg-gray-800 text-white py-3 px-4 rounded-lg shadow-lg flex items-center space-x-4 z-40">
+            <span>{undoNotice.message}</span>
+            <button className="font-semibold text-green-400 hover:text-green-300" onClick={handleUndoDelete}>
+              Vrátit zpět
+            </button>
+          </div>
+        )}
         {/* Detail modal for viewing all reviews of a submission */}
         {detailModalOpen && (
           <div id="detail-modal" className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -1193,24 +3593,144 @@ const App = () => {
                   &times;
                 </button>
               </div>
-              <div className="space-y-4">
-                {dbData.reviews.filter((r) => r.submissionId === currentSubmissionId).length > 0 ? (
-                  dbData.reviews
-                    .filter((r) => r.submissionId === currentSubmissionId)
-                    .map((review) => (
-                      <div key={review.id} className="p-4 rounded-lg border border-gray-200">
-                        <p>
-                          <strong>Recenzent:</strong> {review.reviewer}
-                        </p>
-                        <p>
-                          <strong>Hodnocení:</strong>{' '}
-                          {review.score !== null ? `${review.score} / ${dbData.settings.maxScore}` : 'Nezadáno'}
-                        </p>
-                        <p>
-                          <strong>Komentář:</strong> {review.comment || 'Žádná poznámka'}
-                        </p>
-                      </div>
-                    ))
+              <div className="space-y-4 max-h-screen overflow-y-auto">
+                {isStaff && detailVersions.length > 1 && (
+                  <div className="bg-gray-50 p-4 rounded-lg">
+                    <h4 className="font-bold text-gray-600 mb-2">Porovnání verzí</h4>
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="text-gray-600 text-left">
+                          <th className="pr-4">Verze</th>
+                          <th className="pr-4">Odesláno</th>
+                          <th className="pr-4">Hodnocení</th>
+                          <th className="pr-4">Změna</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {compareVersionGrades(selectedAssignment, detailSubmission, dbData.reviews).map((entry) => (
+                          <tr key={entry.version}>
+                            <td className="pr-4">{entry.version}</td>
+                            <td className="pr-4">{entry.submissionDate || 'N/A'}</td>
+                            <td className="pr-4">
+                              {entry.grade !== null ? `${entry.grade} / ${settings.maxScore}` : 'Nehodnoceno'}
+                              <span className="text-gray-400"> ({entry.reviewCount})</span>
+                            </td>
+                            <td
+                              className={`pr-4 font-semibold ${
+                                entry.change > 0 ? 'text-green-600' : entry.change < 0 ? 'text-red-600' : 'text-gray-500'
+                              }`}
+                            >
+                              {entry.change === null ? '–' : entry.change > 0 ? `+${entry.change}` : entry.change}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+                {detailVersions.some((group) => group.reviews.length > 0) ? (
+                  detailVersions.map((group) => (
+                    <div key={group.version} className="space-y-4">
+                      {detailVersions.length > 1 && (
+                        <h4 className="font-bold text-gray-600">
+                          Verze {group.version}
+                          {group.submissionDate && (
+                            <span className="font-normal text-sm text-gray-500"> ({group.submissionDate})</span>
+                          )}
+                          {' – '}
+                          <a
+                            href={group.link}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="font-normal text-sm text-blue-500 hover:underline break-all"
+                          >
+                            odkaz
+                          </a>
+                        </h4>
+                      )}
+                      {group.reviews.length === 0 && <p className="text-sm text-gray-500">Bez hodnocení.</p>}
+                      {group.reviews.map((review) => (
+                        <div key={review.id} className="p-4 rounded-lg border border-gray-200">
+                          <p>
+                            <strong>Recenzent:</strong> {detailReviewerLabel(review)}
+                          </p>
+                          <p>
+                            <strong>Hodnocení:</strong>{' '}
+                            {review.score !== null ? `${review.score} / ${settings.maxScore}` : 'Nezadáno'}
+                          </p>
+                          {getCriteriaBreakdown(rubric, review.criteria).length > 0 && (
+                            <ul className="mt-2 mb-2 space-y-1 text-sm">
+                              {getCriteriaBreakdown(rubric, review.criteria).map((entry) => (
+                                <li key={entry.id}>
+                                  <strong>{entry.name}:</strong> {entry.score} / {entry.maxPoints}
+                                  {entry.comment && <span className="text-gray-600"> – {entry.comment}</span>}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                          <p>
+                            <strong>Komentář:</strong> {review.comment || 'Žádná poznámka'}
+                          </p>
+                          {review.override && (
+                            <div className="mt-2 p-2 rounded-lg bg-blue-50 text-sm">
+                              <p>
+                                <strong>Hodnocení upraveno vyučujícím:</strong> {review.override.score} /{' '}
+                                {settings.maxScore}
+                                {isStaff && <span className="text-gray-500"> ({review.override.by})</span>}
+                              </p>
+                              {review.override.comment && <p>{review.override.comment}</p>}
+                            </div>
+                          )}
+                          {review.status === 'finished' && review.submissionAuthor === currentUser.email ? (
+                            <div className="mt-3 pt-3 border-t border-gray-200 space-y-2">
+                              <label htmlFor={`helpfulness-${review.id}`} className="block text-sm font-semibold text-gray-700">
+                                Jak užitečné pro vás hodnocení bylo?
+                              </label>
+                              <select
+                                id={`helpfulness-${review.id}`}
+                                defaultValue={review.helpfulness || ''}
+                                className="px-3 py-1 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+                              >
+                                <option value="" disabled>
+                                  Vyberte…
+                                </option>
+                                {[5, 4, 3, 2, 1].map((value) => (
+                                  <option key={value} value={value}>
+                                    {value} / {HELPFULNESS_MAX}
+                                  </option>
+                                ))}
+                              </select>
+                              <textarea
+                                id={`reply-${review.id}`}
+                                rows="2"
+                                maxLength="1000"
+                                defaultValue={review.authorReply || ''}
+                                placeholder="Krátká odpověď recenzentovi (nepovinné)"
+                                className="px-3 py-1 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+                              ></textarea>
+                              <button
+                                onClick={() => handleRateReview(review)}
+                                className="bg-green-500 text-white font-semibold py-1 px-3 rounded-lg hover:bg-green-600 transition duration-300 text-sm"
+                              >
+                                Uložit reakci
+                              </button>
+                            </div>
+                          ) : (
+                            typeof review.helpfulness === 'number' && (
+                              <p className="mt-2 text-sm text-gray-600">
+                                <strong>Užitečnost podle autora:</strong> {review.helpfulness} / {HELPFULNESS_MAX}
+                                {review.authorReply && ` – ${review.authorReply}`}
+                              </p>
+                            )
+                          )}
+                          {renderThread(review, {
+                            author: isStaff ? review.submissionAuthor : 'Autor',
+                            reviewer: detailReviewerLabel(review),
+                          })}
+                        </div>
+                      ))}
+                    </div>
+                  ))
                 ) : (
                   <p>Tato práce zatím nemá žádná hodnocení.</p>
                 )}
@@ -1230,6 +3750,7 @@ const App = () => {
           <p className="text-gray-600 mt-2">
             Přihlášen jako:{' '}
             <span className="font-semibold text-green-600">{currentUser.email}</span>
+            {role && <span className="text-gray-500"> ({ROLE_LABELS[role]})</span>}
           </p>
         )}
       </header>
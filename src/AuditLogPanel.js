@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from 'react';
+import { AUDIT_ACTIONS, filterAuditEntries, formatAuditValue, getAuditChanges } from './audit';
+
+// Timeline of audit log entries for staff. The entries can be narrowed to
+// one student (as the actor or the person concerned), one submission and
+// one action; clicking a name or a submission in the timeline filters by
+// it. The filters ({ person, submissionId, action }) are queried by the
+// parent (see getAuditQuery), which loads older entries on request. A
+// typed e-mail applies on Enter or when the field is left.
+const AuditLogPanel = ({ entries, filters, onFiltersChange, submissions, hasMore, onLoadMore }) => {
+  const [personDraft, setPersonDraft] = useState(filters.person);
+  useEffect(() => setPersonDraft(filters.person), [filters.person]);
+
+  const setFilter = (key, value) => onFiltersChange({ ...filters, [key]: value });
+  const applyPerson = () => {
+    if (personDraft.trim() !== filters.person) setFilter('person', personDraft.trim());
+  };
+
+  const visible = filterAuditEntries(entries, filters);
+  const people = [...new Set(entries.flatMap((entry) => [entry.actor, entry.subject]).filter(Boolean))].sort();
+  // Submissions of the assignment and those known from the log, labelled
+  // by their author
+  const submissionOptions = [
+    ...new Map([
+      ...entries
+        .filter((entry) => entry.submissionId)
+        .map((entry) => [entry.submissionId, entry.subject || entry.submissionId]),
+      ...submissions.map((submission) => [submission.id, submission.author]),
+      ...(filters.submissionId && !submissions.some((s) => s.id === filters.submissionId)
+        ? [[filters.submissionId, filters.submissionId]]
+        : []),
+    ]),
+  ].sort((a, b) => a[1].localeCompare(b[1]));
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 bg-gray-50 p-4 rounded-xl shadow-sm">
+        <div>
+          <label htmlFor="audit-person" className="block text-sm font-semibold text-gray-600 mb-1">
+            Student
+          </label>
+          <input
+            id="audit-person"
+            type="text"
+            list="audit-people"
+            value={personDraft}
+            onChange={(e) => setPersonDraft(e.target.value)}
+            onBlur={applyPerson}
+            onKeyDown={(e) => e.key === 'Enter' && applyPerson()}
+            placeholder="E-mail"
+            className="px-3 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+          <datalist id="audit-people">
+            {people.map((email) => (
+              <option key={email} value={email} />
+            ))}
+          </datalist>
+        </div>
+        <div>
+          <label htmlFor="audit-submission" className="block text-sm font-semibold text-gray-600 mb-1">
+            Práce
+          </label>
+          <select
+            id="audit-submission"
+            value={filters.submissionId}
+            onChange={(e) => setFilter('submissionId', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+          >
+            <option value="">Všechny práce</option>
+            {submissionOptions.map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="audit-action" className="block text-sm font-semibold text-gray-600 mb-1">
+            Akce
+          </label>
+          <select
+            id="audit-action"
+            value={filters.action}
+            onChange={(e) => setFilter('action', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+          >
+            <option value="">Všechny akce</option>
+            {Object.entries(AUDIT_ACTIONS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      {filters.person && !filters.submissionId && (
+        <p className="text-xs text-gray-500">Historie studenta zahrnuje všechny úkoly.</p>
+      )}
+      {visible.length === 0 ? (
+        <p className="text-sm text-gray-600">Žádné záznamy.</p>
+      ) : (
+        <ol className="border-l-2 border-gray-200 ml-2 space-y-4">
+          {visible.map((entry) => (
+            <li key={entry.id} className="ml-4">
+              <div className="text-xs text-gray-500">{new Date(entry.at).toLocaleString()}</div>
+              <div className="text-sm text-gray-800">
+                <span className="font-semibold">{AUDIT_ACTIONS[entry.action] || entry.action}</span>
+                {' – '}
+                <button
+                  className="text-blue-600 hover:underline"
+                  onClick={() => setFilter('person', entry.actor || '')}
+                >
+                  {entry.actor || 'neznámý uživatel'}
+                </button>
+                {entry.subject && entry.subject !== entry.actor && (
+                  <>
+                    {' → '}
+                    <button
+                      className="text-blue-600 hover:underline"
+                      onClick={() => setFilter('person', entry.subject)}
+                    >
+                      {entry.subject}
+                    </button>
+                  </>
+                )}
+                {entry.submissionId && (
+                  <button
+                    className="ml-2 text-xs text-gray-500 hover:underline"
+                    onClick={() => setFilter('submissionId', entry.submissionId)}
+                  >
+                    (historie práce)
+                  </button>
+                )}
+              </div>
+              {getAuditChanges(entry).length > 0 && (
+                <ul className="text-xs text-gray-600 mt-1">
+                  {getAuditChanges(entry).map((change) => (
+                    <li key={change.field} className="break-all">
+                      <span className="font-semibold">{change.field}:</span> {formatAuditValue(change.before)} →{' '}
+                      {formatAuditValue(change.after)}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+      {hasMore && (
+        <button
+          onClick={onLoadMore}
+          className="bg-gray-200 text-gray-700 py-1 px-3 rounded-lg hover:bg-gray-300 transition duration-200 text-sm"
+        >
+          Načíst starší záznamy
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogPanel;
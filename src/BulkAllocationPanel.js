@@ -0,0 +1,220 @@
+import React, { useState } from 'react';
+import { planBulkAllocation } from './allocation';
+import { roleDocId } from './roles';
+
+// Parse "e-mail;skupina" lines (comma or tab work as well) into
+// { email, group } entries. Lines without both parts are ignored.
+const parseStudentGroups = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.split(/[;,\t]/).map((part) => part.trim()))
+    .filter(([email, group]) => email && group)
+    .map(([email, group]) => ({ email: roleDocId(email), group }));
+
+// Admin panel for assigning all reviews of an assignment at once. The
+// teacher chooses the number of reviews per submitter and the constraints,
+// previews the resulting reviewer × author matrix and only then lets
+// onConfirm write the planned pairs. Class groups used by the "same group"
+// constraint are kept on the course and saved through onSaveGroups.
+const BulkAllocationPanel = ({ submissions, reviews, defaultReviewsEach, studentGroups, onSaveGroups, onConfirm }) => {
+  const [reviewsEach, setReviewsEach] = useState(String(defaultReviewsEach));
+  const [constraints, setConstraints] = useState({
+    noSelfReview: true,
+    noReciprocal: false,
+    noSameGroup: false,
+  });
+  const [groupsText, setGroupsText] = useState(() =>
+    (studentGroups || []).map((entry) => `${entry.email};${entry.group}`).join('\n')
+  );
+  const [plan, setPlan] = useState(null);
+  const [error, setError] = useState('');
+
+  const toggleConstraint = (name) => {
+    setConstraints((prev) => ({ ...prev, [name]: !prev[name] }));
+    setPlan(null);
+  };
+
+  const handlePreview = () => {
+    const count = parseInt(reviewsEach, 10);
+    if (isNaN(count) || count <= 0) {
+      setError('Zadejte kladný počet hodnocení na studenta.');
+      return;
+    }
+    if (submissions.length === 0) {
+      setError('K úkolu zatím nebyla odevzdána žádná práce.');
+      return;
+    }
+    const groups = {};
+    for (const entry of parseStudentGroups(groupsText)) groups[entry.email] = entry.group;
+    setError('');
+    setPlan(planBulkAllocation(submissions, reviews, { reviewsEach: count, groups, ...constraints }));
+  };
+
+  const handleConfirm = async () => {
+    if (!plan || plan.pairs.length === 0) return;
+    await onConfirm(plan.pairs);
+    setPlan(null);
+  };
+
+  // Matrix of reviewers (rows) against authors (columns)
+  const authors = [...new Set(submissions.map((s) => s.author))].sort();
+  const authorOf = {};
+  for (const s of submissions) authorOf[s.id] = s.author;
+  const cellState = (reviewer, author) => {
+    if (plan && plan.pairs.some((p) => p.reviewer === reviewer && authorOf[p.submissionId] === author)) {
+      return 'planned';
+    }
+    if (reviews.some((r) => r.reviewer === reviewer && authorOf[r.submissionId] === author)) return 'existing';
+    return null;
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="bulk-reviews-each" className="block text-gray-600">
+            Počet hodnocení na studenta:
+          </label>
+          <input
+            type="number"
+            id="bulk-reviews-each"
+            min="1"
+            value={reviewsEach}
+            onChange={(e) => {
+              setReviewsEach(e.target.value);
+              setPlan(null);
+            }}
+            className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+        </div>
+        <div className="flex flex-col justify-end space-y-1 text-sm text-gray-600">
+          <label className="flex items-center space-x-2 cursor-pointer">
+            <input
+              type="checkbox"
+              className="rounded text-green-500"
+              checked={constraints.noSelfReview}
+              onChange={() => toggleConstraint('noSelfReview')}
+            />
+            <span>Nehodnotit vlastní práci</span>
+          </label>
+          <label className="flex items-center space-x-2 cursor-pointer">
+            <input
+              type="checkbox"
+              className="rounded text-green-500"
+              checked={constraints.noReciprocal}
+              onChange={() => toggleConstraint('noReciprocal')}
+            />
+            <span>Zakázat vzájemné páry (A hodnotí B a B hodnotí A)</span>
+          </label>
+          <label className="flex items-center space-x-2 cursor-pointer">
+            <input
+              type="checkbox"
+              className="rounded text-green-500"
+              checked={constraints.noSameGroup}
+              onChange={() => toggleConstraint('noSameGroup')}
+            />
+            <span>Nehodnotit v rámci stejné skupiny</span>
+          </label>
+        </div>
+      </div>
+      {constraints.noSameGroup && (
+        <div className="mt-4">
+          <label htmlFor="bulk-groups" className="block text-gray-600">
+            Skupiny studentů (na každý řádek „e-mail;skupina“):
+          </label>
+          <textarea
+            id="bulk-groups"
+            rows="4"
+            value={groupsText}
+            onChange={(e) => {
+              setGroupsText(e.target.value);
+              setPlan(null);
+            }}
+            className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+          ></textarea>
+          <button
+            className="mt-2 bg-gray-300 text-gray-800 font-semibold py-1 px-3 rounded-lg hover:bg-gray-400 transition duration-300 text-sm"
+            onClick={() => onSaveGroups(parseStudentGroups(groupsText))}
+          >
+            Uložit skupiny ke kurzu
+          </button>
+        </div>
+      )}
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+      <div className="mt-4 flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
+        <button
+          id="bulk-preview-btn"
+          className="bg-blue-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-blue-600 transition duration-300 w-full sm:w-auto"
+          onClick={handlePreview}
+        >
+          Náhled přidělení
+        </button>
+        {plan && plan.pairs.length > 0 && (
+          <button
+            id="bulk-confirm-btn"
+            className="bg-green-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-green-600 transition duration-300 w-full sm:w-auto"
+            onClick={handleConfirm}
+          >
+            Přidělit vše ({plan.pairs.length})
+          </button>
+        )}
+      </div>
+      {plan && (
+        <div className="mt-4">
+          {plan.pairs.length === 0 && (
+            <p className="text-sm text-gray-600">Není co přidělit, všichni studenti mají dostatek hodnocení.</p>
+          )}
+          {plan.shortfalls.length > 0 && (
+            <div className="mb-2 text-sm text-yellow-700 bg-yellow-50 p-2 rounded-lg">
+              Při zvolených omezeních nelze přidělit všechna hodnocení:
+              <ul className="list-disc ml-6">
+                {plan.shortfalls.map((s) => (
+                  <li key={s.reviewer}>
+                    {s.reviewer} – chybí {s.missing}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <div className="overflow-x-auto">
+            <table className="bg-white rounded-xl shadow overflow-hidden text-xs">
+              <thead>
+                <tr className="bg-gray-200 text-gray-600">
+                  <th className="py-2 px-3 text-left">Recenzent \ Autor</th>
+                  {authors.map((author) => (
+                    <th key={author} className="py-2 px-3 text-center font-normal whitespace-nowrap">
+                      {author}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="text-gray-600">
+                {authors.map((reviewer) => (
+                  <tr key={reviewer} className="border-b border-gray-200">
+                    <td className="py-2 px-3 whitespace-nowrap">{reviewer}</td>
+                    {authors.map((author) => {
+                      const state = cellState(reviewer, author);
+                      return (
+                        <td
+                          key={author}
+                          className={`py-2 px-3 text-center ${
+                            state === 'planned' ? 'bg-green-100 text-green-700' : ''
+                          } ${reviewer === author ? 'bg-gray-100' : ''}`}
+                        >
+                          {state === 'planned' ? '●' : state === 'existing' ? '○' : ''}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-2 text-xs text-gray-500">● nově přiděleno, ○ již existující hodnocení</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkAllocationPanel;
@@ -0,0 +1,155 @@
+import React from 'react';
+import {
+  getProgressTimeline,
+  getScoreHistogram,
+  getWorksBelowQuota,
+  getStudentsWithoutReviews,
+  getMedianTurnaroundDays,
+} from './dashboard';
+
+// Series of the progress chart and their colours
+const PROGRESS_SERIES = [
+  { key: 'submitted', label: 'Odevzdáno', color: '#3b82f6' },
+  { key: 'pickedUp', label: 'Vyzvednuto', color: '#f59e0b' },
+  { key: 'reviewed', label: 'Zkontrolováno', color: '#22c55e' },
+];
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+
+// Cumulative progress drawn as one line per series
+const ProgressChart = ({ timeline }) => {
+  const top = Math.max(1, ...timeline.map((day) => Math.max(day.submitted, day.pickedUp, day.reviewed)));
+  const x = (index) => (timeline.length === 1 ? CHART_WIDTH / 2 : (index / (timeline.length - 1)) * CHART_WIDTH);
+  const y = (value) => CHART_HEIGHT - (value / top) * CHART_HEIGHT;
+  return (
+    <div>
+      <svg viewBox={`0 -10 ${CHART_WIDTH} ${CHART_HEIGHT + 20}`} className="w-full h-48 bg-white rounded-lg shadow">
+        {PROGRESS_SERIES.map((series) => (
+          <polyline
+            key={series.key}
+            fill="none"
+            stroke={series.color}
+            strokeWidth="3"
+            points={timeline.map((day, index) => `${x(index)},${y(day[series.key])}`).join(' ')}
+          />
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{timeline[0].date}</span>
+        <span>{timeline[timeline.length - 1].date}</span>
+      </div>
+      <div className="flex flex-wrap gap-4 text-sm text-gray-600 mt-2">
+        {PROGRESS_SERIES.map((series) => (
+          <span key={series.key} className="flex items-center space-x-1">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: series.color }}></span>
+            <span>
+              {series.label}: {timeline[timeline.length - 1][series.key]}
+            </span>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Staff dashboard of the selected assignment: progress over time, score
+// distribution, works still short of reviews, students who have not
+// reviewed anything and how long reviews take
+const DashboardPanel = ({ submissions, reviews, reviewsPerSubmission, maxScore }) => {
+  const timeline = getProgressTimeline(submissions, reviews);
+  const histogram = getScoreHistogram(reviews, maxScore);
+  const highestBin = Math.max(1, ...histogram.map((bin) => bin.count));
+  const belowQuota = getWorksBelowQuota(submissions, reviews, reviewsPerSubmission);
+  const withoutReviews = getStudentsWithoutReviews(submissions, reviews);
+  const turnaround = getMedianTurnaroundDays(reviews);
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-center">
+        <div className="bg-white p-4 rounded-xl shadow">
+          <p className="text-2xl font-bold text-gray-800">{submissions.length}</p>
+          <p className="text-sm text-gray-500">Odevzdaných prací</p>
+        </div>
+        <div className="bg-white p-4 rounded-xl shadow">
+          <p className="text-2xl font-bold text-gray-800">
+            {reviews.filter((r) => r.status === 'finished').length}
+          </p>
+          <p className="text-sm text-gray-500">Dokončených hodnocení</p>
+        </div>
+        <div className="bg-white p-4 rounded-xl shadow">
+          <p className="text-2xl font-bold text-gray-800">{belowQuota.length}</p>
+          <p className="text-sm text-gray-500">Prací pod limitem</p>
+        </div>
+        <div className="bg-white p-4 rounded-xl shadow">
+          <p className="text-2xl font-bold text-gray-800">{turnaround === null ? 'N/A' : `${turnaround} d`}</p>
+          <p className="text-sm text-gray-500">Medián od vyzvednutí k opravě</p>
+        </div>
+      </div>
+      <div className="bg-gray-50 p-4 rounded-xl shadow-sm">
+        <h3 className="font-bold text-gray-600 mb-2">Průběh v čase</h3>
+        {timeline.length === 0 ? (
+          <p className="text-sm text-gray-600">Zatím žádná aktivita.</p>
+        ) : (
+          <ProgressChart timeline={timeline} />
+        )}
+      </div>
+      <div className="bg-gray-50 p-4 rounded-xl shadow-sm">
+        <h3 className="font-bold text-gray-600 mb-2">Rozložení hodnocení</h3>
+        <div className="flex items-end h-40 space-x-1 bg-white rounded-lg shadow p-2">
+          {histogram.map((bin) => (
+            <div key={bin.from} className="flex-1 flex flex-col items-center justify-end h-full">
+              <span className="text-xs text-gray-600">{bin.count > 0 ? bin.count : ''}</span>
+              <div
+                className="w-full bg-green-400 rounded-t"
+                style={{ height: `${(bin.count / highestBin) * 100}%` }}
+                title={`${bin.from}–${bin.to}: ${bin.count}`}
+              ></div>
+            </div>
+          ))}
+        </div>
+        <div className="flex space-x-1 text-xs text-gray-500 mt-1">
+          {histogram.map((bin) => (
+            <span key={bin.from} className="flex-1 text-center">
+              {bin.from}
+            </span>
+          ))}
+        </div>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="bg-gray-50 p-4 rounded-xl shadow-sm">
+          <h3 className="font-bold text-gray-600 mb-2">Práce s nedostatkem hodnocení</h3>
+          {belowQuota.length === 0 ? (
+            <p className="text-sm text-gray-600">Všechny práce mají dostatek hodnocení.</p>
+          ) : (
+            <ul className="text-sm text-gray-600 space-y-1 max-h-64 overflow-y-auto">
+              {belowQuota.map(({ submission, finished, assigned }) => (
+                <li key={submission.id} className="flex justify-between">
+                  <span>{submission.author}</span>
+                  <span className="whitespace-nowrap">
+                    {finished} / {reviewsPerSubmission}
+                    {assigned > 0 && <span className="text-gray-400"> (+{assigned} rozpracováno)</span>}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div className="bg-gray-50 p-4 rounded-xl shadow-sm">
+          <h3 className="font-bold text-gray-600 mb-2">Studenti bez hodnocení</h3>
+          {withoutReviews.length === 0 ? (
+            <p className="text-sm text-gray-600">Každý student už něco ohodnotil.</p>
+          ) : (
+            <ul className="text-sm text-gray-600 space-y-1 max-h-64 overflow-y-auto">
+              {withoutReviews.map((email) => (
+                <li key={email}>{email}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DashboardPanel;
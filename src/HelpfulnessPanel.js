@@ -0,0 +1,43 @@
+import React from 'react';
+import { HELPFULNESS_MAX, getGrading, getHelpfulnessBonus, getHelpfulnessByReviewer } from './grading';
+
+// Staff overview of how helpful authors found the reviews of each reviewer.
+// With a helpfulness bonus set on the assignment the bonus each reviewer
+// gets in their own grade is shown too.
+const HelpfulnessPanel = ({ assignment, reviews }) => {
+  const rows = getHelpfulnessByReviewer(reviews);
+  const { helpfulnessBonus } = getGrading(assignment);
+  if (rows.length === 0) {
+    return <p className="text-sm text-gray-600">Autoři zatím neohodnotili užitečnost žádného hodnocení.</p>;
+  }
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full bg-white rounded-xl shadow overflow-hidden text-sm">
+        <thead>
+          <tr className="bg-gray-200 text-gray-600 uppercase text-xs leading-normal">
+            <th className="py-2 px-4 text-left">Recenzent</th>
+            <th className="py-2 px-4 text-right">Hodnocených recenzí</th>
+            <th className="py-2 px-4 text-right">Průměrná užitečnost</th>
+            {helpfulnessBonus > 0 && <th className="py-2 px-4 text-right">Bonus</th>}
+          </tr>
+        </thead>
+        <tbody className="text-gray-600">
+          {rows.map((row) => (
+            <tr key={row.reviewer} className="border-b border-gray-200">
+              <td className="py-2 px-4 text-left">{row.reviewer}</td>
+              <td className="py-2 px-4 text-right">{row.ratingCount}</td>
+              <td className="py-2 px-4 text-right">
+                {row.meanRating} / {HELPFULNESS_MAX}
+              </td>
+              {helpfulnessBonus > 0 && (
+                <td className="py-2 px-4 text-right">+{getHelpfulnessBonus(assignment, row.reviewer, reviews)} b.</td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default HelpfulnessPanel;
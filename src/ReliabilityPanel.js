@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { getReviewerBias, getBiasMap, getKrippendorffAlpha, describeAlpha } from './reliability';
+import { computeGrade } from './grading';
+
+// Staff panel showing how reliably students score the selected assignment:
+// agreement between reviewers (Krippendorff's alpha), each reviewer's mean
+// deviation from the consensus with outliers highlighted and, on request,
+// grades normalized for reviewer leniency next to the regular ones. The
+// normalized grades are only a comparison; stored data is never changed.
+const ReliabilityPanel = ({ assignment, submissions, reviews, maxScore }) => {
+  const [showNormalized, setShowNormalized] = useState(false);
+
+  const biasRows = getReviewerBias(reviews);
+  const { alpha, units } = getKrippendorffAlpha(reviews);
+  const formatNumber = (value) => (value === null ? 'N/A' : value.toFixed(2));
+  const formatDeviation = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+
+  if (biasRows.length === 0) {
+    return (
+      <p className="text-sm text-gray-600">
+        Pro analýzu je potřeba, aby alespoň jedna práce měla dvě dokončená hodnocení.
+      </p>
+    );
+  }
+
+  const biases = getBiasMap(biasRows);
+  return (
+    <div>
+      <p className="text-gray-700 mb-4">
+        <strong>Shoda hodnotitelů (Krippendorffova alfa):</strong> {formatNumber(alpha)} – {describeAlpha(alpha)}
+        <span className="text-sm text-gray-500"> (prací s více hodnoceními: {units})</span>
+      </p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white rounded-xl shadow overflow-hidden text-sm">
+          <thead>
+            <tr className="bg-gray-200 text-gray-600 uppercase text-xs leading-normal">
+              <th className="py-2 px-4 text-left">Recenzent</th>
+              <th className="py-2 px-4 text-right">Hodnocení</th>
+              <th className="py-2 px-4 text-right">Průměr</th>
+              <th className="py-2 px-4 text-right">Odchylka od konsenzu</th>
+              <th className="py-2 px-4 text-left"></th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-600">
+            {biasRows.map((row) => (
+              <tr key={row.reviewer} className={`border-b border-gray-200 ${row.outlier ? 'bg-red-50' : ''}`}>
+                <td className="py-2 px-4 text-left">{row.reviewer}</td>
+                <td className="py-2 px-4 text-right">{row.reviewCount}</td>
+                <td className="py-2 px-4 text-right">
+                  {row.meanScore.toFixed(1)} / {maxScore}
+                </td>
+                <td className="py-2 px-4 text-right">{formatDeviation(row.meanDeviation)}</td>
+                <td className="py-2 px-4 text-left">
+                  {row.outlier && (
+                    <span className="bg-red-200 text-red-600 py-1 px-2 rounded-full text-xs font-semibold whitespace-nowrap">
+                      {row.meanDeviation > 0 ? 'Výrazně mírný' : 'Výrazně přísný'}
+                    </span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <label className="flex items-center space-x-2 cursor-pointer mt-4 text-sm text-gray-600">
+        <input
+          type="checkbox"
+          className="rounded text-green-500"
+          checked={showNormalized}
+          onChange={() => setShowNormalized((prev) => !prev)}
+        />
+        <span>Zobrazit výsledky očištěné o přísnost recenzentů</span>
+      </label>
+      {showNormalized && (
+        <div className="overflow-x-auto mt-2">
+          <table className="min-w-full bg-white rounded-xl shadow overflow-hidden text-sm">
+            <thead>
+              <tr className="bg-gray-200 text-gray-600 uppercase text-xs leading-normal">
+                <th className="py-2 px-4 text-left">Autor</th>
+                <th className="py-2 px-4 text-right">Výsledek</th>
+                <th className="py-2 px-4 text-right">Očištěný výsledek</th>
+              </tr>
+            </thead>
+            <tbody className="text-gray-600">
+              {submissions.map((submission) => {
+                const regular = computeGrade(assignment, submission, reviews, { maxScore }).grade;
+                const normalized = computeGrade(assignment, submission, reviews, { biases, maxScore }).grade;
+                return (
+                  <tr key={submission.id} className="border-b border-gray-200">
+                    <td className="py-2 px-4 text-left">{submission.author}</td>
+                    <td className="py-2 px-4 text-right">{regular !== null ? `${regular} / ${maxScore}` : 'N/A'}</td>
+                    <td className="py-2 px-4 text-right">
+                      {normalized !== null ? `${normalized} / ${maxScore}` : 'N/A'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReliabilityPanel;
@@ -0,0 +1,80 @@
+import React from 'react';
+import { THREAD_MESSAGE_MAX_LENGTH } from './threads';
+
+// Discussion thread of one review. `role` is the role the viewer posts in
+// ('author', 'reviewer' or 'staff') and `names` the labels of the author
+// and the reviewer as the viewer may see them, so the thread follows the
+// anonymity of the assignment. onPost(text) resolves to true once the
+// message is sent; staff also get onToggleHidden and onDelete for
+// moderation.
+const ReviewThread = ({ reviewId, messages, role, names, onPost, onToggleHidden, onDelete }) => {
+  const isStaff = role === 'staff';
+  const inputId = `thread-input-${reviewId}`;
+
+  const senderLabel = (message) => {
+    if (message.role === role) return 'Vy';
+    if (message.role === 'staff') return isStaff ? `Vyučující (${message.sender})` : 'Vyučující';
+    return names[message.role];
+  };
+
+  const handlePost = async () => {
+    const input = document.getElementById(inputId);
+    const text = input.value.trim();
+    if (!text) return;
+    if (await onPost(text)) input.value = '';
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-200">
+      <h4 className="text-sm font-semibold text-gray-700 mb-2">Diskuse</h4>
+      {messages.length === 0 ? (
+        <p className="text-xs text-gray-500 mb-2">Zatím žádné zprávy.</p>
+      ) : (
+        <ul className="space-y-2 mb-2 max-h-64 overflow-y-auto">
+          {messages.map((message) => (
+            <li
+              key={message.id}
+              className={`p-2 rounded-lg text-sm ${message.role === role ? 'bg-green-50 ml-6' : 'bg-gray-100 mr-6'} ${
+                message.hidden ? 'opacity-60' : ''
+              }`}
+            >
+              <div className="flex justify-between text-xs text-gray-500">
+                <span className="font-semibold">{senderLabel(message)}</span>
+                <span>{new Date(message.at).toLocaleString()}</span>
+              </div>
+              <p className="whitespace-pre-wrap break-words text-gray-700">{message.text}</p>
+              {isStaff && (
+                <div className="flex space-x-2 mt-1 text-xs">
+                  {message.hidden && <span className="text-gray-500">Skryto ({message.hiddenBy})</span>}
+                  <button className="text-blue-600 hover:underline" onClick={() => onToggleHidden(message)}>
+                    {message.hidden ? 'Zobrazit' : 'Skrýt'}
+                  </button>
+                  <button className="text-red-600 hover:underline" onClick={() => onDelete(message)}>
+                    Smazat
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex space-x-2">
+        <textarea
+          id={inputId}
+          rows="2"
+          maxLength={THREAD_MESSAGE_MAX_LENGTH}
+          placeholder="Napište zprávu…"
+          className="flex-1 px-3 py-1 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+        ></textarea>
+        <button
+          onClick={handlePost}
+          className="bg-green-500 text-white font-semibold py-1 px-3 rounded-lg hover:bg-green-600 transition duration-300 text-sm self-end"
+        >
+          Odeslat
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReviewThread;
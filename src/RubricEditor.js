@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { createCriterionId, getRubricMaxScore } from './rubric';
+
+// Editor for the rubric of a single assignment. Keeps a local draft of the
+// criteria so the teacher can add, remove and edit rows freely; nothing is
+// persisted until onSave is called with the draft. The parent remounts the
+// editor (via key) when another assignment is selected.
+const RubricEditor = ({ rubric, onSave }) => {
+  const [draft, setDraft] = useState(() =>
+    (rubric || []).map((criterion) => ({ ...criterion, maxPoints: String(criterion.maxPoints) }))
+  );
+
+  const updateCriterion = (id, field, value) => {
+    setDraft((prev) => prev.map((c) => (c.id === id ? { ...c, [field]: value } : c)));
+  };
+  const addCriterion = () => {
+    setDraft((prev) => [...prev, { id: createCriterionId(), name: '', maxPoints: '10', descriptors: '' }]);
+  };
+  const removeCriterion = (id) => {
+    setDraft((prev) => prev.filter((c) => c.id !== id));
+  };
+
+  const draftMaxScore = getRubricMaxScore(draft);
+
+  return (
+    <div>
+      {draft.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-2">
+          Úkol nemá rubriku, hodnotí se jedním celkovým počtem bodů.
+        </p>
+      ) : (
+        <div className="space-y-4 mb-2">
+          {draft.map((criterion, index) => (
+            <div key={criterion.id} className="bg-white p-4 rounded-lg shadow">
+              <div className="flex flex-col sm:flex-row items-stretch sm:items-end space-y-2 sm:space-y-0 sm:space-x-2">
+                <div className="flex-1">
+                  <label htmlFor={`criterion-name-${criterion.id}`} className="block text-gray-600">
+                    {index + 1}. kritérium:
+                  </label>
+                  <input
+                    type="text"
+                    id={`criterion-name-${criterion.id}`}
+                    value={criterion.name}
+                    onChange={(e) => updateCriterion(criterion.id, 'name', e.target.value)}
+                    placeholder="např. Struktura"
+                    className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+                <div className="sm:w-32">
+                  <label htmlFor={`criterion-points-${criterion.id}`} className="block text-gray-600">
+                    Max. bodů:
+                  </label>
+                  <input
+                    type="number"
+                    id={`criterion-points-${criterion.id}`}
+                    min="1"
+                    value={criterion.maxPoints}
+                    onChange={(e) => updateCriterion(criterion.id, 'maxPoints', e.target.value)}
+                    className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+                <button
+                  onClick={() => removeCriterion(criterion.id)}
+                  className="bg-red-200 text-red-600 py-2 px-3 rounded-lg text-xs hover:bg-red-300 transition duration-200"
+                >
+                  Odebrat
+                </button>
+              </div>
+              <label htmlFor={`criterion-descriptors-${criterion.id}`} className="block text-gray-600 mt-2">
+                Popis úrovní:
+              </label>
+              <textarea
+                id={`criterion-descriptors-${criterion.id}`}
+                rows="2"
+                value={criterion.descriptors}
+                onChange={(e) => updateCriterion(criterion.id, 'descriptors', e.target.value)}
+                placeholder="např. 10 b. – jasná a logická struktura; 5 b. – ..."
+                className="mt-1 px-4 py-2 border border-gray-300 rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-green-500"
+              ></textarea>
+            </div>
+          ))}
+          <p className="text-sm text-gray-600">
+            Celkem: <strong>{draftMaxScore}</strong> bodů
+          </p>
+        </div>
+      )}
+      <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
+        <button
+          className="bg-gray-300 text-gray-800 font-semibold py-2 px-4 rounded-lg shadow hover:bg-gray-400 transition duration-300 w-full sm:w-auto"
+          onClick={addCriterion}
+        >
+          Přidat kritérium
+        </button>
+        <button
+          id="save-rubric-btn"
+          className="bg-green-500 text-white font-semibold py-2 px-4 rounded-lg shadow hover:bg-green-600 transition duration-300 w-full sm:w-auto"
+          onClick={() => onSave(draft)}
+        >
+          Uložit rubriku
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RubricEditor;
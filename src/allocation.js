@@ -0,0 +1,169 @@
+// Reviewer allocation. Work is handed out so that submissions with the
+// fewest reviews get reviewed first, and a submission stops being handed
+// out once it has as many active or finished reviews as the assignment
+// requires. The ranking runs on client data; the final decision is taken
+// inside a Firestore transaction against the `reviewCount` counter kept on
+// each submission document, so concurrent pickups cannot over-assign. Only
+// reviews of the current version of a submission count (see versions.js),
+// so a revised work enters a new review round.
+
+import { isCurrentVersionReview } from './versions';
+import { roleDocId } from './roles';
+
+// Number of best-ranked candidates re-read inside the allocation
+// transaction. Reading a few gives the transaction somewhere to go when the
+// best candidate was taken in the meantime.
+export const ALLOCATION_CANDIDATES = 5;
+
+// Review statuses that occupy one of the submission's review slots. A
+// review the reviewer gave back (`returned`), that was released after
+// lying untouched too long (`expired`) or that staff took away from the
+// reviewer (`released`) stays in their history but frees its slot.
+const ACTIVE_STATUSES = ['assigned', 'finished'];
+
+// Whether the review is in progress or done, whoever writes it
+export const isActiveReview = (review) => ACTIVE_STATUSES.includes(review.status);
+
+// Whether the review takes one of the reviewsPerSubmission peer slots.
+// Staff reviews come on top of the peer reviews and take none.
+export const occupiesSlot = (review) => isActiveReview(review) && !review.staffReview;
+
+export const REVIEW_STATUS_LABELS = {
+  assigned: 'Vyzvednuto',
+  finished: 'Zkontrolováno',
+  returned: 'Vráceno',
+  expired: 'Vypršelo',
+  released: 'Uvolněno vyučujícím',
+};
+
+// Reasons a reviewer can give when returning a work
+export const RETURN_REASONS = [
+  { value: 'broken-link', label: 'Nefunkční odkaz' },
+  { value: 'conflict', label: 'Střet zájmů' },
+  { value: 'other', label: 'Jiný důvod' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Assigned reviews picked up at least expiryDays days before today
+// (YYYY-MM-DD). An expiry of 0 or less never releases anything.
+export const getStaleReviews = (reviews, expiryDays, today) =>
+  expiryDays > 0
+    ? reviews.filter(
+        (r) => r.status === 'assigned' && r.pickupDate && (Date.parse(today) - Date.parse(r.pickupDate)) / DAY_MS >= expiryDays
+      )
+    : [];
+
+// Number of reviews currently occupying slots of the submission
+export const countActiveReviews = (submission, reviews) =>
+  reviews.filter((r) => isCurrentVersionReview(r, submission) && occupiesSlot(r)).length;
+
+// Effective review count of a submission. Submissions created before the
+// counter was maintained report 0, so the larger of the stored counter and
+// the observed count wins.
+export const getReviewCount = (submission, reviews) =>
+  Math.max(submission.reviewCount || 0, countActiveReviews(submission, reviews));
+
+// Whether the submission may go to the reviewer: not their own and not
+// reviewed by them in the current version
+export const isEligibleReviewer = (submission, reviews, reviewerEmail) =>
+  submission.author !== reviewerEmail &&
+  !reviews.some((r) => isCurrentVersionReview(r, submission) && r.reviewer === reviewerEmail);
+
+// Submissions the reviewer may pick up, best candidates first: eligible
+// ones still short of the required number of reviews. Ties are broken
+// randomly so equal works are spread evenly.
+export const rankCandidates = (submissions, reviews, reviewerEmail, reviewsPerSubmission, random = Math.random) =>
+  submissions
+    .filter((s) => isEligibleReviewer(s, reviews, reviewerEmail))
+    .map((s) => ({ submission: s, count: getReviewCount(s, reviews), tieBreak: random() }))
+    .filter((candidate) => candidate.count < reviewsPerSubmission)
+    .sort((a, b) => a.count - b.count || a.tieBreak - b.tieBreak)
+    .map((candidate) => ({ ...candidate.submission, reviewCount: candidate.count }));
+
+// Among the candidates re-read inside the transaction pick the one with the
+// fewest reviews that still has a free slot. Each entry is
+// { submission, count } with the fresh count. Returns null when all are full.
+export const pickCandidate = (entries, reviewsPerSubmission) =>
+  entries
+    .filter((entry) => entry.count < reviewsPerSubmission)
+    .reduce((best, entry) => (!best || entry.count < best.count ? entry : best), null);
+
+// Plan a balanced bulk allocation in which every submitter reviews exactly
+// reviewsEach works of others, counting reviews they already have. Options:
+//   noSelfReview – never assign a reviewer their own work
+//   noReciprocal – never let A review B when B reviews A
+//   noSameGroup  – never assign reviewers within the same class group;
+//                  groups maps e-mail to group name, matched in the
+//                  normalized form of roleDocId
+// Reviewers are served round by round, each taking the eligible submission
+// with the fewest existing and planned reviews. Greedy choices can strand
+// the last reviewers, so several randomized attempts are made and the one
+// with the smallest shortfall wins. Returns { pairs, shortfalls } where
+// pairs are { reviewer, submissionId } and shortfalls list reviewers who
+// could not get all their reviews as { reviewer, missing }.
+export const planBulkAllocation = (
+  submissions,
+  reviews,
+  { reviewsEach, noSelfReview = true, noReciprocal = false, noSameGroup = false, groups = {} },
+  random = Math.random,
+  attempts = 20
+) => {
+  const reviewers = [...new Set(submissions.map((s) => s.author))];
+  const groupOf = (email) => groups[roleDocId(email)];
+  const authorOf = {};
+  for (const s of submissions) authorOf[s.id] = s.author;
+  let best = null;
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const counts = {};
+    for (const s of submissions) counts[s.id] = getReviewCount(s, reviews);
+    // Existing reviewer → author edges, used for the reciprocity check
+    const edges = new Set(
+      reviews
+        .filter((r) => authorOf[r.submissionId] && isActiveReview(r))
+        .map((r) => `${r.reviewer}→${authorOf[r.submissionId]}`)
+    );
+    const reviewed = new Set(reviews.map((r) => `${r.reviewer}|${r.submissionId}`));
+    const missing = {};
+    for (const reviewer of reviewers) {
+      const existing = reviews.filter(
+        (r) => r.reviewer === reviewer && authorOf[r.submissionId] && isActiveReview(r)
+      ).length;
+      missing[reviewer] = Math.max(reviewsEach - existing, 0);
+    }
+    const pairs = [];
+    for (let round = 0; round < reviewsEach; round++) {
+      const order = reviewers
+        .filter((reviewer) => missing[reviewer] > 0)
+        .map((reviewer) => ({ reviewer, tieBreak: random() }))
+        .sort((a, b) => a.tieBreak - b.tieBreak)
+        .map((entry) => entry.reviewer);
+      for (const reviewer of order) {
+        const eligible = submissions
+          .filter((s) => {
+            if (reviewed.has(`${reviewer}|${s.id}`)) return false;
+            if (noSelfReview && s.author === reviewer) return false;
+            if (noReciprocal && edges.has(`${s.author}→${reviewer}`)) return false;
+            if (noSameGroup && groupOf(reviewer) && groupOf(reviewer) === groupOf(s.author)) return false;
+            return true;
+          })
+          .map((s) => ({ submission: s, tieBreak: random() }))
+          .sort((a, b) => counts[a.submission.id] - counts[b.submission.id] || a.tieBreak - b.tieBreak);
+        if (eligible.length === 0) continue;
+        const chosen = eligible[0].submission;
+        pairs.push({ reviewer, submissionId: chosen.id });
+        counts[chosen.id] += 1;
+        missing[reviewer] -= 1;
+        edges.add(`${reviewer}→${chosen.author}`);
+        reviewed.add(`${reviewer}|${chosen.id}`);
+      }
+    }
+    const shortfalls = reviewers
+      .filter((reviewer) => missing[reviewer] > 0)
+      .map((reviewer) => ({ reviewer, missing: missing[reviewer] }));
+    const totalMissing = shortfalls.reduce((sum, s) => sum + s.missing, 0);
+    if (!best || totalMissing < best.totalMissing) best = { pairs, shortfalls, totalMissing };
+    if (totalMissing === 0) break;
+  }
+  return { pairs: best ? best.pairs : [], shortfalls: best ? best.shortfalls : [] };
+};
@@ -0,0 +1,90 @@
+import { planBulkAllocation } from './allocation';
+
+const STUDENTS = ['a@example.com', 'b@example.com', 'c@example.com', 'd@example.com', 'e@example.com'];
+
+const submission = (author, values = {}) => ({
+  id: `s_${author}`,
+  assignmentId: 'a1',
+  author,
+  reviewCount: 0,
+  ...values,
+});
+
+// Deterministic stand-in for Math.random
+const seeded = (seed = 1) => {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+};
+
+const authorOf = (submissions, submissionId) => submissions.find((s) => s.id === submissionId).author;
+
+// Planned reviews per reviewer and per submission
+const tally = (pairs, key) =>
+  pairs.reduce((acc, pair) => {
+    acc[pair[key]] = (acc[pair[key]] || 0) + 1;
+    return acc;
+  }, {});
+
+describe('planBulkAllocation', () => {
+  it('gives every student the requested number of distinct works and spreads them evenly', () => {
+    const submissions = STUDENTS.map((author) => submission(author));
+    const { pairs, shortfalls } = planBulkAllocation(submissions, [], { reviewsEach: 2 }, seeded());
+    expect(shortfalls).toEqual([]);
+    expect(Object.values(tally(pairs, 'reviewer'))).toEqual([2, 2, 2, 2, 2]);
+    expect(Object.values(tally(pairs, 'submissionId'))).toEqual([2, 2, 2, 2, 2]);
+    expect(new Set(pairs.map((p) => `${p.reviewer}|${p.submissionId}`)).size).toBe(pairs.length);
+    expect(pairs.every((p) => authorOf(submissions, p.submissionId) !== p.reviewer)).toBe(true);
+  });
+
+  it('counts existing reviews towards the requested number and never repeats them', () => {
+    const submissions = STUDENTS.map((author) => submission(author));
+    const reviews = [
+      { reviewer: STUDENTS[0], submissionId: 's_b@example.com', status: 'finished' },
+      { reviewer: STUDENTS[0], submissionId: 's_c@example.com', status: 'returned' },
+    ];
+    const { pairs } = planBulkAllocation(submissions, reviews, { reviewsEach: 2 }, seeded());
+    const own = pairs.filter((p) => p.reviewer === STUDENTS[0]);
+    expect(own).toHaveLength(1);
+    expect(own[0].submissionId).not.toBe('s_b@example.com');
+    expect(own[0].submissionId).not.toBe('s_c@example.com');
+  });
+
+  it('avoids reciprocal pairs and pairs within a group when asked to', () => {
+    const submissions = STUDENTS.map((author) => submission(author));
+    const groups = { 'a@example.com': 'A', 'b@example.com': 'A', 'c@example.com': 'B', 'd@example.com': 'B' };
+    const { pairs, shortfalls } = planBulkAllocation(
+      submissions,
+      [],
+      { reviewsEach: 1, noReciprocal: true, noSameGroup: true, groups },
+      seeded(7)
+    );
+    expect(shortfalls).toEqual([]);
+    const edges = new Set(pairs.map((p) => `${p.reviewer}→${authorOf(submissions, p.submissionId)}`));
+    for (const pair of pairs) {
+      const author = authorOf(submissions, pair.submissionId);
+      expect(edges.has(`${author}→${pair.reviewer}`)).toBe(false);
+      if (groups[pair.reviewer]) expect(groups[author]).not.toBe(groups[pair.reviewer]);
+    }
+  });
+
+  it('matches groups regardless of the e-mail case', () => {
+    const submissions = [submission('A@example.com'), submission('b@example.com'), submission('c@example.com')];
+    const groups = { 'a@example.com': 'A', 'b@example.com': 'A' };
+    const { pairs } = planBulkAllocation(submissions, [], { reviewsEach: 1, noSameGroup: true, groups }, seeded());
+    expect(pairs.find((p) => p.reviewer === 'A@example.com').submissionId).toBe('s_c@example.com');
+    expect(pairs.find((p) => p.reviewer === 'b@example.com').submissionId).toBe('s_c@example.com');
+  });
+
+  it('reports the reviews that could not be planned', () => {
+    const submissions = [submission(STUDENTS[0]), submission(STUDENTS[1])];
+    const { pairs, shortfalls } = planBulkAllocation(submissions, [], { reviewsEach: 2 }, seeded());
+    expect(pairs).toHaveLength(2);
+    expect(shortfalls).toEqual([
+      { reviewer: STUDENTS[0], missing: 1 },
+      { reviewer: STUDENTS[1], missing: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,72 @@
+// Anonymity modes of an assignment and the pseudonyms shown to students.
+//   open          – authors and reviewers see each other's e-mail
+//   single-blind  – the reviewer sees the author, the author sees only a
+//                   pseudonym of the reviewer
+//   double-blind  – neither side sees the other's identity
+// Staff always see real identities regardless of the mode.
+//
+// The modes only decide what the application shows. Reviews keep the
+// e-mails of both sides and submissions their author, and the security
+// rules let each side read them, so a student querying the database
+// directly can learn the identities. Teachers are told so next to the
+// setting.
+//
+// Pseudonyms are stable: when a work is picked up, the review stores the
+// index of its reviewer among the reviewers of that submission
+// (reviewerAliasIndex) and the index of the work among the reviewer's
+// pickups (authorAliasIndex). Reviews created before the indexes existed
+// fall back to their position in pickup order.
+
+export const ANONYMITY_MODES = [
+  { value: 'open', label: 'Otevřené (všichni vidí jména)' },
+  { value: 'single-blind', label: 'Jednostranně anonymní (autor nevidí recenzenta)' },
+  { value: 'double-blind', label: 'Oboustranně anonymní (nikdo nevidí druhou stranu)' },
+];
+
+export const DEFAULT_ANONYMITY = 'open';
+
+// Anonymity mode of an assignment, tolerating assignments without one
+export const getAnonymity = (assignment) =>
+  (assignment && assignment.anonymity) || DEFAULT_ANONYMITY;
+
+// Whether an author may see who reviewed their work
+export const canAuthorSeeReviewer = (mode) => mode === 'open';
+
+// Whether a reviewer may see whose work they are reviewing
+export const canReviewerSeeAuthor = (mode) => mode !== 'double-blind';
+
+// Convert a zero-based index to a letter sequence: 0 → A, 25 → Z, 26 → AA
+export const aliasLetter = (index) => {
+  let result = '';
+  let n = index;
+  do {
+    result = String.fromCharCode(65 + (n % 26)) + result;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return result;
+};
+
+// Next free alias index among the given reviews for the given field
+export const nextAliasIndex = (reviews, field) =>
+  reviews.reduce((max, r) => (typeof r[field] === 'number' && r[field] >= max ? r[field] + 1 : max), 0);
+
+// Stable position of a review among related reviews: the stored index when
+// present, otherwise its order of pickup
+export const resolveAliasIndex = (review, relatedReviews, field) => {
+  if (typeof review[field] === 'number') return review[field];
+  const ordered = [...relatedReviews].sort(
+    (a, b) => (a.pickupDate || '').localeCompare(b.pickupDate || '') || a.id.localeCompare(b.id)
+  );
+  const position = ordered.findIndex((r) => r.id === review.id);
+  return position === -1 ? 0 : position;
+};
+
+// Pseudonym of the reviewer as shown to the author, e.g. "Recenzent A".
+// submissionReviews are all reviews of the same submission.
+export const getReviewerAlias = (review, submissionReviews) =>
+  `Recenzent ${aliasLetter(resolveAliasIndex(review, submissionReviews, 'reviewerAliasIndex'))}`;
+
+// Pseudonym of the author as shown to the reviewer, e.g. "Autor 2".
+// reviewerReviews are all reviews of the same reviewer in the assignment.
+export const getAuthorAlias = (review, reviewerReviews) =>
+  `Autor ${resolveAliasIndex(review, reviewerReviews, 'authorAliasIndex') + 1}`;
@@ -0,0 +1,111 @@
+// Audit trail of the application. Every mutation made through the service
+// appends an entry to the `auditLog` collection in the same write:
+//   { action, actor, at, targetType, targetId, assignmentId, submissionId,
+//     subject, before, after }
+// `subject` is the student the change concerns (the author of the
+// submission, the reviewer of a review or the e-mail of a role) and
+// before/after hold only the fields that changed.
+
+// Entries the timeline loads at a time; older ones come page by page
+export const AUDIT_LOG_PAGE_SIZE = 100;
+
+// Czech labels of the recorded actions
+export const AUDIT_ACTIONS = {
+  'role.claim': 'Převzetí správy',
+  'role.set': 'Změna role',
+  'role.remove': 'Odebrání role',
+  'course.create': 'Nový kurz',
+  'course.update': 'Úprava kurzu',
+  'assignment.create': 'Nový úkol',
+  'assignment.update': 'Změna nastavení úkolu',
+  'submission.create': 'Odevzdání práce',
+  'submission.resubmit': 'Nová verze práce',
+  'submission.delete': 'Smazání práce',
+  'submission.restore': 'Obnovení práce',
+  'review.pickup': 'Vyzvednutí práce',
+  'review.assign': 'Přidělení práce',
+  'review.submit': 'Odeslání hodnocení',
+  'review.edit': 'Úprava hodnocení',
+  'review.feedback': 'Reakce autora na hodnocení',
+  'review.override': 'Přepsání hodnocení vyučujícím',
+  'review.revert': 'Zrušení přepsání hodnocení',
+  'review.reassign': 'Přesunutí práce jinému recenzentovi',
+  'review.release': 'Uvolnění práce vyučujícím',
+  'grading.exclude': 'Vyřazení z hodnocení',
+  'grading.include': 'Zahrnutí do hodnocení',
+  'review.return': 'Vrácení práce',
+  'review.expire': 'Vypršení přidělení',
+  'review.delete': 'Smazání hodnocení',
+  'review.restore': 'Obnovení hodnocení',
+  'thread.post': 'Zpráva v diskusi',
+  'thread.hide': 'Skrytí zprávy',
+  'thread.show': 'Zobrazení skryté zprávy',
+  'thread.delete': 'Smazání zprávy',
+  'trash.purge': 'Vysypání koše',
+  'backup.restore': 'Obnovení ze zálohy',
+  'data.wipe': 'Smazání všech dat',
+  'data.migrate': 'Převod původních dat do úkolu',
+};
+
+// Values are stored as null instead of undefined, which Firestore rejects
+const storable = (value) => (value === undefined ? null : value);
+
+// Fields of `values` that differ from `current`, as { before, after }
+// holding only those fields. Both are null when nothing changed.
+export const diffFields = (current, values) => {
+  const before = {};
+  const after = {};
+  for (const [field, value] of Object.entries(values)) {
+    const previous = current ? current[field] : undefined;
+    if (JSON.stringify(storable(previous)) === JSON.stringify(storable(value))) continue;
+    before[field] = storable(previous);
+    after[field] = storable(value);
+  }
+  return Object.keys(after).length === 0 ? { before: null, after: null } : { before, after };
+};
+
+// The query of the timeline for its criteria: the history of a submission,
+// else of a person (as the actor or the subject) across all assignments,
+// else of the selected assignment, each optionally of one action. The
+// database answers it, so the filters see the whole log rather than the
+// newest entries only. Returns { assignmentId, submissionId, person,
+// action } with the criteria that do not apply left null.
+export const getAuditQuery = (assignmentId, { person = '', submissionId = '', action = '' }) => ({
+  assignmentId: submissionId || person.trim() ? null : assignmentId,
+  submissionId: submissionId || null,
+  person: submissionId ? null : person.trim() || null,
+  action: action || null,
+});
+
+// Entries concerning a person (as the actor or the subject), a submission
+// and an action; empty criteria match everything. Narrows the history of
+// a submission to a person, which the query leaves out.
+export const filterAuditEntries = (entries, { person = '', submissionId = '', action = '' }) => {
+  const needle = person.trim().toLowerCase();
+  return entries.filter(
+    (entry) =>
+      (!needle ||
+        (entry.actor || '').toLowerCase().includes(needle) ||
+        (entry.subject || '').toLowerCase().includes(needle)) &&
+      (!submissionId || entry.submissionId === submissionId) &&
+      (!action || entry.action === action)
+  );
+};
+
+// Short text of a logged value
+export const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '–';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Changed fields of an entry as [{ field, before, after }]
+export const getAuditChanges = (entry) => {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])].map((field) => ({
+    field,
+    before: before[field],
+    after: after[field],
+  }));
+};
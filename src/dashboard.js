@@ -0,0 +1,81 @@
+// Statistics of one assignment for the staff dashboard, computed from its
+// submissions and reviews. Dates are the YYYY-MM-DD strings stored on the
+// records, so time spans are measured in whole days.
+
+import { isCurrentVersionReview } from './versions';
+
+// Number of bars in the score histogram
+export const HISTOGRAM_BINS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cumulative number of submitted works, picked up reviews and finished
+// reviews for every day something happened: [{ date, submitted, pickedUp,
+// reviewed }] in chronological order
+export const getProgressTimeline = (submissions, reviews) => {
+  const events = [
+    ...submissions.map((s) => ({ date: s.submissionDate, key: 'submitted' })),
+    ...reviews.map((r) => ({ date: r.pickupDate, key: 'pickedUp' })),
+    ...reviews.filter((r) => r.status === 'finished').map((r) => ({ date: r.correctionDate, key: 'reviewed' })),
+  ].filter((event) => event.date);
+  const dates = [...new Set(events.map((event) => event.date))].sort();
+  const totals = { submitted: 0, pickedUp: 0, reviewed: 0 };
+  return dates.map((date) => {
+    events.filter((event) => event.date === date).forEach((event) => {
+      totals[event.key] += 1;
+    });
+    return { date, ...totals };
+  });
+};
+
+// Histogram of finished review scores: HISTOGRAM_BINS bins of equal width
+// covering 0..maxScore, [{ from, to, count }]; the last bin includes
+// maxScore itself
+export const getScoreHistogram = (reviews, maxScore) => {
+  const width = maxScore / HISTOGRAM_BINS || 1;
+  const bins = Array.from({ length: HISTOGRAM_BINS }, (_, index) => ({
+    from: Math.round(index * width * 10) / 10,
+    to: Math.round((index + 1) * width * 10) / 10,
+    count: 0,
+  }));
+  reviews
+    .filter((r) => r.status === 'finished' && r.score !== null && r.score !== undefined)
+    .forEach((r) => {
+      const index = Math.min(Math.max(Math.floor(r.score / width), 0), HISTOGRAM_BINS - 1);
+      bins[index].count += 1;
+    });
+  return bins;
+};
+
+// Submissions with fewer finished reviews of their current version than
+// required: [{ submission, finished, assigned }], the least reviewed first
+export const getWorksBelowQuota = (submissions, reviews, reviewsPerSubmission) =>
+  submissions
+    .map((submission) => {
+      const own = reviews.filter((r) => isCurrentVersionReview(r, submission));
+      return {
+        submission,
+        finished: own.filter((r) => r.status === 'finished').length,
+        assigned: own.filter((r) => r.status === 'assigned').length,
+      };
+    })
+    .filter((entry) => entry.finished < reviewsPerSubmission)
+    .sort((a, b) => a.finished - b.finished || a.assigned - b.assigned);
+
+// Authors of the assignment who have not finished a single review
+export const getStudentsWithoutReviews = (submissions, reviews) => {
+  const reviewers = new Set(reviews.filter((r) => r.status === 'finished').map((r) => r.reviewer));
+  return [...new Set(submissions.map((s) => s.author))].filter((author) => !reviewers.has(author)).sort();
+};
+
+// Median number of days between pickup and correction of finished
+// reviews; null when no review has both dates
+export const getMedianTurnaroundDays = (reviews) => {
+  const days = reviews
+    .filter((r) => r.status === 'finished' && r.pickupDate && r.correctionDate)
+    .map((r) => Math.round((new Date(r.correctionDate) - new Date(r.pickupDate)) / DAY_MS))
+    .sort((a, b) => a - b);
+  if (days.length === 0) return null;
+  const middle = Math.floor(days.length / 2);
+  return days.length % 2 === 1 ? days[middle] : (days[middle - 1] + days[middle]) / 2;
+};
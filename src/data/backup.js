@@ -0,0 +1,70 @@
+// Backup archives of the peer review data. An archive is plain JSON:
+//   { format, version, createdAt, createdBy, collections: { [name]: [doc] } }
+// where every document carries its id. The version is raised whenever the
+// layout changes so old archives can be recognized and migrated:
+//   1 – courses, assignments, submissions, reviews and roles
+//   2 – adds `messages`, the discussion threads of all reviews, each
+//       message carrying the `reviewId` of its thread
+//
+// Roles are saved for reference but never restored: writing them from a
+// file would let an archive change who has staff access.
+
+export const BACKUP_FORMAT = 'vzajemne-hodnoceni-backup';
+export const BACKUP_VERSION = 2;
+
+// Collections saved in an archive, apart from the thread messages
+export const BACKUP_COLLECTIONS = ['courses', 'assignments', 'submissions', 'reviews', 'roles'];
+
+// Collections written back on restore, apart from the thread messages
+export const RESTORED_COLLECTIONS = ['courses', 'assignments', 'submissions', 'reviews'];
+
+// Archive key of the thread messages of all reviews
+export const MESSAGES_KEY = 'messages';
+
+export const buildBackup = (collections, { createdAt, createdBy }) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  createdAt,
+  createdBy,
+  collections,
+});
+
+// Check that a parsed archive can be restored. Returns an error message in
+// Czech for the user, or null when the archive is valid.
+export const validateBackup = (archive) => {
+  if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+    return 'Soubor není zálohou této aplikace.';
+  }
+  if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) {
+    return `Nepodporovaná verze zálohy (${archive.version}).`;
+  }
+  if (!archive.collections || typeof archive.collections !== 'object') {
+    return 'Záloha neobsahuje žádná data.';
+  }
+  const isValidId = (id) => typeof id === 'string' && id && !id.includes('/');
+  for (const name of [...RESTORED_COLLECTIONS, MESSAGES_KEY]) {
+    const docs = archive.collections[name] || [];
+    if (!Array.isArray(docs)) return `Kolekce ${name} v záloze je poškozená.`;
+    const ids = new Set();
+    for (const item of docs) {
+      if (!item || typeof item !== 'object' || !isValidId(item.id)) {
+        return `Kolekce ${name} obsahuje záznam bez platného id.`;
+      }
+      if (name === MESSAGES_KEY && !isValidId(item.reviewId)) {
+        return `Zpráva ${item.id} v záloze nepatří k žádnému hodnocení.`;
+      }
+      // Messages are unique within their thread
+      const key = name === MESSAGES_KEY ? `${item.reviewId}/${item.id}` : item.id;
+      if (ids.has(key)) return `Kolekce ${name} obsahuje duplicitní id ${item.id}.`;
+      ids.add(key);
+    }
+  }
+  return null;
+};
+
+// Number of restorable records in an archive
+export const countBackupRecords = (archive) =>
+  [...RESTORED_COLLECTIONS, MESSAGES_KEY].reduce(
+    (total, name) => total + (archive.collections[name] || []).length,
+    0
+  );
@@ -0,0 +1,101 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  increment,
+  onSnapshot,
+  runTransaction,
+  writeBatch,
+} from 'firebase/firestore';
+
+// Storage backend on top of Cloud Firestore. Implements the backend
+// interface used by the peer review service (see memoryBackend.js for the
+// in-memory counterpart):
+//   list(name, filters, options)     – documents matching all filters,
+//                                      options { orderBy, limit }
+//   get(name, id)                    – one document or null
+//   add(name, data)                  – new document, resolves to its id
+//   set / update / remove(name, id)  – write one document
+//   newId(name)                      – id for a document created later
+//   increment(by)                    – field value adding `by` to the
+//                                      stored number when written
+//   subscribe(name, filters, onData, onError, options)
+//                                    – live query, returns unsubscribe
+//   subscribeDoc(name, id, onData, onError)   – live document (null when missing)
+//   commit(operations)               – atomic batch of { type, name, id, data }
+//   transaction(fn)                  – fn({ get, set, update, remove }) atomically
+// Filters are { field, op, value } triples, orderBy is a list of
+// { field, direction } pairs; documents come back as plain objects with
+// their id merged in.
+
+const toDocument = (docSnap) => ({ id: docSnap.id, ...docSnap.data() });
+
+export const createFirestoreBackend = (firestore) => {
+  const buildQuery = (name, filters = [], options = {}) => {
+    const constraints = [
+      ...filters.map((f) => where(f.field, f.op, f.value)),
+      ...(options.orderBy || []).map((o) => orderBy(o.field, o.direction || 'asc')),
+      ...(options.limit ? [limit(options.limit)] : []),
+    ];
+    return constraints.length === 0 ? collection(firestore, name) : query(collection(firestore, name), ...constraints);
+  };
+
+  return {
+    list: async (name, filters, options) => {
+      const snapshot = await getDocs(buildQuery(name, filters, options));
+      return snapshot.docs.map(toDocument);
+    },
+    get: async (name, id) => {
+      const docSnap = await getDoc(doc(firestore, name, id));
+      return docSnap.exists() ? toDocument(docSnap) : null;
+    },
+    add: async (name, data) => {
+      const ref = await addDoc(collection(firestore, name), data);
+      return ref.id;
+    },
+    set: (name, id, data) => setDoc(doc(firestore, name, id), data),
+    update: (name, id, data) => updateDoc(doc(firestore, name, id), data),
+    remove: (name, id) => deleteDoc(doc(firestore, name, id)),
+    newId: (name) => doc(collection(firestore, name)).id,
+    increment: (by) => increment(by),
+    subscribe: (name, filters, onData, onError, options) =>
+      onSnapshot(buildQuery(name, filters, options), (snapshot) => onData(snapshot.docs.map(toDocument)), onError),
+    subscribeDoc: (name, id, onData, onError) =>
+      onSnapshot(
+        doc(firestore, name, id),
+        (docSnap) => onData(docSnap.exists() ? toDocument(docSnap) : null),
+        onError
+      ),
+    commit: async (operations) => {
+      const batch = writeBatch(firestore);
+      for (const operation of operations) {
+        const ref = doc(firestore, operation.name, operation.id);
+        if (operation.type === 'set') batch.set(ref, operation.data);
+        else if (operation.type === 'update') batch.update(ref, operation.data);
+        else batch.delete(ref);
+      }
+      await batch.commit();
+    },
+    transaction: (fn) =>
+      runTransaction(firestore, (transaction) =>
+        fn({
+          get: async (name, id) => {
+            const docSnap = await transaction.get(doc(firestore, name, id));
+            return docSnap.exists() ? toDocument(docSnap) : null;
+          },
+          set: (name, id, data) => transaction.set(doc(firestore, name, id), data),
+          update: (name, id, data) => transaction.update(doc(firestore, name, id), data),
+          remove: (name, id) => transaction.delete(doc(firestore, name, id)),
+        })
+      ),
+  };
+};
@@ -0,0 +1,328 @@
+/**
+ * @jest-environment node
+ */
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  limit,
+  query,
+  setDoc,
+  updateDoc,
+  where,
+  writeBatch,
+} from 'firebase/firestore';
+import { createFirestoreBackend } from './firestoreBackend';
+import { createPeerReviewService } from './peerReviewService';
+
+// Security rules (firestore.rules) against the Firestore emulator. Run with
+// `npm run test:emulator`; without an emulator the suite is skipped.
+
+const describeEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+const AUTHOR = 'alice@example.com';
+const REVIEWER = 'bob@example.com';
+const OTHER = 'carol@example.com';
+const TEACHER = 'teacher@example.com';
+const TA = 'ta@example.com';
+
+const PICKUP_ID = `s1_v1_${REVIEWER}`;
+
+const submission = {
+  assignmentId: 'a1',
+  author: AUTHOR,
+  link: 'https://example.com/alice',
+  status: 'Odesláno',
+  reviewCount: 0,
+  submissionDate: '2026-10-01',
+  pickupDate: null,
+  correctionDate: null,
+  deletedAt: null,
+};
+
+const review = {
+  assignmentId: 'a1',
+  submissionId: 's1',
+  submissionAuthor: AUTHOR,
+  submissionVersion: 1,
+  reviewer: REVIEWER,
+  staffReview: false,
+  reviewerAliasIndex: 0,
+  authorAliasIndex: 0,
+  status: 'assigned',
+  score: null,
+  comment: '',
+  pickupDate: '2026-10-02',
+  correctionDate: null,
+};
+
+describeEmulator('firestore.rules', () => {
+  let testEnv;
+
+  const db = (email) => testEnv.authenticatedContext(email.split('@')[0], { email }).firestore();
+
+  const service = (email) =>
+    createPeerReviewService(createFirestoreBackend(db(email)), {
+      today: () => '2026-10-05',
+      currentActor: () => email,
+    });
+
+  // Seed documents bypassing the rules
+  const seed = (documents) =>
+    testEnv.withSecurityRulesDisabled(async (context) => {
+      const firestore = context.firestore();
+      for (const [path, data] of Object.entries(documents)) {
+        await setDoc(doc(firestore, path), data);
+      }
+    });
+
+  // The pickup of PICKUP_ID by the reviewer as one batch
+  const pickupBatch = (firestore, submissionChanges) => {
+    const batch = writeBatch(firestore);
+    batch.set(doc(firestore, 'reviews', PICKUP_ID), review);
+    batch.update(doc(firestore, 'submissions', 's1'), {
+      reviewCount: 1,
+      nextReviewerAlias: 1,
+      pickupDate: '2026-10-05',
+      lastReviewId: PICKUP_ID,
+      ...submissionChanges,
+    });
+    return batch.commit();
+  };
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'peer-review-rules',
+      firestore: { rules: readFileSync(resolve(__dirname, '../../firestore.rules'), 'utf8') },
+    });
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed({
+      [`roles/${TEACHER}`]: { role: 'teacher' },
+      [`roles/${TA}`]: { role: 'ta' },
+      'assignments/a1': { courseId: 'c1', title: 'Úkol 1', reviewsPerSubmission: 2, maxScore: 10 },
+      'submissions/s1': submission,
+    });
+  });
+
+  describe('submission bookkeeping', () => {
+    it('lets a reviewer pick up a work through the service', async () => {
+      const picked = await service(REVIEWER).pickUpWork({
+        assignmentId: 'a1',
+        reviewer: REVIEWER,
+        reviewsPerSubmission: 3,
+        reviews: [],
+      });
+      expect(picked.id).toBe('s1');
+    });
+
+    it('lets a reviewer give back and finish reviews through the service', async () => {
+      await seed({
+        'submissions/s1': { ...submission, reviewCount: 2 },
+        [`reviews/${PICKUP_ID}`]: review,
+        'reviews/r2': { ...review, reviewer: OTHER },
+      });
+      await assertSucceeds(service(REVIEWER).returnReview(PICKUP_ID, { reason: null, note: '' }));
+      await assertSucceeds(
+        service(OTHER).submitReview({ id: 'r2', ...review, reviewer: OTHER }, { score: 8, comment: 'Dobré.' })
+      );
+    });
+
+    it('rejects counters changed without a review', async () => {
+      const firestore = db(REVIEWER);
+      await assertFails(updateDoc(doc(firestore, 'submissions', 's1'), { reviewCount: 5 }));
+      await assertFails(updateDoc(doc(firestore, 'submissions', 's1'), { nextReviewerAlias: 7 }));
+      await assertFails(updateDoc(doc(firestore, 'submissions', 's1'), { pickupDate: '2030-01-01' }));
+      await assertFails(updateDoc(doc(firestore, 'submissions', 's1'), { correctionDate: '2030-01-01' }));
+    });
+
+    it('rejects a pickup that moves the counter by more than one', async () => {
+      await assertFails(pickupBatch(db(REVIEWER), { reviewCount: 3 }));
+      await assertFails(pickupBatch(db(REVIEWER), { reviewCount: 0 }));
+      await assertSucceeds(pickupBatch(db(REVIEWER), {}));
+    });
+
+    it('rejects a review created without taking a slot', async () => {
+      await assertFails(setDoc(doc(db(REVIEWER), 'reviews', PICKUP_ID), review));
+    });
+
+    it('rejects a pickup of a work with all slots taken', async () => {
+      await seed({ 'submissions/s1': { ...submission, reviewCount: 2 } });
+      await assertFails(pickupBatch(db(REVIEWER), { reviewCount: 3 }));
+    });
+
+    it('rejects a pickup of a work in the trash', async () => {
+      await seed({ 'submissions/s1': { ...submission, deletedAt: '2026-10-04T10:00:00.000Z', deletedBy: AUTHOR } });
+      await assertFails(pickupBatch(db(REVIEWER), {}));
+    });
+
+    it('rejects a pickup in the name of another reviewer', async () => {
+      await assertFails(pickupBatch(db(OTHER), {}));
+    });
+
+    it('rejects a release without giving back the review', async () => {
+      await seed({ 'submissions/s1': { ...submission, reviewCount: 1 }, [`reviews/${PICKUP_ID}`]: review });
+      await assertFails(updateDoc(doc(db(REVIEWER), 'submissions', 's1'), { reviewCount: 0, lastReviewId: PICKUP_ID }));
+    });
+
+    it('rejects a release of a review of somebody else', async () => {
+      await seed({ 'submissions/s1': { ...submission, reviewCount: 1 }, [`reviews/${PICKUP_ID}`]: review });
+      const firestore = db(OTHER);
+      const batch = writeBatch(firestore);
+      batch.update(doc(firestore, 'reviews', PICKUP_ID), { status: 'returned', releasedAt: '2026-10-05' });
+      batch.update(doc(firestore, 'submissions', 's1'), { reviewCount: 0, lastReviewId: PICKUP_ID });
+      await assertFails(batch.commit());
+    });
+
+    it('rejects a finished review set back to assigned', async () => {
+      await seed({ [`reviews/${PICKUP_ID}`]: { ...review, status: 'finished', score: 8 } });
+      await assertFails(updateDoc(doc(db(REVIEWER), 'reviews', PICKUP_ID), { status: 'assigned' }));
+      await assertSucceeds(updateDoc(doc(db(REVIEWER), 'reviews', PICKUP_ID), { score: 9 }));
+    });
+
+    it('rejects a correction date without finishing the review', async () => {
+      await seed({ [`reviews/${PICKUP_ID}`]: review });
+      await assertFails(
+        updateDoc(doc(db(REVIEWER), 'submissions', 's1'), { correctionDate: '2026-10-05', lastReviewId: PICKUP_ID })
+      );
+    });
+  });
+
+  describe('submission reads', () => {
+    const submissions = (firestore) => collection(firestore, 'submissions');
+
+    it('lets a student get a work and list candidates for a pickup', async () => {
+      const firestore = db(REVIEWER);
+      await assertSucceeds(getDoc(doc(firestore, 'submissions', 's1')));
+      await assertSucceeds(getDocs(query(submissions(firestore), where('assignmentId', '==', 'a1'), limit(50))));
+    });
+
+    it('rejects reads of visitors who are not signed in', async () => {
+      await assertFails(getDocs(submissions(testEnv.unauthenticatedContext().firestore())));
+    });
+  });
+
+  describe('submission author', () => {
+    it('lets the author change the link, resubmit and trash the work', async () => {
+      const authorService = service(AUTHOR);
+      await assertSucceeds(updateDoc(doc(db(AUTHOR), 'submissions', 's1'), { link: 'https://example.com/new' }));
+      await assertSucceeds(authorService.resubmitSubmission('s1', 'https://example.com/v2'));
+      await assertSucceeds(authorService.deleteSubmission('s1', { email: AUTHOR, isStaff: false }));
+    });
+
+    it('rejects the author deleting the work for good', async () => {
+      await assertFails(deleteDoc(doc(db(AUTHOR), 'submissions', 's1')));
+      await assertFails(deleteDoc(doc(db(TA), 'submissions', 's1')));
+      await assertSucceeds(deleteDoc(doc(db(TEACHER), 'submissions', 's1')));
+    });
+
+    it('rejects changes outside the author fields', async () => {
+      const submissionRef = doc(db(AUTHOR), 'submissions', 's1');
+      await assertFails(updateDoc(submissionRef, { author: OTHER }));
+      await assertFails(updateDoc(submissionRef, { assignmentId: 'a2' }));
+      await assertFails(updateDoc(submissionRef, { nextReviewerAlias: 9 }));
+      await assertFails(updateDoc(submissionRef, { grade: 10 }));
+    });
+
+    it('rejects counters changed without a new version', async () => {
+      await seed({ 'submissions/s1': { ...submission, reviewCount: 2 } });
+      const submissionRef = doc(db(AUTHOR), 'submissions', 's1');
+      await assertFails(updateDoc(submissionRef, { reviewCount: 0 }));
+      await assertFails(updateDoc(submissionRef, { version: 3, reviewCount: 0 }));
+      await assertFails(updateDoc(submissionRef, { version: 2, reviewCount: 1 }));
+    });
+  });
+
+  describe('audit log', () => {
+    const entry = (values) => ({
+      actor: REVIEWER,
+      at: '2026-10-05T10:00:00.000Z',
+      targetType: 'review',
+      targetId: PICKUP_ID,
+      assignmentId: 'a1',
+      submissionId: 's1',
+      subject: AUTHOR,
+      reviewId: null,
+      before: null,
+      after: null,
+      ...values,
+    });
+
+    beforeEach(() => seed({ [`reviews/${PICKUP_ID}`]: review }));
+
+    it('lets a student log their own post in the same write', async () => {
+      await assertSucceeds(
+        service(REVIEWER).postMessage({ id: PICKUP_ID, ...review }, { role: 'reviewer', text: 'Dotaz' })
+      );
+    });
+
+    it('rejects entries a student writes on their own', async () => {
+      const log = collection(db(REVIEWER), 'auditLog');
+      await assertFails(setDoc(doc(log), entry({ action: 'role.set', targetType: 'role', targetId: REVIEWER })));
+      await assertFails(setDoc(doc(log), entry({ action: 'submission.delete', targetType: 'submission' })));
+      await assertFails(setDoc(doc(log), entry({ action: 'review.pickup' })));
+      await assertFails(setDoc(doc(db(OTHER), 'auditLog', 'e1'), entry({ actor: OTHER, action: 'review.submit' })));
+    });
+
+    it('lets staff log any action in their own name', async () => {
+      await assertSucceeds(setDoc(doc(db(TA), 'auditLog', 'e1'), entry({ actor: TA, action: 'review.release' })));
+      await assertFails(setDoc(doc(db(TA), 'auditLog', 'e2'), entry({ action: 'review.release' })));
+    });
+  });
+
+  describe('review deletion', () => {
+    beforeEach(() => seed({ [`reviews/${PICKUP_ID}`]: review }));
+
+    it('lets an assistant move a review and the former reviewer pick up again', async () => {
+      await seed({ 'submissions/s1': { ...submission, reviewCount: 1 } });
+      await assertSucceeds(service(TA).reassignReview(PICKUP_ID, { reviewer: OTHER, reviews: [] }));
+      const picked = await service(REVIEWER).pickUpWork({
+        assignmentId: 'a1',
+        reviewer: REVIEWER,
+        reviewsPerSubmission: 2,
+        reviews: [],
+      });
+      expect(picked.id).toBe('s1');
+    });
+
+    it('lets only teachers delete a review', async () => {
+      await assertFails(deleteDoc(doc(db(AUTHOR), 'reviews', PICKUP_ID)));
+      await assertFails(deleteDoc(doc(db(REVIEWER), 'reviews', PICKUP_ID)));
+      await assertFails(deleteDoc(doc(db(TA), 'reviews', PICKUP_ID)));
+      await assertSucceeds(deleteDoc(doc(db(TEACHER), 'reviews', PICKUP_ID)));
+    });
+
+    it('lets the author trash and restore reviews only together with the work', async () => {
+      const options = { email: AUTHOR, isStaff: false };
+      await assertSucceeds(service(AUTHOR).deleteSubmission('s1', options));
+      await assertSucceeds(service(AUTHOR).restoreSubmission('s1', options));
+    });
+
+    it('rejects an author trashing a single review', async () => {
+      const deletion = { deletedAt: '2026-10-05T10:00:00.000Z', deletedBy: AUTHOR };
+      await assertFails(updateDoc(doc(db(AUTHOR), 'reviews', PICKUP_ID), deletion));
+    });
+
+    it('rejects an author restoring a review deleted apart from the work', async () => {
+      const deletedAt = '2026-10-05T10:00:00.000Z';
+      await seed({
+        'submissions/s1': { ...submission, deletedAt, deletedBy: AUTHOR },
+        [`reviews/${PICKUP_ID}`]: { ...review, deletedAt: '2026-10-04T10:00:00.000Z', deletedBy: TEACHER },
+      });
+      const firestore = db(AUTHOR);
+      const batch = writeBatch(firestore);
+      batch.update(doc(firestore, 'submissions', 's1'), { deletedAt: null, deletedBy: null });
+      batch.update(doc(firestore, 'reviews', PICKUP_ID), { deletedAt: null, deletedBy: null });
+      await assertFails(batch.commit());
+    });
+  });
+});
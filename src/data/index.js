@@ -0,0 +1,11 @@
+import { auth, firestore } from '../firebase';
+import { createFirestoreBackend } from './firestoreBackend';
+import { createPeerReviewService } from './peerReviewService';
+
+// Service instance used by the application, backed by Cloud Firestore.
+// Audit log entries name the signed-in user as the actor.
+const service = createPeerReviewService(createFirestoreBackend(firestore), {
+  currentActor: () => (auth.currentUser ? auth.currentUser.email : null),
+});
+
+export default service;
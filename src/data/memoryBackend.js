@@ -0,0 +1,168 @@
+// In-memory storage backend with the same interface as the Firestore
+// backend (see firestoreBackend.js). Useful for tests and local
+// experiments: data lives in plain maps, listeners fire synchronously after
+// every write and transactions are optimistic, retrying when a document
+// they read was changed before they commit – the same contract Firestore
+// gives.
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+// Marker of the increment() field transform
+const INCREMENT = Symbol('increment');
+
+// Field values with increment() transforms applied to the stored document
+const resolveTransforms = (current, data) =>
+  Object.entries(data).reduce((acc, [field, value]) => {
+    acc[field] =
+      value && value[INCREMENT] !== undefined ? ((current && current[field]) || 0) + value[INCREMENT] : value;
+    return acc;
+  }, {});
+
+const matches = (data, { field, op, value }) => {
+  const actual = data[field];
+  switch (op) {
+    case '==':
+      return actual === value;
+    case '!=':
+      return actual !== value;
+    case '<':
+      return actual < value;
+    case '<=':
+      return actual <= value;
+    case '>':
+      return actual > value;
+    case '>=':
+      return actual >= value;
+    case 'in':
+      return value.includes(actual);
+    case 'array-contains':
+      return Array.isArray(actual) && actual.includes(value);
+    default:
+      throw new Error(`Unsupported filter operator: ${op}`);
+  }
+};
+
+export const createMemoryBackend = (initialData = {}) => {
+  // name → Map(id → { data, version })
+  const collections = new Map();
+  const listeners = new Set();
+  let idCounter = 0;
+  let version = 0;
+
+  const collectionOf = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  const snapshotList = (name, filters = [], options = {}) => {
+    const docs = [...collectionOf(name).entries()]
+      .filter(([, entry]) => filters.every((filter) => matches(entry.data, filter)))
+      .map(([id, entry]) => ({ id, ...clone(entry.data) }));
+    for (const { field, direction } of [...(options.orderBy || [])].reverse()) {
+      const sign = direction === 'desc' ? -1 : 1;
+      docs.sort((a, b) => (a[field] < b[field] ? -sign : a[field] > b[field] ? sign : 0));
+    }
+    return options.limit ? docs.slice(0, options.limit) : docs;
+  };
+
+  const snapshotDoc = (name, id) => {
+    const entry = collectionOf(name).get(id);
+    return entry ? { id, ...clone(entry.data) } : null;
+  };
+
+  const notify = (names) => {
+    for (const listener of listeners) {
+      if (names.has(listener.name)) listener.emit();
+    }
+  };
+
+  // Apply a list of { type, name, id, data } operations at once
+  const apply = (operations) => {
+    for (const operation of operations) {
+      if (operation.type === 'update' && !collectionOf(operation.name).has(operation.id)) {
+        throw new Error(`No document to update: ${operation.name}/${operation.id}`);
+      }
+    }
+    version += 1;
+    for (const { type, name, id, data } of operations) {
+      const docs = collectionOf(name);
+      const current = type === 'update' ? docs.get(id).data : null;
+      if (type === 'delete') docs.delete(id);
+      else docs.set(id, { data: { ...current, ...clone(resolveTransforms(current, data)) }, version });
+    }
+    notify(new Set(operations.map((operation) => operation.name)));
+  };
+
+  // Ids are named after the last segment of the collection path, so
+  // subcollection ids contain no slash like Firestore ids
+  const newId = (name) => {
+    idCounter += 1;
+    return `${name.split('/').pop()}-${idCounter}`;
+  };
+
+  for (const [name, docs] of Object.entries(initialData)) {
+    for (const { id, ...data } of docs) collectionOf(name).set(id || newId(name), { data: clone(data), version });
+  }
+
+  return {
+    list: async (name, filters, options) => snapshotList(name, filters, options),
+    get: async (name, id) => snapshotDoc(name, id),
+    add: async (name, data) => {
+      const id = newId(name);
+      apply([{ type: 'set', name, id, data }]);
+      return id;
+    },
+    set: async (name, id, data) => apply([{ type: 'set', name, id, data }]),
+    update: async (name, id, data) => apply([{ type: 'update', name, id, data }]),
+    remove: async (name, id) => apply([{ type: 'delete', name, id }]),
+    newId,
+    increment: (by) => ({ [INCREMENT]: by }),
+    subscribe: (name, filters, onData, onError, options) => {
+      const listener = { name, emit: () => onData(snapshotList(name, filters, options)) };
+      listeners.add(listener);
+      listener.emit();
+      return () => listeners.delete(listener);
+    },
+    subscribeDoc: (name, id, onData) => {
+      const listener = { name, emit: () => onData(snapshotDoc(name, id)) };
+      listeners.add(listener);
+      listener.emit();
+      return () => listeners.delete(listener);
+    },
+    commit: async (operations) => apply(operations),
+    transaction: async (fn) => {
+      for (let attempt = 0; attempt < MAX_TRANSACTION_ATTEMPTS; attempt++) {
+        const reads = new Map();
+        const writes = [];
+        const result = await fn({
+          get: async (name, id) => {
+            const entry = collectionOf(name).get(id);
+            reads.set(`${name}/${id}`, entry ? entry.version : null);
+            return snapshotDoc(name, id);
+          },
+          set: (name, id, data) => writes.push({ type: 'set', name, id, data }),
+          update: (name, id, data) => writes.push({ type: 'update', name, id, data }),
+          remove: (name, id) => writes.push({ type: 'delete', name, id }),
+        });
+        const unchanged = [...reads.entries()].every(([path, readVersion]) => {
+          const [name, id] = path.split('/');
+          const entry = collectionOf(name).get(id);
+          return (entry ? entry.version : null) === readVersion;
+        });
+        if (unchanged) {
+          if (writes.length > 0) apply(writes);
+          return result;
+        }
+      }
+      throw new Error('Transaction failed: too much contention');
+    },
+    // Plain copy of all stored data, handy for assertions
+    dump: () =>
+      [...collections.keys()].reduce((acc, name) => {
+        acc[name] = snapshotList(name);
+        return acc;
+      }, {}),
+  };
+};
@@ -0,0 +1,103 @@
+/**
+ * @jest-environment node
+ */
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { collection, doc, getDoc, getDocs, setDoc } from 'firebase/firestore';
+import { createFirestoreBackend } from './firestoreBackend';
+import { createPeerReviewService } from './peerReviewService';
+
+// Concurrent pickups against the Firestore emulator with the security
+// rules loaded. Run with `npm run test:emulator`; without an emulator the
+// suite is skipped.
+
+const describeEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+const REVIEWERS = ['bob', 'carol', 'dave', 'erin', 'frank'].map((name) => `${name}@example.com`);
+
+describeEmulator('pickUpWork on Firestore', () => {
+  let testEnv;
+
+  const service = (email) =>
+    createPeerReviewService(
+      createFirestoreBackend(testEnv.authenticatedContext(email.split('@')[0], { email }).firestore()),
+      { currentActor: () => email }
+    );
+
+  const pickUp = (reviewer, reviewsPerSubmission) =>
+    service(reviewer).pickUpWork({ assignmentId: 'a1', reviewer, reviewsPerSubmission, reviews: [] });
+
+  // Submissions and reviews as stored, read bypassing the rules
+  const stored = async () => {
+    let result;
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const firestore = context.firestore();
+      const submission = await getDoc(doc(firestore, 'submissions', 's1'));
+      const reviews = await getDocs(collection(firestore, 'reviews'));
+      result = { submission: submission.data(), reviews: reviews.docs.map((d) => d.data()) };
+    });
+    return result;
+  };
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'peer-review-allocation',
+      firestore: { rules: readFileSync(resolve(__dirname, '../../firestore.rules'), 'utf8') },
+    });
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), 'assignments', 'a1'), {
+        courseId: 'c1',
+        title: 'Úkol 1',
+        reviewsPerSubmission: 3,
+        maxScore: 10,
+      });
+      await setDoc(doc(context.firestore(), 'submissions', 's1'), {
+        assignmentId: 'a1',
+        author: 'alice@example.com',
+        link: 'https://example.com/alice',
+        status: 'Odesláno',
+        reviewCount: 0,
+        submissionDate: '2026-10-01',
+        pickupDate: null,
+        correctionDate: null,
+        deletedAt: null,
+      });
+    });
+  });
+
+  it('hands the last slot to one of concurrent reviewers', async () => {
+    const picked = await Promise.all(REVIEWERS.map((reviewer) => pickUp(reviewer, 2)));
+    const { submission, reviews } = await stored();
+    expect(picked.filter(Boolean)).toHaveLength(2);
+    expect(submission.reviewCount).toBe(2);
+    expect(reviews).toHaveLength(2);
+    expect(new Set(reviews.map((review) => review.reviewerAliasIndex)).size).toBe(2);
+  });
+
+  it('gives a reviewer picking up twice at once a single review', async () => {
+    const picked = await Promise.all([pickUp(REVIEWERS[0], 3), pickUp(REVIEWERS[0], 3)]);
+    const { submission, reviews } = await stored();
+    expect(picked.filter(Boolean)).toHaveLength(1);
+    expect(submission.reviewCount).toBe(1);
+    expect(reviews).toHaveLength(1);
+  });
+
+  it('hands out no work trashed before the pickup', async () => {
+    await testEnv.withSecurityRulesDisabled((context) =>
+      setDoc(
+        doc(context.firestore(), 'submissions', 's1'),
+        { deletedAt: '2026-10-02T10:00:00.000Z', deletedBy: 'alice@example.com' },
+        { merge: true }
+      )
+    );
+    expect(await pickUp(REVIEWERS[0], 3)).toBeNull();
+    expect((await stored()).reviews).toHaveLength(0);
+  });
+});
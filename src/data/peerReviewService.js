@@ -0,0 +1,1568 @@
+import {
+  ALLOCATION_CANDIDATES,
+  countActiveReviews,
+  getReviewCount,
+  occupiesSlot,
+  rankCandidates,
+  pickCandidate,
+} from '../allocation';
+import { nextAliasIndex, resolveAliasIndex } from '../anonymity';
+import { getReviewVersion, getSubmissionVersion, getVersionHistory } from '../versions';
+import { threadCollection } from '../threads';
+import { roleDocId } from '../roles';
+import { diffFields } from '../audit';
+import {
+  BACKUP_COLLECTIONS,
+  MESSAGES_KEY,
+  RESTORED_COLLECTIONS,
+  buildBackup,
+  validateBackup,
+  countBackupRecords,
+} from './backup';
+
+// Domain operations of the peer review application on top of a storage
+// backend (firestoreBackend.js or memoryBackend.js). The UI talks only to
+// this service; every read and write of courses, assignments, submissions,
+// reviews and roles goes through it. Methods throw on storage errors and
+// leave user-facing messages to the caller.
+//
+// Submissions and reviews are deleted softly: they get `deletedAt` (an ISO
+// timestamp) and `deletedBy` and disappear from the regular subscriptions
+// until they are restored or purged from the trash. A submission deleted
+// together with its reviews stamps all of them with the same deletedAt, so
+// restoring it brings back exactly those reviews. Live submissions store
+// `deletedAt: null`, so the pickup query leaves trashed works out instead
+// of filling its window with them.
+//
+// Reviewers change the allocation fields of the submission they pick up,
+// give back or review (reviewCount, nextReviewerAlias, pickupDate,
+// correctionDate) in the same write as the review and name the review in
+// `lastReviewId`, so the security rules can check that both belong
+// together.
+//
+// Every mutation appends an entry to the audit log (see audit.js) in the
+// same batch or transaction, so the log cannot miss a committed change.
+// The actor is the signed-in user reported by `currentActor`. Personal
+// settings in `profiles` change no shared data and are not logged.
+
+// Firestore batches are limited to 500 operations
+export const BATCH_LIMIT = 500;
+
+// Reviews re-read and changed in one transaction by the bulk actions that
+// depend on their current status; each takes at most three writes
+const TRANSACTION_CHUNK = 100;
+
+// Open submissions fetched when looking for work to review. Only the least
+// reviewed works are loaded, so a pickup costs the same in a large cohort.
+const CANDIDATE_QUERY_LIMIT = 25;
+
+// Largest query of open submissions, however many works the reviewer
+// already reviews
+const CANDIDATE_QUERY_MAX = 50;
+
+// Id of the course and the assignment that adopt the submissions and
+// reviews stored before assignments existed (see migrateLegacyData)
+export const LEGACY_ID = 'legacy';
+
+// Settings document marking that no legacy records are left
+const MIGRATION_SETTINGS_ID = 'migration';
+
+// Utility to get today's date as YYYY-MM-DD
+export const getTodayDate = () => {
+  const today = new Date();
+  const year = today.getFullYear();
+  const month = String(today.getMonth() + 1).padStart(2, '0');
+  const day = String(today.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+const isLive = (item) => !item.deletedAt;
+
+// Submissions stored before assignments existed have no assignmentId, and
+// those stored before live works kept `deletedAt: null` lack the field
+const isLegacySubmission = (submission) => !submission.assignmentId || submission.deletedAt === undefined;
+
+// Id of the review a reviewer picks up for a version of a submission. It
+// is derived from both, so a pickup transaction can read it to see whether
+// the reviewer already has the work (a double click or a second tab) and
+// the security rules can refuse a second review of one version.
+const pickupReviewId = (submission, reviewer) => `${submission.id}_v${getSubmissionVersion(submission)}_${reviewer}`;
+
+// Merge several live sources of documents into one list without
+// duplicates. Each source is a function subscribing a callback and
+// returning its unsubscribe.
+const subscribeMerged = (sources, onData) => {
+  const parts = sources.map(() => []);
+  const publish = () => {
+    const byId = new Map();
+    parts.flat().forEach((item) => byId.set(item.id, item));
+    onData([...byId.values()]);
+  };
+  const unsubscribers = sources.map((source, index) =>
+    source((items) => {
+      parts[index] = items;
+      publish();
+    })
+  );
+  if (sources.length === 0) publish();
+  return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+};
+
+export const createPeerReviewService = (
+  backend,
+  { today = getTodayDate, now = () => new Date().toISOString(), currentActor = () => null } = {}
+) => {
+  // Batch operation writing an audit log entry. The target is { type, id,
+  // assignmentId, submissionId, subject } and, for a message, the reviewId
+  // of its thread.
+  const auditOperation = (action, target, { before = null, after = null } = {}) => ({
+    type: 'set',
+    name: 'auditLog',
+    id: backend.newId('auditLog'),
+    data: {
+      action,
+      actor: currentActor(),
+      at: now(),
+      targetType: target.type,
+      targetId: target.id || null,
+      assignmentId: target.assignmentId || null,
+      submissionId: target.submissionId || null,
+      subject: target.subject || null,
+      reviewId: target.reviewId || null,
+      before,
+      after,
+    },
+  });
+
+  // Write an audit log entry inside a transaction
+  const auditInTransaction = (transaction, action, target, changes) => {
+    const { name, id, data } = auditOperation(action, target, changes);
+    transaction.set(name, id, data);
+  };
+
+  // Delete operations for the discussion threads of the reviews as a Map
+  // from review id to operations. The threads are read in parallel.
+  const threadDeletions = async (reviewIds) => {
+    const ids = [...reviewIds];
+    const threads = await Promise.all(ids.map((reviewId) => backend.list(threadCollection(reviewId))));
+    return new Map(
+      ids.map((reviewId, index) => [
+        reviewId,
+        threads[index].map((message) => ({ type: 'delete', name: threadCollection(reviewId), id: message.id })),
+      ])
+    );
+  };
+
+  // Units deleting submissions and reviews for good, each review after its
+  // thread and each submission after its reviews, so a cascade commits
+  // together (see commitUnits). `reviews` must contain the reviews of the
+  // submissions; reviews outside them get units of their own.
+  const cascadeDeletions = async (submissionIds, reviews) => {
+    const threads = await threadDeletions(reviews.map((review) => review.id));
+    const reviewDeletion = (review) => [...threads.get(review.id), { type: 'delete', name: 'reviews', id: review.id }];
+    return [
+      ...[...submissionIds].map((submissionId) => [
+        ...reviews.filter((review) => review.submissionId === submissionId).flatMap(reviewDeletion),
+        { type: 'delete', name: 'submissions', id: submissionId },
+      ]),
+      ...reviews.filter((review) => !submissionIds.has(review.submissionId)).map(reviewDeletion),
+    ];
+  };
+
+  // Audit target of a thread message
+  const messageTarget = (review, messageId) => ({
+    type: 'message',
+    id: messageId,
+    reviewId: review.id,
+    assignmentId: review.assignmentId,
+    submissionId: review.submissionId,
+    subject: review.submissionAuthor,
+  });
+
+  // Change the saved overview views in the user's profile in a
+  // transaction, so views saved from two devices do not overwrite each
+  // other
+  const updateOverviewViews = (email, change) =>
+    backend.transaction(async (transaction) => {
+      const id = roleDocId(email);
+      const profile = await transaction.get('profiles', id);
+      const overviewViews = change((profile && profile.overviewViews) || []);
+      if (profile) transaction.update('profiles', id, { overviewViews });
+      else transaction.set('profiles', id, { overviewViews });
+    });
+
+  // Audit target of a review
+  const reviewTarget = (review) => ({
+    type: 'review',
+    id: review.id,
+    assignmentId: review.assignmentId,
+    submissionId: review.submissionId,
+    subject: review.submissionAuthor,
+  });
+
+  // Give an assigned review up with the status `returned` or `expired` and
+  // free its slot on the submission. Reviews finished or released in the
+  // meantime are left alone. `details` are stored on the review.
+  const releaseReview = (reviewId, status, details) =>
+    backend.transaction(async (transaction) => {
+      const review = await transaction.get('reviews', reviewId);
+      if (!review || review.status !== 'assigned') return;
+      const submission = await transaction.get('submissions', review.submissionId);
+      transaction.update('reviews', reviewId, { ...details, status, releasedAt: now() });
+      if (
+        submission &&
+        submission.reviewCount > 0 &&
+        occupiesSlot(review) &&
+        getReviewVersion(review) === getSubmissionVersion(submission)
+      ) {
+        transaction.update('submissions', submission.id, {
+          reviewCount: submission.reviewCount - 1,
+          lastReviewId: reviewId,
+        });
+      }
+      auditInTransaction(
+        transaction,
+        status === 'returned' ? 'review.return' : 'review.expire',
+        {
+          type: 'review',
+          id: reviewId,
+          assignmentId: review.assignmentId,
+          submissionId: review.submissionId,
+          subject: review.reviewer,
+        },
+        { before: { status: review.status, pickupDate: review.pickupDate || null }, after: { status, ...details } }
+      );
+    });
+
+  // Commit units of operations – lists that belong together, such as a
+  // submission deleted with its reviews – in batches of at most
+  // BATCH_LIMIT operations. A unit is split across batches only when it
+  // alone exceeds the limit, so each cascade is atomic. onProgress(done,
+  // total) follows every batch. Committed batches stay committed when a
+  // later one fails; the thrown error then carries `done` and `total` so
+  // the caller can report the partial result. The bulk operations only
+  // touch what is left, so running them again finishes the work.
+  const commitUnits = async (units, onProgress = () => {}) => {
+    const batches = [];
+    let current = [];
+    for (const unit of units) {
+      let rest = unit;
+      while (current.length + rest.length > BATCH_LIMIT) {
+        if (current.length > 0) {
+          batches.push(current);
+          current = [];
+        } else {
+          batches.push(rest.slice(0, BATCH_LIMIT));
+          rest = rest.slice(BATCH_LIMIT);
+        }
+      }
+      current.push(...rest);
+    }
+    if (current.length > 0) batches.push(current);
+    const total = batches.reduce((sum, batch) => sum + batch.length, 0);
+    let done = 0;
+    for (const batch of batches) {
+      try {
+        await backend.commit(batch);
+      } catch (cause) {
+        const error = new Error(`Batched write stopped after ${done} of ${total} operations: ${cause.message}`);
+        error.done = done;
+        error.total = total;
+        error.cause = cause;
+        throw error;
+      }
+      done += batch.length;
+      onProgress(done, total);
+    }
+  };
+
+  // Commit operations in chunks the backend accepts in one batch
+  const commitInChunks = (operations, onProgress) => commitUnits([operations], onProgress);
+
+  // Change reviews in transactions of TRANSACTION_CHUNK reviews that first
+  // re-read them and their submissions, so a review finished or moved
+  // since the caller's snapshot is skipped instead of overwritten.
+  // change(transaction, review, submission, changeCount) writes the review
+  // and resolves to whether it changed it; changeCount(delta) moves the
+  // review counter of the submission, written once per submission at the
+  // end. onProgress(done, total) counts reviews; a failure carries `done`
+  // and `total` like commitUnits. Resolves to the number of changed
+  // reviews.
+  const transactReviews = async (reviewIds, change, onProgress = () => {}) => {
+    const total = reviewIds.length;
+    let done = 0;
+    let changed = 0;
+    for (let start = 0; start < total; start += TRANSACTION_CHUNK) {
+      const chunk = reviewIds.slice(start, start + TRANSACTION_CHUNK);
+      try {
+        changed += await backend.transaction(async (transaction) => {
+          // All reads have to happen before the first write
+          const reviews = [];
+          const submissions = new Map();
+          for (const reviewId of chunk) {
+            const review = await transaction.get('reviews', reviewId);
+            if (!review) continue;
+            reviews.push(review);
+            if (!submissions.has(review.submissionId)) {
+              submissions.set(review.submissionId, await transaction.get('submissions', review.submissionId));
+            }
+          }
+          const countChanges = new Map();
+          let changedInChunk = 0;
+          for (const review of reviews) {
+            const changeCount = (delta) =>
+              countChanges.set(review.submissionId, (countChanges.get(review.submissionId) || 0) + delta);
+            if (change(transaction, review, submissions.get(review.submissionId), changeCount)) changedInChunk++;
+          }
+          for (const [submissionId, delta] of countChanges) {
+            const submission = submissions.get(submissionId);
+            if (delta === 0 || !submission) continue;
+            transaction.update('submissions', submissionId, {
+              reviewCount: Math.max((submission.reviewCount || 0) + delta, 0),
+            });
+          }
+          return changedInChunk;
+        });
+      } catch (cause) {
+        const error = new Error(`Transactions stopped after ${done} of ${total} reviews: ${cause.message}`);
+        error.done = done;
+        error.total = total;
+        error.cause = cause;
+        throw error;
+      }
+      done += chunk.length;
+      onProgress(done, total);
+    }
+    return changed;
+  };
+
+  // Whether the review holds a slot of the current version of its submission
+  const holdsSlot = (review, submissions) => {
+    const submission = submissions.find((s) => s.id === review.submissionId);
+    return Boolean(submission) && occupiesSlot(review) && getReviewVersion(review) === getSubmissionVersion(submission);
+  };
+
+  // Units for reviews deleted or released in bulk: per submission the
+  // operations of its reviews (from reviewOperations) and the decrement of
+  // its review counter, so the counter commits together with them.
+  const slotReleaseUnits = (released, submissions, reviewOperations) => {
+    const bySubmission = new Map();
+    for (const review of released) {
+      bySubmission.set(review.submissionId, [...(bySubmission.get(review.submissionId) || []), review]);
+    }
+    return [...bySubmission].map(([submissionId, own]) => {
+      const freed = own.filter((review) => holdsSlot(review, submissions)).length;
+      return [
+        ...own.flatMap(reviewOperations),
+        ...(freed > 0
+          ? [
+              {
+                type: 'update',
+                name: 'submissions',
+                id: submissionId,
+                data: { reviewCount: backend.increment(-freed) },
+              },
+            ]
+          : []),
+      ];
+    });
+  };
+
+  // Move an assigned review to another reviewer in a transaction. The
+  // review is recreated with its thread under the pickup id of the new
+  // reviewer and the old document is deleted, so the former reviewer's
+  // pickups can still look up their own id. The new review names the old
+  // one in `movedFrom` and the submission names the new one in
+  // `lastReviewId`, which lets the security rules tell a move from a
+  // deletion. Messages posted while the move runs stay behind. Resolves
+  // to the moved review, or null when the review is not assigned any more
+  // or the reviewer may not take it.
+  const moveReview = async (reviewId, { reviewer, reviews, staffReview }) => {
+    const messages = await backend.list(threadCollection(reviewId));
+    return backend.transaction(async (transaction) => {
+      // All reads have to happen before the first write
+      const review = await transaction.get('reviews', reviewId);
+      if (!review || !isLive(review) || review.status !== 'assigned' || review.reviewer === reviewer) return null;
+      const submission = await transaction.get('submissions', review.submissionId);
+      if (!submission || submission.author === reviewer) return null;
+      const movedId = pickupReviewId({ ...submission, version: getReviewVersion(review) }, reviewer);
+      if (await transaction.get('reviews', movedId)) return null;
+      const { id, ...data } = review;
+      const moved = {
+        ...data,
+        reviewer,
+        staffReview,
+        authorAliasIndex: nextAliasIndex(
+          reviews.filter((r) => r.reviewer === reviewer),
+          'authorAliasIndex'
+        ),
+        pickupDate: today(),
+        movedFrom: reviewId,
+      };
+      transaction.set('reviews', movedId, moved);
+      for (const { id: messageId, ...message } of messages) {
+        transaction.set(threadCollection(movedId), messageId, message);
+        transaction.remove(threadCollection(reviewId), messageId);
+      }
+      transaction.remove('reviews', reviewId);
+      const slots = (r) => Number(holdsSlot(r, [submission]));
+      const change = slots(moved) - slots(review);
+      transaction.update('submissions', submission.id, {
+        lastReviewId: movedId,
+        ...(change !== 0 ? { reviewCount: Math.max((submission.reviewCount || 0) + change, 0) } : {}),
+      });
+      auditInTransaction(transaction, 'review.reassign', reviewTarget({ ...moved, id: movedId }), {
+        before: { reviewer: review.reviewer, reviewId },
+        after: { reviewer },
+      });
+      return { id: movedId, ...moved };
+    });
+  };
+
+  return {
+    // --- Subscriptions ---------------------------------------------------
+
+    subscribeCourses: (onData, onError) => backend.subscribe('courses', [], onData, onError),
+
+    subscribeAssignments: (onData, onError) => backend.subscribe('assignments', [], onData, onError),
+
+    // Staff see the submissions of one assignment at a time. Students only
+    // see their own work and the submissions they review (reviewedIds).
+    subscribeSubmissions: ({ assignmentId, email, isStaff, reviewedIds = [] }, onData, onError) => {
+      const onLive = (submissions) => onData(submissions.filter(isLive));
+      if (isStaff) {
+        if (!assignmentId) return subscribeMerged([], onData);
+        return backend.subscribe(
+          'submissions',
+          [{ field: 'assignmentId', op: '==', value: assignmentId }],
+          onLive,
+          onError
+        );
+      }
+      return subscribeMerged(
+        [
+          (emit) => backend.subscribe('submissions', [{ field: 'author', op: '==', value: email }], emit, onError),
+          ...reviewedIds.map((id) => (emit) =>
+            backend.subscribeDoc('submissions', id, (submission) => emit(submission ? [submission] : []), onError)
+          ),
+        ],
+        onLive
+      );
+    },
+
+    // Staff see the reviews of one assignment at a time. Students may only
+    // read the reviews they write and the reviews of their own work, so two
+    // queries are merged.
+    subscribeReviews: ({ assignmentId, email, isStaff }, onData, onError) => {
+      const onLive = (reviews) => onData(reviews.filter(isLive));
+      if (isStaff) {
+        if (!assignmentId) return subscribeMerged([], onData);
+        return backend.subscribe(
+          'reviews',
+          [{ field: 'assignmentId', op: '==', value: assignmentId }],
+          onLive,
+          onError
+        );
+      }
+      return subscribeMerged(
+        [
+          (emit) => backend.subscribe('reviews', [{ field: 'reviewer', op: '==', value: email }], emit, onError),
+          (emit) =>
+            backend.subscribe('reviews', [{ field: 'submissionAuthor', op: '==', value: email }], emit, onError),
+        ],
+        onLive
+      );
+    },
+
+    // Deleted submissions and reviews of an assignment, for staff:
+    // onData({ submissions, reviews })
+    subscribeTrash: (assignmentId, onData, onError) => {
+      const trash = { submissions: [], reviews: [] };
+      const unsubscribers = ['submissions', 'reviews'].map((name) =>
+        backend.subscribe(
+          name,
+          [{ field: 'assignmentId', op: '==', value: assignmentId }],
+          (items) => {
+            trash[name] = items.filter((item) => !isLive(item));
+            onData({ ...trash });
+          },
+          onError
+        )
+      );
+      return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+    },
+
+    // Role of the user, null for students
+    subscribeRole: (email, onRole, onError) =>
+      backend.subscribeDoc('roles', roleDocId(email), (data) => onRole(data ? data.role : null), onError),
+
+    // Whether an owner has already claimed the application
+    subscribeOwnerClaimed: (onClaimed, onError) =>
+      backend.subscribeDoc('settings', 'roles', (data) => onClaimed(Boolean(data)), onError),
+
+    subscribeStaff: (onData, onError) => backend.subscribe('roles', [], onData, onError),
+
+    // Messages of the discussion thread of a review, oldest first. Only
+    // staff read the messages they hid.
+    subscribeThread: (reviewId, { isStaff }, onData, onError) =>
+      backend.subscribe(
+        threadCollection(reviewId),
+        isStaff ? [] : [{ field: 'hidden', op: '==', value: false }],
+        onData,
+        onError,
+        { orderBy: [{ field: 'at' }] }
+      ),
+
+    // Newest `count` audit log entries for a query of getAuditQuery: of a
+    // submission, of a person as the actor or the subject (two queries
+    // merged), or of an assignment, where null selects the entries not
+    // tied to an assignment (roles, courses, backups); optionally of one
+    // action. Newest first.
+    subscribeAuditLog: ({ assignmentId, submissionId, person, action }, count, onData, onError) => {
+      const query = (field, value) => (emit) =>
+        backend.subscribe(
+          'auditLog',
+          [{ field, op: '==', value }, ...(action ? [{ field: 'action', op: '==', value: action }] : [])],
+          emit,
+          onError,
+          { orderBy: [{ field: 'at', direction: 'desc' }], limit: count }
+        );
+      const sources = submissionId
+        ? [query('submissionId', submissionId)]
+        : person
+        ? [query('actor', person), query('subject', person)]
+        : [query('assignmentId', assignmentId)];
+      return subscribeMerged(sources, (entries) =>
+        onData(entries.sort((a, b) => b.at.localeCompare(a.at)).slice(0, count))
+      );
+    },
+
+    // --- Profiles ---------------------------------------------------------
+
+    // Personal settings of the user, keyed like roles by the lower-cased
+    // e-mail: { overviewViews: [{ name, filters, sortKeys,
+    // columnVisibility }] } with the saved views of the overview (see
+    // overviewFilters.js). Null until something is saved.
+    subscribeProfile: (email, onData, onError) => backend.subscribeDoc('profiles', roleDocId(email), onData, onError),
+
+    // Save a view of the overview under its name, replacing a view of the
+    // same name
+    saveOverviewView: (email, view) =>
+      updateOverviewViews(email, (views) =>
+        [...views.filter((v) => v.name !== view.name), view].sort((a, b) => a.name.localeCompare(b.name))
+      ),
+
+    deleteOverviewView: (email, name) => updateOverviewViews(email, (views) => views.filter((v) => v.name !== name)),
+
+    // --- Roles ------------------------------------------------------------
+
+    // Make the user the owner of a fresh installation. The role document
+    // and the bootstrap marker are written together; the security rules
+    // only allow this while the marker does not exist yet.
+    claimOwnership: (email) =>
+      backend.commit([
+        {
+          type: 'set',
+          name: 'roles',
+          id: roleDocId(email),
+          data: { role: 'owner', addedBy: email, addedAt: today() },
+        },
+        { type: 'set', name: 'settings', id: 'roles', data: { ownerClaimed: true, owner: roleDocId(email) } },
+        auditOperation('role.claim', { type: 'role', id: roleDocId(email), subject: email }, { after: { role: 'owner' } }),
+      ]),
+
+    setStaffRole: async (email, role, addedBy) => {
+      const current = await backend.get('roles', roleDocId(email));
+      await backend.commit([
+        { type: 'set', name: 'roles', id: roleDocId(email), data: { role, addedBy, addedAt: today() } },
+        auditOperation(
+          'role.set',
+          { type: 'role', id: roleDocId(email), subject: email },
+          { before: { role: current ? current.role : null }, after: { role } }
+        ),
+      ]);
+    },
+
+    removeStaff: async (email) => {
+      const current = await backend.get('roles', roleDocId(email));
+      await backend.commit([
+        { type: 'delete', name: 'roles', id: roleDocId(email) },
+        auditOperation(
+          'role.remove',
+          { type: 'role', id: roleDocId(email), subject: email },
+          { before: { role: current ? current.role : null } }
+        ),
+      ]);
+    },
+
+    // --- Courses and assignments ------------------------------------------
+
+    // Resolves to the id of the new course
+    addCourse: async (name) => {
+      const id = backend.newId('courses');
+      const data = { name, createdAt: today() };
+      await backend.commit([
+        { type: 'set', name: 'courses', id, data },
+        auditOperation('course.create', { type: 'course', id }, { after: data }),
+      ]);
+      return id;
+    },
+
+    // Change course fields; the audit entry keeps the previous values of
+    // the fields that changed
+    updateCourse: async (courseId, values) => {
+      const changes = diffFields(await backend.get('courses', courseId), values);
+      await backend.commit([
+        { type: 'update', name: 'courses', id: courseId, data: values },
+        ...(changes.after ? [auditOperation('course.update', { type: 'course', id: courseId }, changes)] : []),
+      ]);
+    },
+
+    // Resolves to the id of the new assignment
+    addAssignment: async (courseId, values) => {
+      const id = backend.newId('assignments');
+      const data = { courseId, ...values, archived: false, createdAt: today() };
+      await backend.commit([
+        { type: 'set', name: 'assignments', id, data },
+        auditOperation('assignment.create', { type: 'assignment', id, assignmentId: id }, { after: data }),
+      ]);
+      return id;
+    },
+
+    // Change assignment settings (including the rubric, archiving and
+    // extensions) with the previous values in the audit log
+    updateAssignment: async (assignmentId, values) => {
+      const changes = diffFields(await backend.get('assignments', assignmentId), values);
+      await backend.commit([
+        { type: 'update', name: 'assignments', id: assignmentId, data: values },
+        ...(changes.after
+          ? [auditOperation('assignment.update', { type: 'assignment', id: assignmentId, assignmentId }, changes)]
+          : []),
+      ]);
+    },
+
+    // --- Submissions ------------------------------------------------------
+
+    // Resolves to the id of the new submission
+    addSubmission: async ({ assignmentId, author, link }) => {
+      const id = backend.newId('submissions');
+      await backend.commit([
+        {
+          type: 'set',
+          name: 'submissions',
+          id,
+          data: {
+            assignmentId,
+            author,
+            link,
+            status: 'Odesláno',
+            reviewCount: 0,
+            submissionDate: today(),
+            pickupDate: null,
+            correctionDate: null,
+            deletedAt: null,
+            deletedBy: null,
+          },
+        },
+        auditOperation(
+          'submission.create',
+          { type: 'submission', id, assignmentId, submissionId: id, subject: author },
+          { after: { link } }
+        ),
+      ]);
+      return id;
+    },
+
+    // Replace the work of a submission with a revised version. The previous
+    // link and date are kept in `versions` together with their reviews and
+    // the review counter starts over, so the new version gets a review
+    // round of its own.
+    resubmitSubmission: async (submissionId, link) => {
+      const submission = await backend.get('submissions', submissionId);
+      if (!submission) throw new Error(`No submission ${submissionId}`);
+      const version = getSubmissionVersion(submission) + 1;
+      await backend.commit([
+        {
+          type: 'update',
+          name: 'submissions',
+          id: submissionId,
+          data: {
+            link,
+            version,
+            versions: getVersionHistory(submission),
+            status: 'Odesláno',
+            reviewCount: 0,
+            submissionDate: today(),
+            pickupDate: null,
+            correctionDate: null,
+          },
+        },
+        auditOperation(
+          'submission.resubmit',
+          {
+            type: 'submission',
+            id: submissionId,
+            assignmentId: submission.assignmentId,
+            submissionId,
+            subject: submission.author,
+          },
+          { before: { version: version - 1, link: submission.link }, after: { version, link } }
+        ),
+      ]);
+    },
+
+    // Move a submission together with its reviews to the trash. Students
+    // may only query reviews of their own work, hence the extra filter for
+    // them.
+    deleteSubmission: async (submissionId, { email, isStaff }) => {
+      const submission = await backend.get('submissions', submissionId);
+      const filters = [{ field: 'submissionId', op: '==', value: submissionId }];
+      if (!isStaff) filters.push({ field: 'submissionAuthor', op: '==', value: email });
+      const reviews = (await backend.list('reviews', filters)).filter(isLive);
+      const deletion = { deletedAt: now(), deletedBy: email };
+      await commitInChunks([
+        ...reviews.map((review) => ({ type: 'update', name: 'reviews', id: review.id, data: deletion })),
+        { type: 'update', name: 'submissions', id: submissionId, data: deletion },
+        auditOperation(
+          'submission.delete',
+          {
+            type: 'submission',
+            id: submissionId,
+            assignmentId: submission && submission.assignmentId,
+            submissionId,
+            subject: submission && submission.author,
+          },
+          { before: { link: submission ? submission.link : null }, after: { reviews: reviews.length } }
+        ),
+      ]);
+    },
+
+    // Bring a submission back from the trash with the reviews deleted
+    // together with it
+    restoreSubmission: async (submissionId, { email, isStaff }) => {
+      const submission = await backend.get('submissions', submissionId);
+      if (!submission || isLive(submission)) return;
+      const filters = [{ field: 'submissionId', op: '==', value: submissionId }];
+      if (!isStaff) filters.push({ field: 'submissionAuthor', op: '==', value: email });
+      const reviews = await backend.list('reviews', filters);
+      const restored = { deletedAt: null, deletedBy: null };
+      const deletedTogether = reviews.filter((review) => review.deletedAt === submission.deletedAt);
+      await commitInChunks([
+        { type: 'update', name: 'submissions', id: submissionId, data: restored },
+        ...deletedTogether.map((review) => ({ type: 'update', name: 'reviews', id: review.id, data: restored })),
+        auditOperation(
+          'submission.restore',
+          {
+            type: 'submission',
+            id: submissionId,
+            assignmentId: submission.assignmentId,
+            submissionId,
+            subject: submission.author,
+          },
+          { before: { deletedAt: submission.deletedAt }, after: { reviews: deletedTogether.length } }
+        ),
+      ]);
+    },
+
+    // --- Reviews ----------------------------------------------------------
+
+    // Hand out a submission of the assignment to the reviewer. The least
+    // reviewed open submissions are queried and ranked (not their own, not
+    // yet reviewed by them and short of reviewsPerSubmission) so works with
+    // the fewest reviews come first; `reviews` are the reviews of the
+    // assignment known to the caller. The choice runs in a transaction that
+    // re-reads the best candidates so concurrent pickups cannot over-assign,
+    // hand out a work trashed in the meantime or give one reviewer the same
+    // work twice. Reviews picked up by staff are marked
+    // with staffReview so grading can weight them. Resolves to the assigned
+    // submission or null when no work is available.
+    pickUpWork: async ({ assignmentId, reviewer, reviewsPerSubmission, reviews, staffReview = false }) => {
+      // Leave room for the reviewer's own work and works they already review
+      const reviewed = reviews.filter((r) => r.reviewer === reviewer).length;
+      const submissions = await backend.list(
+        'submissions',
+        [
+          { field: 'assignmentId', op: '==', value: assignmentId },
+          { field: 'deletedAt', op: '==', value: null },
+          { field: 'reviewCount', op: '<', value: reviewsPerSubmission },
+        ],
+        { orderBy: [{ field: 'reviewCount' }], limit: Math.min(CANDIDATE_QUERY_LIMIT + reviewed, CANDIDATE_QUERY_MAX) }
+      );
+      const candidates = rankCandidates(submissions, reviews, reviewer, reviewsPerSubmission).slice(
+        0,
+        ALLOCATION_CANDIDATES
+      );
+      if (candidates.length === 0) return null;
+      return backend.transaction(async (transaction) => {
+        // All reads have to happen before the first write
+        const entries = [];
+        for (const candidate of candidates) {
+          const fresh = await transaction.get('submissions', candidate.id);
+          if (!fresh || !isLive(fresh) || fresh.author === reviewer) continue;
+          if (await transaction.get('reviews', pickupReviewId(fresh, reviewer))) continue;
+          entries.push({
+            submission: fresh,
+            count: fresh.reviewCount || 0,
+            nextReviewerAlias: Math.max(
+              fresh.nextReviewerAlias || 0,
+              nextAliasIndex(
+                reviews.filter((r) => r.submissionId === candidate.id),
+                'reviewerAliasIndex'
+              )
+            ),
+          });
+        }
+        const chosen = pickCandidate(entries, reviewsPerSubmission);
+        if (!chosen) return null;
+        // The alias indexes keep the pseudonyms of both sides stable for
+        // anonymous assignments; the reviewer alias comes from a counter on
+        // the submission because a student cannot see other reviews of it.
+        const reviewId = pickupReviewId(chosen.submission, reviewer);
+        transaction.set('reviews', reviewId, {
+          assignmentId,
+          submissionId: chosen.submission.id,
+          submissionAuthor: chosen.submission.author,
+          submissionVersion: getSubmissionVersion(chosen.submission),
+          reviewer,
+          staffReview,
+          reviewerAliasIndex: chosen.nextReviewerAlias,
+          authorAliasIndex: nextAliasIndex(
+            reviews.filter((r) => r.reviewer === reviewer),
+            'authorAliasIndex'
+          ),
+          status: 'assigned',
+          score: null,
+          comment: '',
+          pickupDate: today(),
+          correctionDate: null,
+        });
+        // Occupy a review slot (staff reviews take none) and update the
+        // pickup date on the submission
+        transaction.update('submissions', chosen.submission.id, {
+          ...(staffReview ? {} : { reviewCount: chosen.count + 1 }),
+          nextReviewerAlias: chosen.nextReviewerAlias + 1,
+          pickupDate: today(),
+          lastReviewId: reviewId,
+        });
+        auditInTransaction(
+          transaction,
+          'review.pickup',
+          {
+            type: 'review',
+            id: reviewId,
+            assignmentId,
+            submissionId: chosen.submission.id,
+            subject: chosen.submission.author,
+          },
+          { after: { reviewer, staffReview } }
+        );
+        return chosen.submission;
+      });
+    },
+
+    // Finish a review with its score, comment and optional per-criterion
+    // results, and stamp the correction date on the reviewed submission.
+    // Changing a finished review is logged as an edit with the previous
+    // values; saving it unchanged writes nothing, as there is nothing to log.
+    submitReview: async (review, { score, comment, criteria }) => {
+      const values = { score, comment, ...(criteria ? { criteria } : {}) };
+      const changes = diffFields(review, values);
+      if (review.status === 'finished' && !changes.after) return;
+      await backend.commit([
+        {
+          type: 'update',
+          name: 'reviews',
+          id: review.id,
+          data: { ...values, status: 'finished', correctionDate: today() },
+        },
+        {
+          type: 'update',
+          name: 'submissions',
+          id: review.submissionId,
+          data: { correctionDate: today(), lastReviewId: review.id },
+        },
+        auditOperation(
+          review.status === 'finished' ? 'review.edit' : 'review.submit',
+          {
+            type: 'review',
+            id: review.id,
+            assignmentId: review.assignmentId,
+            submissionId: review.submissionId,
+            subject: review.submissionAuthor,
+          },
+          changes.after ? changes : { after: values }
+        ),
+      ]);
+    },
+
+    // The author's reaction to a finished review of their work: a
+    // helpfulness rating (1-5) and an optional short reply. An unchanged
+    // reaction writes nothing.
+    rateReview: async (review, { helpfulness, reply }) => {
+      const values = { helpfulness, authorReply: reply };
+      const changes = diffFields(review, values);
+      if (!changes.after) return;
+      await backend.commit([
+        { type: 'update', name: 'reviews', id: review.id, data: { ...values, feedbackDate: today() } },
+        auditOperation(
+          'review.feedback',
+          {
+            type: 'review',
+            id: review.id,
+            assignmentId: review.assignmentId,
+            submissionId: review.submissionId,
+            subject: review.reviewer,
+          },
+          changes
+        ),
+      ]);
+    },
+
+    // --- Staff interventions ----------------------------------------------
+
+    // A teacher's correction of a finished review: { score, comment } kept
+    // in `override` next to the reviewer's own score and comment, which stay
+    // untouched. Grading counts the override (see getEffectiveScore). Null
+    // removes the override again.
+    overrideReview: (review, override, { email }) => {
+      const value = override ? { score: override.score, comment: override.comment, by: email, at: now() } : null;
+      return backend.commit([
+        { type: 'update', name: 'reviews', id: review.id, data: { override: value } },
+        auditOperation(
+          override ? 'review.override' : 'review.revert',
+          reviewTarget(review),
+          diffFields(review, { override: value })
+        ),
+      ]);
+    },
+
+    // Staff hand a chosen submission to a chosen reviewer, even beyond the
+    // required number of reviews. Runs as a transaction like pickUpWork so
+    // the counters stay in step with concurrent pickups; `reviews` are the
+    // reviews of the assignment known to the caller. Staff assigning a
+    // review to themselves write an authoritative teacher review by passing
+    // staffReview; it takes no peer slot. Resolves to the new review.
+    assignReviewer: ({ submission, reviewer, reviews, staffReview = false }) =>
+      backend.transaction(async (transaction) => {
+        const fresh = await transaction.get('submissions', submission.id);
+        if (!fresh || !isLive(fresh)) throw new Error(`Submission ${submission.id} does not exist`);
+        const nextReviewerAlias = Math.max(
+          fresh.nextReviewerAlias || 0,
+          nextAliasIndex(
+            reviews.filter((r) => r.submissionId === submission.id),
+            'reviewerAliasIndex'
+          )
+        );
+        const reviewId = backend.newId('reviews');
+        const review = {
+          assignmentId: submission.assignmentId,
+          submissionId: submission.id,
+          submissionAuthor: fresh.author,
+          submissionVersion: getSubmissionVersion(fresh),
+          reviewer,
+          staffReview,
+          reviewerAliasIndex: nextReviewerAlias,
+          authorAliasIndex: nextAliasIndex(
+            reviews.filter((r) => r.reviewer === reviewer),
+            'authorAliasIndex'
+          ),
+          status: 'assigned',
+          score: null,
+          comment: '',
+          pickupDate: today(),
+          correctionDate: null,
+        };
+        transaction.set('reviews', reviewId, review);
+        transaction.update('submissions', submission.id, {
+          ...(staffReview
+            ? {}
+            : { reviewCount: Math.max(fresh.reviewCount || 0, getReviewCount(submission, reviews)) + 1 }),
+          nextReviewerAlias: nextReviewerAlias + 1,
+          pickupDate: today(),
+        });
+        auditInTransaction(
+          transaction,
+          'review.assign',
+          {
+            type: 'review',
+            id: reviewId,
+            assignmentId: submission.assignmentId,
+            submissionId: submission.id,
+            subject: fresh.author,
+          },
+          { after: { reviewer, staffReview } }
+        );
+        return { id: reviewId, ...review };
+      }),
+
+    // Move an unfinished review to another reviewer, keeping its slot on the
+    // submission; a staff review moved to a student takes a slot and the
+    // other way round frees one. The new reviewer gets their own author
+    // alias. Resolves to the moved review, or null when the review was
+    // finished or released in the meantime or the reviewer already has
+    // this version of the work (see moveReview).
+    reassignReview: (reviewId, { reviewer, reviews, staffReview = false }) =>
+      moveReview(reviewId, { reviewer, reviews, staffReview }),
+
+    // --- Bulk actions -----------------------------------------------------
+
+    // Bulk actions of the overview work on items ([{ type: 'submission' |
+    // 'review', id }]) or review ids together with the submissions and
+    // reviews of the assignment known to the caller. Every item is one unit
+    // of commitUnits, so a failure part way leaves no item half changed and
+    // running the action again on what is left finishes it. They call
+    // onProgress(done, total) after each batch and resolve to the number of
+    // changed items. Releasing and moving reviews depend on their current
+    // status and run in transactions instead (see transactReviews).
+
+    // Move the items to the trash. Submissions take their reviews with them
+    // as in deleteSubmission; freed slots are released on the submissions.
+    bulkDelete: async (items, { submissions, reviews, email, onProgress }) => {
+      const deletion = { deletedAt: now(), deletedBy: email };
+      const submissionIds = new Set(items.filter((item) => item.type === 'submission').map((item) => item.id));
+      const units = [...submissionIds].map((submissionId) => {
+        const submission = submissions.find((s) => s.id === submissionId);
+        const own = reviews.filter((r) => r.submissionId === submissionId && isLive(r));
+        return [
+          ...own.map((review) => ({ type: 'update', name: 'reviews', id: review.id, data: deletion })),
+          { type: 'update', name: 'submissions', id: submissionId, data: deletion },
+          auditOperation(
+            'submission.delete',
+            {
+              type: 'submission',
+              id: submissionId,
+              assignmentId: submission.assignmentId,
+              submissionId,
+              subject: submission.author,
+            },
+            { before: { link: submission.link }, after: { reviews: own.length } }
+          ),
+        ];
+      });
+      const deletedReviews = items
+        .filter((item) => item.type === 'review')
+        .map((item) => reviews.find((r) => r.id === item.id))
+        .filter((review) => review && !submissionIds.has(review.submissionId));
+      units.push(
+        ...slotReleaseUnits(deletedReviews, submissions, (review) => [
+          { type: 'update', name: 'reviews', id: review.id, data: deletion },
+          auditOperation('review.delete', reviewTarget(review), {
+            before: {
+              reviewer: review.reviewer,
+              status: review.status,
+              score: review.score === undefined ? null : review.score,
+            },
+          }),
+        ])
+      );
+      await commitUnits(units, onProgress);
+      return submissionIds.size + deletedReviews.length;
+    },
+
+    // Staff take assigned reviews away from their reviewers: the reviews
+    // get the status `released` and free their slots. Reviews that are not
+    // assigned any more when their transaction runs (see transactReviews)
+    // are skipped.
+    releaseReviews: (reviewIds, { onProgress }) =>
+      transactReviews(
+        reviewIds,
+        (transaction, review, submission, changeCount) => {
+          if (!isLive(review) || review.status !== 'assigned') return false;
+          transaction.update('reviews', review.id, { status: 'released', releasedAt: now() });
+          if (holdsSlot(review, submission ? [submission] : [])) changeCount(-1);
+          auditInTransaction(transaction, 'review.release', reviewTarget(review), {
+            before: { status: review.status, reviewer: review.reviewer },
+            after: { status: 'released' },
+          });
+          return true;
+        },
+        onProgress
+      ),
+
+    // Exclude the items from grading or include them again (see
+    // computeGrade): an excluded submission gets no grade, an excluded
+    // review does not count towards the grade of its submission
+    setExcludedFromGrading: async (items, excluded, { submissions, reviews, onProgress }) => {
+      const units = [];
+      for (const { type, id } of items) {
+        const current =
+          type === 'submission' ? submissions.find((s) => s.id === id) : reviews.find((r) => r.id === id);
+        if (!current || Boolean(current.excludedFromGrading) === excluded) continue;
+        const target =
+          type === 'submission'
+            ? { type, id, assignmentId: current.assignmentId, submissionId: id, subject: current.author }
+            : reviewTarget(current);
+        units.push([
+          {
+            type: 'update',
+            name: type === 'submission' ? 'submissions' : 'reviews',
+            id,
+            data: { excludedFromGrading: excluded },
+          },
+          auditOperation(excluded ? 'grading.exclude' : 'grading.include', target, {
+            before: { excludedFromGrading: !excluded },
+            after: { excludedFromGrading: excluded },
+          }),
+        ]);
+      }
+      await commitUnits(units, onProgress);
+      return units.length;
+    },
+
+    // Move assigned reviews to the reviewer as reassignReview does, staff
+    // reviews taking a slot as they become peer reviews. Each review moves
+    // in a transaction of its own, because its submission names the moved
+    // review (see moveReview). Reviews that are not assigned any more or
+    // that the reviewer may not take (their own work or a work they
+    // already review) are skipped. Progress and failures count reviews as
+    // in transactReviews.
+    bulkReassign: async (reviewIds, { reviewer, reviews, onProgress = () => {} }) => {
+      const knownReviews = [...reviews];
+      let moved = 0;
+      for (const [index, reviewId] of reviewIds.entries()) {
+        let review;
+        try {
+          review = await moveReview(reviewId, { reviewer, reviews: knownReviews, staffReview: false });
+        } catch (cause) {
+          const error = new Error(`Moving stopped after ${index} of ${reviewIds.length} reviews: ${cause.message}`);
+          error.done = index;
+          error.total = reviewIds.length;
+          error.cause = cause;
+          throw error;
+        }
+        if (review) {
+          knownReviews.push(review);
+          moved++;
+        }
+        onProgress(index + 1, reviewIds.length);
+      }
+      return moved;
+    },
+
+    // --- Discussion threads -----------------------------------------------
+
+    // Post a message to the thread of a review as 'author', 'reviewer' or
+    // 'staff' (see threads.js); only staff messages store their sender. The
+    // review is stamped so the other side sees an unread thread.
+    postMessage: (review, { role, text, sender }) => {
+      const id = backend.newId(threadCollection(review.id));
+      const at = now();
+      return backend.commit([
+        {
+          type: 'set',
+          name: threadCollection(review.id),
+          id,
+          data: { role, text, at, hidden: false, ...(role === 'staff' ? { sender } : {}) },
+        },
+        { type: 'update', name: 'reviews', id: review.id, data: { lastMessageAt: at, lastMessageBy: role } },
+        auditOperation('thread.post', messageTarget(review, id), { after: { role, text } }),
+      ]);
+    },
+
+    // Staff moderation: hide a message from the participants or show it
+    // again. Hidden messages stay visible to staff.
+    setMessageHidden: (review, message, hidden, { email }) =>
+      backend.commit([
+        {
+          type: 'update',
+          name: threadCollection(review.id),
+          id: message.id,
+          data: { hidden, hiddenBy: hidden ? email : null, hiddenAt: hidden ? now() : null },
+        },
+        auditOperation(hidden ? 'thread.hide' : 'thread.show', messageTarget(review, message.id), {
+          before: { hidden: Boolean(message.hidden) },
+          after: { hidden },
+        }),
+      ]),
+
+    // Staff moderation: delete a message for good
+    deleteMessage: (review, message) =>
+      backend.commit([
+        { type: 'delete', name: threadCollection(review.id), id: message.id },
+        auditOperation('thread.delete', messageTarget(review, message.id), {
+          before: { role: message.role, text: message.text },
+        }),
+      ]),
+
+    // The reviewer gives an assigned work back, optionally with a reason
+    // (see RETURN_REASONS) and a note, so it can go to somebody else
+    returnReview: (reviewId, { reason = null, note = '' } = {}) =>
+      releaseReview(reviewId, 'returned', { returnReason: reason, returnNote: note }),
+
+    // Release assigned reviews left untouched past the expiry of their
+    // assignment (see getStaleReviews). Resolves when all are processed.
+    expireReviews: async (reviewIds) => {
+      for (const reviewId of reviewIds) {
+        await releaseReview(reviewId, 'expired', {});
+      }
+    },
+
+    // Move a review to the trash and free its slot on the reviewed
+    // submission. Runs as a transaction so the counter stays in step with
+    // concurrent pickups. Local data is used to repair counters of legacy
+    // submissions. Returned reviews and reviews of replaced versions hold
+    // no slot.
+    deleteReview: (reviewId, { submissions, reviews, email }) => {
+      const review = reviews.find((r) => r.id === reviewId);
+      const submission = review && submissions.find((s) => s.id === review.submissionId);
+      return backend.transaction(async (transaction) => {
+        const fresh = submission ? await transaction.get('submissions', submission.id) : null;
+        transaction.update('reviews', reviewId, { deletedAt: now(), deletedBy: email });
+        if (fresh && occupiesSlot(review) && getReviewVersion(review) === getSubmissionVersion(fresh)) {
+          const count = Math.max(fresh.reviewCount || 0, getReviewCount(submission, reviews));
+          transaction.update('submissions', submission.id, { reviewCount: Math.max(count - 1, 0) });
+        }
+        auditInTransaction(
+          transaction,
+          'review.delete',
+          {
+            type: 'review',
+            id: reviewId,
+            assignmentId: review && review.assignmentId,
+            submissionId: review && review.submissionId,
+            subject: review && review.submissionAuthor,
+          },
+          {
+            before: review
+              ? { reviewer: review.reviewer, status: review.status, score: review.score === undefined ? null : review.score }
+              : null,
+          }
+        );
+      });
+    },
+
+    // Bring a review back from the trash and occupy its slot again
+    restoreReview: (reviewId) =>
+      backend.transaction(async (transaction) => {
+        const review = await transaction.get('reviews', reviewId);
+        if (!review || isLive(review)) return;
+        const submission = await transaction.get('submissions', review.submissionId);
+        transaction.update('reviews', reviewId, { deletedAt: null, deletedBy: null });
+        if (submission && occupiesSlot(review) && getReviewVersion(review) === getSubmissionVersion(submission)) {
+          transaction.update('submissions', submission.id, { reviewCount: (submission.reviewCount || 0) + 1 });
+        }
+        auditInTransaction(
+          transaction,
+          'review.restore',
+          {
+            type: 'review',
+            id: reviewId,
+            assignmentId: review.assignmentId,
+            submissionId: review.submissionId,
+            subject: review.submissionAuthor,
+          },
+          { before: { deletedAt: review.deletedAt }, after: { reviewer: review.reviewer } }
+        );
+      }),
+
+    // Permanently delete trashed items ([{ type: 'submission' | 'review',
+    // id }]); purged submissions take all their reviews with them, each in
+    // one unit of commitUnits, and reviews their threads. The purged counts
+    // are recorded in the audit log of the assignment. Reports progress
+    // like the bulk actions and resolves to the counts.
+    purgeTrash: async (items, { assignmentId, onProgress }) => {
+      const submissionIds = new Set(items.filter((item) => item.type === 'submission').map((item) => item.id));
+      const ofSubmissions = await Promise.all(
+        [...submissionIds].map((id) => backend.list('reviews', [{ field: 'submissionId', op: '==', value: id }]))
+      );
+      const reviews = new Map(ofSubmissions.flat().map((review) => [review.id, review]));
+      items
+        .filter((item) => item.type === 'review' && !reviews.has(item.id))
+        .forEach((item) => reviews.set(item.id, { id: item.id }));
+      const counts = { submissions: submissionIds.size, reviews: reviews.size };
+      await commitUnits(
+        [
+          [auditOperation('trash.purge', { type: 'assignment', id: assignmentId, assignmentId }, { after: counts })],
+          ...(await cascadeDeletions(submissionIds, [...reviews.values()])),
+        ],
+        onProgress
+      );
+      return counts;
+    },
+
+    // Write planned { reviewer, submissionId } pairs as `assigned` reviews.
+    // Each submission's new reviews commit in one unit of commitUnits
+    // together with the increment of its review counter, so a failed batch
+    // leaves no review without its slot and concurrent pickups are counted
+    // in. Reports progress like the bulk actions.
+    bulkAllocate: async ({ assignmentId, pairs, submissions, reviews, onProgress }) => {
+      const knownReviews = [...reviews];
+      const bySubmission = new Map();
+      // Next reviewer alias of a submission, honouring its stored counter
+      const nextReviewerAlias = (submission) =>
+        Math.max(
+          submission.nextReviewerAlias || 0,
+          nextAliasIndex(
+            knownReviews.filter((r) => r.submissionId === submission.id),
+            'reviewerAliasIndex'
+          )
+        );
+      for (const { reviewer, submissionId } of pairs) {
+        const submission = submissions.find((s) => s.id === submissionId);
+        const review = {
+          assignmentId,
+          submissionId,
+          submissionAuthor: submission.author,
+          submissionVersion: getSubmissionVersion(submission),
+          reviewer,
+          reviewerAliasIndex: nextReviewerAlias(submission),
+          authorAliasIndex: nextAliasIndex(
+            knownReviews.filter((r) => r.reviewer === reviewer),
+            'authorAliasIndex'
+          ),
+          status: 'assigned',
+          score: null,
+          comment: '',
+          pickupDate: today(),
+          correctionDate: null,
+        };
+        const reviewId = backend.newId('reviews');
+        knownReviews.push(review);
+        const unit = bySubmission.get(submissionId) || { operations: [], added: 0 };
+        bySubmission.set(submissionId, {
+          operations: [
+            ...unit.operations,
+            { type: 'set', name: 'reviews', id: reviewId, data: review },
+            auditOperation(
+              'review.assign',
+              { type: 'review', id: reviewId, assignmentId, submissionId, subject: submission.author },
+              { after: { reviewer } }
+            ),
+          ],
+          added: unit.added + 1,
+        });
+      }
+      const units = [...bySubmission].map(([submissionId, { operations, added }]) => {
+        const submission = submissions.find((s) => s.id === submissionId);
+        return [
+          ...operations,
+          {
+            type: 'update',
+            name: 'submissions',
+            id: submissionId,
+            data: {
+              reviewCount: backend.increment(added),
+              nextReviewerAlias: nextReviewerAlias(submission),
+              pickupDate: today(),
+            },
+          },
+        ];
+      });
+      await commitUnits(units, onProgress);
+    },
+
+    // --- Legacy data -------------------------------------------------------
+
+    // Counts of the submissions and reviews stored by older versions (see
+    // isLegacySubmission; reviews have no assignmentId), or null when
+    // there are none.
+    // The first check that finds none records it in settings, so later
+    // checks read one document instead of every record.
+    findLegacyData: async () => {
+      const marker = await backend.get('settings', MIGRATION_SETTINGS_ID);
+      if (marker && marker.legacyMigrated) return null;
+      const [submissions, reviews] = await Promise.all(['submissions', 'reviews'].map((name) => backend.list(name)));
+      const counts = {
+        submissions: submissions.filter(isLegacySubmission).length,
+        reviews: reviews.filter((review) => !review.assignmentId).length,
+      };
+      if (counts.submissions > 0 || counts.reviews > 0) return counts;
+      await backend.set('settings', MIGRATION_SETTINGS_ID, { legacyMigrated: true, migratedAt: now() });
+      return null;
+    },
+
+    // Move submissions and reviews without an assignmentId into the
+    // assignment LEGACY_ID, created on the first run in a course of the
+    // same id with the reviews per submission and maximum score of the old
+    // `settings/global` document (`defaults` where it has none). Reviews
+    // get the fields later versions store on pickup (submissionAuthor and
+    // the alias indexes in pickup order, so the pseudonyms stay as they
+    // were shown), and submissions the review counter the old version never
+    // kept. Submissions that only lack `deletedAt` get it set to null.
+    // Each submission commits in one unit with its reviews (see
+    // commitUnits); a failed run is finished by running it again. Resolves
+    // to the counts of migrated records.
+    migrateLegacyData: async ({ title, courseName, defaults, onProgress }) => {
+      const [submissions, reviews, global, assignment] = await Promise.all([
+        backend.list('submissions'),
+        backend.list('reviews'),
+        backend.get('settings', 'global'),
+        backend.get('assignments', LEGACY_ID),
+      ]);
+      const legacySubmissions = submissions.filter(isLegacySubmission);
+      const legacyReviews = reviews.filter((review) => !review.assignmentId);
+      const counts = { submissions: legacySubmissions.length, reviews: legacyReviews.length };
+      const adopted = reviews.filter((review) => !review.assignmentId || review.assignmentId === LEGACY_ID);
+      const target = { type: 'assignment', id: LEGACY_ID, assignmentId: LEGACY_ID };
+      const setup = [];
+      if (!assignment) {
+        const course = { name: courseName, createdAt: today() };
+        const data = {
+          courseId: LEGACY_ID,
+          title,
+          description: '',
+          reviewsPerSubmission: (global && global.reviewsPerSubmission) || defaults.reviewsPerSubmission,
+          maxScore: (global && global.maxScore) || defaults.maxScore,
+          archived: false,
+          createdAt: today(),
+        };
+        setup.push(
+          { type: 'set', name: 'courses', id: LEGACY_ID, data: course },
+          { type: 'set', name: 'assignments', id: LEGACY_ID, data },
+          auditOperation('assignment.create', target, { after: data })
+        );
+      }
+      // Updates of a legacy review with the values filled in
+      const migratedReview = (review, submission) => {
+        const values = {
+          assignmentId: LEGACY_ID,
+          submissionAuthor: submission ? submission.author : review.submissionAuthor || null,
+          reviewerAliasIndex: resolveAliasIndex(
+            review,
+            adopted.filter((r) => r.submissionId === review.submissionId),
+            'reviewerAliasIndex'
+          ),
+          authorAliasIndex: resolveAliasIndex(
+            review,
+            adopted.filter((r) => r.reviewer === review.reviewer),
+            'authorAliasIndex'
+          ),
+        };
+        return { ...review, ...values };
+      };
+      const reviewUpdate = ({ id, assignmentId, submissionAuthor, reviewerAliasIndex, authorAliasIndex }) => ({
+        type: 'update',
+        name: 'reviews',
+        id,
+        data: { assignmentId, submissionAuthor, reviewerAliasIndex, authorAliasIndex },
+      });
+      const submissionIds = new Set(legacySubmissions.map((submission) => submission.id));
+      const units = legacySubmissions.map((submission) => {
+        const live = { deletedAt: null, deletedBy: null };
+        if (submission.assignmentId) return [{ type: 'update', name: 'submissions', id: submission.id, data: live }];
+        const ofSubmission = legacyReviews
+          .filter((review) => review.submissionId === submission.id)
+          .map((review) => migratedReview(review, submission));
+        return [
+          {
+            type: 'update',
+            name: 'submissions',
+            id: submission.id,
+            data: {
+              assignmentId: LEGACY_ID,
+              reviewCount: countActiveReviews(submission, ofSubmission),
+              nextReviewerAlias: nextAliasIndex(ofSubmission, 'reviewerAliasIndex'),
+              ...live,
+            },
+          },
+          ...ofSubmission.map(reviewUpdate),
+        ];
+      });
+      // Reviews whose submission was migrated before or no longer exists
+      for (const review of legacyReviews.filter((r) => !submissionIds.has(r.submissionId))) {
+        const submission = submissions.find((s) => s.id === review.submissionId);
+        units.push([reviewUpdate(migratedReview(review, submission))]);
+      }
+      const marker = { legacyMigrated: true, migratedAt: now() };
+      await commitUnits(
+        [
+          [...setup, auditOperation('data.migrate', target, { after: counts })],
+          ...units,
+          [{ type: 'set', name: 'settings', id: MIGRATION_SETTINGS_ID, data: marker }],
+        ],
+        onProgress
+      );
+      return counts;
+    },
+
+    // Read every collection and the threads of all reviews into a backup
+    // archive (see backup.js)
+    createBackup: async (createdBy) => {
+      const collections = {};
+      for (const name of BACKUP_COLLECTIONS) {
+        collections[name] = await backend.list(name);
+      }
+      const threads = await Promise.all(
+        collections.reviews.map((review) => backend.list(threadCollection(review.id)))
+      );
+      collections[MESSAGES_KEY] = collections.reviews.flatMap((review, index) =>
+        threads[index].map((message) => ({ ...message, reviewId: review.id }))
+      );
+      return buildBackup(collections, { createdAt: now(), createdBy });
+    },
+
+    // Write a validated archive back. `merge` overwrites documents with the
+    // same id and keeps the rest; `replace` also deletes documents missing
+    // from the archive, thread messages included, so the data ends up
+    // exactly as backed up.
+    restoreBackup: async (archive, { mode }) => {
+      const error = validateBackup(archive);
+      if (error) throw new Error(error);
+      const operations = [];
+      for (const name of RESTORED_COLLECTIONS) {
+        const docs = archive.collections[name] || [];
+        if (mode === 'replace') {
+          const keep = new Set(docs.map((item) => item.id));
+          const existing = await backend.list(name);
+          if (name === 'reviews') {
+            // Messages the archive lacks in the threads of the existing and
+            // the archived reviews, including whole threads of the reviews
+            // it removes
+            const archived = new Set(
+              (archive.collections[MESSAGES_KEY] || []).map((message) => `${message.reviewId}/${message.id}`)
+            );
+            const threadIds = new Set([...existing, ...docs].map((review) => review.id));
+            for (const [reviewId, deletions] of await threadDeletions(threadIds)) {
+              operations.push(...deletions.filter((op) => !archived.has(`${reviewId}/${op.id}`)));
+            }
+          }
+          for (const item of existing) {
+            if (!keep.has(item.id)) operations.push({ type: 'delete', name, id: item.id });
+          }
+        }
+        for (const { id, ...data } of docs) {
+          operations.push({ type: 'set', name, id, data });
+        }
+      }
+      for (const { id, reviewId, ...data } of archive.collections[MESSAGES_KEY] || []) {
+        operations.push({ type: 'set', name: threadCollection(reviewId), id, data });
+      }
+      await commitInChunks([
+        ...operations,
+        auditOperation(
+          'backup.restore',
+          { type: 'backup' },
+          { after: { mode, records: countBackupRecords(archive), createdAt: archive.createdAt || null } }
+        ),
+      ]);
+    },
+
+    // Completely remove all submissions, reviews (with their threads),
+    // assignments and courses. This operation cannot be undone. The writes
+    // are batched with each submission and its reviews in one unit (see
+    // commitUnits); when it fails part way, running it again removes the
+    // rest. The audit log is kept and records what the run set out to
+    // remove in its first batch.
+    deleteAllData: async ({ onProgress } = {}) => {
+      const [reviews, submissions, assignments, courses] = await Promise.all(
+        ['reviews', 'submissions', 'assignments', 'courses'].map((name) => backend.list(name))
+      );
+      const removed = {
+        reviews: reviews.length,
+        submissions: submissions.length,
+        assignments: assignments.length,
+        courses: courses.length,
+      };
+      const deletions = (name, docs) => docs.map((item) => [{ type: 'delete', name, id: item.id }]);
+      await commitUnits(
+        [
+          [auditOperation('data.wipe', { type: 'data' }, { before: removed })],
+          ...(await cascadeDeletions(new Set(submissions.map((submission) => submission.id)), reviews)),
+          ...deletions('assignments', assignments),
+          ...deletions('courses', courses),
+        ],
+        onProgress
+      );
+    },
+  };
+};
@@ -0,0 +1,532 @@
+import { createMemoryBackend } from './memoryBackend';
+import { LEGACY_ID, createPeerReviewService } from './peerReviewService';
+import { BACKUP_VERSION, MESSAGES_KEY } from './backup';
+import { threadCollection } from '../threads';
+
+const ALICE = 'alice@example.com';
+const BOB = 'bob@example.com';
+const CAROL = 'carol@example.com';
+const TEACHER = 'teacher@example.com';
+
+// Service on a fresh memory backend with a fixed date and a clock moving
+// one second per call
+const setup = (initialData) => {
+  const backend = createMemoryBackend(initialData);
+  let tick = 0;
+  const service = createPeerReviewService(backend, {
+    today: () => '2026-10-05',
+    now: () => new Date(Date.UTC(2026, 9, 5, 10, 0, tick++)).toISOString(),
+    currentActor: () => TEACHER,
+  });
+  return { backend, service };
+};
+
+const stored = (backend, name) => backend.dump()[name] || [];
+const storedDoc = (backend, name, id) => stored(backend, name).find((item) => item.id === id);
+const auditActions = (backend) => stored(backend, 'auditLog').map((entry) => entry.action);
+
+const submission = (id, author, values = {}) => ({
+  id,
+  assignmentId: 'a1',
+  author,
+  link: `https://example.com/${id}`,
+  status: 'Odesláno',
+  reviewCount: 0,
+  submissionDate: '2026-10-01',
+  pickupDate: null,
+  correctionDate: null,
+  deletedAt: null,
+  ...values,
+});
+
+const pickUp = (service, backend, reviewer, reviewsPerSubmission = 3) =>
+  service.pickUpWork({ assignmentId: 'a1', reviewer, reviewsPerSubmission, reviews: stored(backend, 'reviews') });
+
+describe('addSubmission', () => {
+  it('stores the work with an empty review round and logs it', async () => {
+    const { backend, service } = setup();
+    const id = await service.addSubmission({ assignmentId: 'a1', author: ALICE, link: 'https://example.com/a' });
+    expect(storedDoc(backend, 'submissions', id)).toMatchObject({
+      assignmentId: 'a1',
+      author: ALICE,
+      link: 'https://example.com/a',
+      reviewCount: 0,
+      submissionDate: '2026-10-05',
+      deletedAt: null,
+    });
+    expect(stored(backend, 'auditLog')).toEqual([
+      expect.objectContaining({ action: 'submission.create', actor: TEACHER, submissionId: id, subject: ALICE }),
+    ]);
+  });
+});
+
+describe('pickUpWork', () => {
+  it('hands out work of somebody else and occupies a slot', async () => {
+    const { backend, service } = setup({ submissions: [submission('s1', ALICE), submission('s2', BOB)] });
+    const picked = await pickUp(service, backend, BOB);
+    expect(picked.id).toBe('s1');
+    expect(storedDoc(backend, 'submissions', 's1')).toMatchObject({
+      reviewCount: 1,
+      nextReviewerAlias: 1,
+      pickupDate: '2026-10-05',
+      lastReviewId: `s1_v1_${BOB}`,
+    });
+    expect(storedDoc(backend, 'reviews', `s1_v1_${BOB}`)).toMatchObject({
+      submissionId: 's1',
+      submissionAuthor: ALICE,
+      reviewer: BOB,
+      status: 'assigned',
+      staffReview: false,
+    });
+    expect(auditActions(backend)).toEqual(['review.pickup']);
+  });
+
+  it('prefers the least reviewed work', async () => {
+    const { backend, service } = setup({
+      submissions: [submission('s1', ALICE, { reviewCount: 2 }), submission('s2', BOB)],
+    });
+    expect((await pickUp(service, backend, CAROL)).id).toBe('s2');
+  });
+
+  it('stops at reviewsPerSubmission', async () => {
+    const { backend, service } = setup({ submissions: [submission('s1', ALICE)] });
+    expect(await pickUp(service, backend, BOB, 1)).not.toBeNull();
+    expect(await pickUp(service, backend, CAROL, 1)).toBeNull();
+    expect(storedDoc(backend, 'submissions', 's1').reviewCount).toBe(1);
+  });
+
+  it('gives a reviewer picking up twice at once a single review', async () => {
+    const { backend, service } = setup({ submissions: [submission('s1', ALICE)] });
+    const picked = await Promise.all([pickUp(service, backend, BOB), pickUp(service, backend, BOB)]);
+    expect(picked.filter(Boolean)).toHaveLength(1);
+    expect(stored(backend, 'reviews')).toHaveLength(1);
+    expect(storedDoc(backend, 'submissions', 's1').reviewCount).toBe(1);
+  });
+
+  it('hands out no trashed work and no own work', async () => {
+    const { backend, service } = setup({
+      submissions: [submission('s1', ALICE, { deletedAt: '2026-10-04T10:00:00.000Z', deletedBy: ALICE })],
+    });
+    expect(await pickUp(service, backend, BOB)).toBeNull();
+    expect(await pickUp(service, backend, ALICE)).toBeNull();
+    expect(stored(backend, 'reviews')).toEqual([]);
+  });
+
+  it('finds live work behind a window of trashed ones', async () => {
+    const trashed = Array.from({ length: 30 }, (_, index) =>
+      submission(`t${index}`, CAROL, { deletedAt: '2026-10-04T10:00:00.000Z', deletedBy: CAROL })
+    );
+    const { backend, service } = setup({ submissions: [...trashed, submission('s1', ALICE, { reviewCount: 1 })] });
+    expect((await pickUp(service, backend, BOB)).id).toBe('s1');
+  });
+
+  it('keeps staff pickups out of the peer slots', async () => {
+    const { backend, service } = setup({ submissions: [submission('s1', ALICE)] });
+    await service.pickUpWork({
+      assignmentId: 'a1',
+      reviewer: TEACHER,
+      reviewsPerSubmission: 3,
+      reviews: [],
+      staffReview: true,
+    });
+    expect(storedDoc(backend, 'submissions', 's1').reviewCount).toBe(0);
+    expect(stored(backend, 'reviews')[0].staffReview).toBe(true);
+  });
+});
+
+describe('submitReview', () => {
+  const assigned = { id: 'r1', assignmentId: 'a1', submissionId: 's1', submissionAuthor: ALICE, reviewer: BOB };
+
+  it('finishes the review and stamps the correction date', async () => {
+    const { backend, service } = setup({
+      submissions: [submission('s1', ALICE, { reviewCount: 1 })],
+      reviews: [{ ...assigned, status: 'assigned', score: null, comment: '' }],
+    });
+    await service.submitReview(storedDoc(backend, 'reviews', 'r1'), { score: 8, comment: 'Pěkné.' });
+    expect(storedDoc(backend, 'reviews', 'r1')).toMatchObject({
+      status: 'finished',
+      score: 8,
+      comment: 'Pěkné.',
+      correctionDate: '2026-10-05',
+    });
+    expect(storedDoc(backend, 'submissions', 's1')).toMatchObject({ correctionDate: '2026-10-05', lastReviewId: 'r1' });
+    expect(auditActions(backend)).toEqual(['review.submit']);
+  });
+
+  it('logs a change of a finished review as an edit with the previous values', async () => {
+    const { backend, service } = setup({
+      submissions: [submission('s1', ALICE, { reviewCount: 1 })],
+      reviews: [{ ...assigned, status: 'finished', score: 8, comment: 'Pěkné.' }],
+    });
+    await service.submitReview(storedDoc(backend, 'reviews', 'r1'), { score: 6, comment: 'Pěkné.' });
+    expect(stored(backend, 'auditLog')).toEqual([
+      expect.objectContaining({ action: 'review.edit', before: { score: 8 }, after: { score: 6 } }),
+    ]);
+  });
+
+  it('writes nothing when a finished review is saved unchanged', async () => {
+    const { backend, service } = setup({
+      submissions: [submission('s1', ALICE, { reviewCount: 1 })],
+      reviews: [{ ...assigned, status: 'finished', score: 8, comment: 'Pěkné.' }],
+    });
+    await service.submitReview(storedDoc(backend, 'reviews', 'r1'), { score: 8, comment: 'Pěkné.' });
+    expect(storedDoc(backend, 'reviews', 'r1')).not.toHaveProperty('correctionDate');
+    expect(auditActions(backend)).toEqual([]);
+  });
+});
+
+describe('returnReview', () => {
+  it('frees the slot of the review', async () => {
+    const { backend, service } = setup({ submissions: [submission('s1', ALICE)] });
+    await pickUp(service, backend, BOB);
+    await service.returnReview(`s1_v1_${BOB}`, { reason: 'other', note: 'Nestihnu.' });
+    expect(storedDoc(backend, 'reviews', `s1_v1_${BOB}`)).toMatchObject({
+      status: 'returned',
+      returnNote: 'Nestihnu.',
+    });
+    expect(storedDoc(backend, 'submissions', 's1').reviewCount).toBe(0);
+  });
+});
+
+describe('deleting submissions', () => {
+  const initialData = () => ({
+    submissions: [submission('s1', ALICE, { reviewCount: 2 })],
+    reviews: [
+      { id: 'r1', assignmentId: 'a1', submissionId: 's1', submissionAuthor: ALICE, reviewer: BOB, status: 'finished' },
+      {
+        id: 'r2',
+        assignmentId: 'a1',
+        submissionId: 's1',
+        submissionAuthor: ALICE,
+        reviewer: CAROL,
+        status: 'assigned',
+      },
+      {
+        id: 'r3',
+        assignmentId: 'a1',
+        submissionId: 's1',
+        submissionAuthor: ALICE,
+        reviewer: TEACHER,
+        status: 'finished',
+        deletedAt: '2026-10-01T10:00:00.000Z',
+        deletedBy: TEACHER,
+      },
+    ],
+  });
+
+  it('moves the work to the trash with its live reviews', async () => {
+    const { backend, service } = setup(initialData());
+    await service.deleteSubmission('s1', { email: ALICE, isStaff: false });
+    const { deletedAt } = storedDoc(backend, 'submissions', 's1');
+    expect(deletedAt).toBeTruthy();
+    expect(storedDoc(backend, 'reviews', 'r1')).toMatchObject({ deletedAt, deletedBy: ALICE });
+    expect(storedDoc(backend, 'reviews', 'r2')).toMatchObject({ deletedAt, deletedBy: ALICE });
+    expect(storedDoc(backend, 'reviews', 'r3').deletedAt).toBe('2026-10-01T10:00:00.000Z');
+  });
+
+  it('restores only the reviews trashed together with the work', async () => {
+    const { backend, service } = setup(initialData());
+    await service.deleteSubmission('s1', { email: ALICE, isStaff: false });
+    await service.restoreSubmission('s1', { email: ALICE, isStaff: false });
+    expect(storedDoc(backend, 'submissions', 's1').deletedAt).toBeNull();
+    expect(storedDoc(backend, 'reviews', 'r1').deletedAt).toBeNull();
+    expect(storedDoc(backend, 'reviews', 'r2').deletedAt).toBeNull();
+    expect(storedDoc(backend, 'reviews', 'r3').deletedAt).toBe('2026-10-01T10:00:00.000Z');
+    expect(auditActions(backend)).toEqual(['submission.delete', 'submission.restore']);
+  });
+
+  it('purges the work with its reviews and their threads', async () => {
+    const { backend, service } = setup(initialData());
+    await service.postMessage(storedDoc(backend, 'reviews', 'r1'), { role: 'author', text: 'Díky.' });
+    await service.deleteSubmission('s1', { email: ALICE, isStaff: false });
+    const counts = await service.purgeTrash([{ type: 'submission', id: 's1' }], { assignmentId: 'a1' });
+    expect(counts).toEqual({ submissions: 1, reviews: 3 });
+    expect(stored(backend, 'submissions')).toEqual([]);
+    expect(stored(backend, 'reviews')).toEqual([]);
+    expect(stored(backend, threadCollection('r1'))).toEqual([]);
+  });
+});
+
+describe('bulkAllocate', () => {
+  it('writes the planned reviews and counts them on each submission', async () => {
+    const { backend, service } = setup({
+      submissions: [submission('s1', ALICE, { reviewCount: 1 }), submission('s2', BOB)],
+    });
+    const onProgress = jest.fn();
+    await service.bulkAllocate({
+      assignmentId: 'a1',
+      pairs: [
+        { reviewer: BOB, submissionId: 's1' },
+        { reviewer: CAROL, submissionId: 's1' },
+        { reviewer: ALICE, submissionId: 's2' },
+      ],
+      submissions: stored(backend, 'submissions'),
+      reviews: [],
+      onProgress,
+    });
+    expect(storedDoc(backend, 'submissions', 's1')).toMatchObject({ reviewCount: 3, nextReviewerAlias: 2 });
+    expect(storedDoc(backend, 'submissions', 's2')).toMatchObject({ reviewCount: 1, nextReviewerAlias: 1 });
+    expect(stored(backend, 'reviews').map((review) => [review.reviewer, review.submissionId, review.status])).toEqual([
+      [BOB, 's1', 'assigned'],
+      [CAROL, 's1', 'assigned'],
+      [ALICE, 's2', 'assigned'],
+    ]);
+    // Three reviews with their audit entries and two counters
+    expect(onProgress).toHaveBeenLastCalledWith(8, 8);
+  });
+});
+
+describe('releasing and moving reviews in bulk', () => {
+  const review = (id, reviewer, values = {}) => ({
+    id,
+    assignmentId: 'a1',
+    submissionId: 's1',
+    submissionAuthor: ALICE,
+    submissionVersion: 1,
+    reviewer,
+    status: 'assigned',
+    score: null,
+    comment: '',
+    pickupDate: '2026-10-02',
+    correctionDate: null,
+    ...values,
+  });
+  const initialData = {
+    submissions: [submission('s1', ALICE, { reviewCount: 2 })],
+    reviews: [review('r1', BOB), review('r2', CAROL)],
+  };
+  // The caller's snapshot, taken before r2 was finished
+  const snapshot = initialData.reviews;
+  const finishR2 = (service, backend) =>
+    service.submitReview(storedDoc(backend, 'reviews', 'r2'), { score: 90, comment: 'Dobré.' });
+
+  it('releases the assigned reviews and skips those finished since the snapshot', async () => {
+    const { backend, service } = setup(initialData);
+    await finishR2(service, backend);
+    const onProgress = jest.fn();
+    expect(await service.releaseReviews(['r1', 'r2'], { reviews: snapshot, onProgress })).toBe(1);
+    expect(storedDoc(backend, 'reviews', 'r1').status).toBe('released');
+    expect(storedDoc(backend, 'reviews', 'r2')).toMatchObject({ status: 'finished', score: 90 });
+    expect(storedDoc(backend, 'submissions', 's1').reviewCount).toBe(1);
+    expect(onProgress).toHaveBeenLastCalledWith(2, 2);
+  });
+
+  it('moves the assigned reviews and keeps finished work with its reviewer', async () => {
+    const { backend, service } = setup(initialData);
+    await finishR2(service, backend);
+    expect(await service.bulkReassign(['r1', 'r2'], { reviewer: TEACHER, reviews: snapshot })).toBe(1);
+    expect(storedDoc(backend, 'reviews', `s1_v1_${TEACHER}`)).toMatchObject({ reviewer: TEACHER, movedFrom: 'r1' });
+    expect(storedDoc(backend, 'reviews', 'r2').reviewer).toBe(CAROL);
+    expect(storedDoc(backend, 'submissions', 's1').reviewCount).toBe(2);
+    expect(auditActions(backend)).toEqual(['review.submit', 'review.reassign']);
+  });
+
+  it('recreates a moved review with its thread under the pickup id of the new reviewer', async () => {
+    const { backend, service } = setup({
+      ...initialData,
+      [threadCollection('r1')]: [{ id: 'm1', role: 'reviewer', text: 'Dotaz', hidden: false }],
+    });
+    expect(await service.reassignReview('r1', { reviewer: TEACHER, reviews: snapshot })).toBeTruthy();
+    const movedId = `s1_v1_${TEACHER}`;
+    expect(storedDoc(backend, 'reviews', 'r1')).toBeUndefined();
+    expect(storedDoc(backend, 'submissions', 's1').lastReviewId).toBe(movedId);
+    expect(stored(backend, threadCollection(movedId)).map((message) => message.id)).toEqual(['m1']);
+    expect(stored(backend, threadCollection('r1'))).toEqual([]);
+    // The former reviewer finds the work under their own pickup id again
+    expect((await pickUp(service, backend, BOB)).id).toBe('s1');
+  });
+
+  it('does not move a review to a reviewer who already has the work', async () => {
+    const { backend, service } = setup(initialData);
+    await service.reassignReview('r1', { reviewer: TEACHER, reviews: snapshot });
+    expect(await service.reassignReview('r2', { reviewer: TEACHER, reviews: snapshot })).toBeNull();
+    expect(storedDoc(backend, 'reviews', 'r2').reviewer).toBe(CAROL);
+  });
+});
+
+describe('backups', () => {
+  const initialData = () => ({
+    courses: [{ id: 'c1', name: 'Programování' }],
+    assignments: [{ id: 'a1', courseId: 'c1', name: 'Úkol 1' }],
+    submissions: [submission('s1', ALICE, { reviewCount: 1 })],
+    reviews: [{ id: 'r1', assignmentId: 'a1', submissionId: 's1', submissionAuthor: ALICE, reviewer: BOB }],
+    roles: [{ id: TEACHER, role: 'teacher' }],
+  });
+
+  it('exports every collection and the threads of the reviews', async () => {
+    const { backend, service } = setup(initialData());
+    await service.postMessage(storedDoc(backend, 'reviews', 'r1'), { role: 'reviewer', text: 'Dotaz k zadání' });
+    const archive = await service.createBackup(TEACHER);
+    expect(archive).toMatchObject({ version: BACKUP_VERSION, createdBy: TEACHER, createdAt: expect.any(String) });
+    expect(archive.collections.submissions).toEqual([expect.objectContaining({ id: 's1', author: ALICE })]);
+    expect(archive.collections.roles).toEqual([{ id: TEACHER, role: 'teacher' }]);
+    expect(archive.collections[MESSAGES_KEY]).toEqual([
+      expect.objectContaining({ reviewId: 'r1', role: 'reviewer', text: 'Dotaz k zadání', hidden: false }),
+    ]);
+  });
+
+  it('restores an export into an empty database', async () => {
+    const source = setup(initialData());
+    await source.service.postMessage(storedDoc(source.backend, 'reviews', 'r1'), { role: 'author', text: 'Díky' });
+    const archive = JSON.parse(JSON.stringify(await source.service.createBackup(TEACHER)));
+    const { backend, service } = setup();
+    await service.restoreBackup(archive, { mode: 'merge' });
+    for (const name of ['courses', 'assignments', 'submissions', 'reviews', threadCollection('r1')]) {
+      expect(stored(backend, name)).toEqual(stored(source.backend, name));
+    }
+    expect(stored(backend, 'roles')).toEqual([]);
+    expect(auditActions(backend)).toEqual(['backup.restore']);
+  });
+
+  it('removes records and messages missing from the archive in replace mode', async () => {
+    const { backend, service } = setup(initialData());
+    const archive = await service.createBackup(TEACHER);
+    await service.addSubmission({ assignmentId: 'a1', author: CAROL, link: 'https://example.com/c' });
+    await service.postMessage(storedDoc(backend, 'reviews', 'r1'), { role: 'author', text: 'Později' });
+    await service.restoreBackup(archive, { mode: 'replace' });
+    expect(stored(backend, 'submissions').map((item) => item.id)).toEqual(['s1']);
+    expect(stored(backend, threadCollection('r1'))).toEqual([]);
+  });
+
+  it('rejects an archive of another application', async () => {
+    const { service } = setup();
+    await expect(service.restoreBackup({ format: 'other' }, { mode: 'merge' })).rejects.toThrow(
+      'Soubor není zálohou této aplikace.'
+    );
+  });
+});
+
+describe('legacy data', () => {
+  // Records of the version without assignments: one settings document and
+  // submissions and reviews with neither an assignmentId nor a counter
+  const legacy = (values) => {
+    const { assignmentId, ...rest } = submission(values.id, values.author, values);
+    return rest;
+  };
+  const legacyReview = (id, submissionId, reviewer, pickupDate, status = 'assigned') => ({
+    id,
+    submissionId,
+    reviewer,
+    status,
+    score: status === 'finished' ? 80 : null,
+    comment: '',
+    pickupDate,
+    correctionDate: null,
+  });
+  const initialData = {
+    settings: [{ id: 'global', reviewsPerSubmission: 2, maxScore: 50 }],
+    submissions: [legacy({ id: 's1', author: ALICE }), legacy({ id: 's2', author: BOB }), submission('s3', CAROL)],
+    reviews: [
+      legacyReview('r1', 's1', BOB, '2026-10-02', 'finished'),
+      legacyReview('r2', 's1', CAROL, '2026-10-03'),
+      legacyReview('r3', 's2', CAROL, '2026-10-01'),
+      legacyReview('r4', 's1', TEACHER, '2026-10-04', 'returned'),
+    ],
+  };
+  const migrate = (service) =>
+    service.migrateLegacyData({
+      title: 'Původní úkol',
+      courseName: 'Původní data',
+      defaults: { reviewsPerSubmission: 3, maxScore: 100 },
+    });
+
+  it('counts the records without an assignment', async () => {
+    const { service } = setup(initialData);
+    expect(await service.findLegacyData()).toEqual({ submissions: 2, reviews: 4 });
+  });
+
+  it('moves them into a default assignment with the old settings and counters', async () => {
+    const { backend, service } = setup(initialData);
+    expect(await migrate(service)).toEqual({ submissions: 2, reviews: 4 });
+    expect(storedDoc(backend, 'assignments', LEGACY_ID)).toMatchObject({
+      courseId: LEGACY_ID,
+      title: 'Původní úkol',
+      reviewsPerSubmission: 2,
+      maxScore: 50,
+    });
+    expect(storedDoc(backend, 'courses', LEGACY_ID)).toMatchObject({ name: 'Původní data' });
+    expect(storedDoc(backend, 'submissions', 's1')).toMatchObject({
+      assignmentId: LEGACY_ID,
+      reviewCount: 2,
+      nextReviewerAlias: 3,
+    });
+    expect(storedDoc(backend, 'submissions', 's2')).toMatchObject({ assignmentId: LEGACY_ID, reviewCount: 1 });
+    expect(storedDoc(backend, 'submissions', 's3').assignmentId).toBe('a1');
+    expect(storedDoc(backend, 'reviews', 'r2')).toMatchObject({
+      assignmentId: LEGACY_ID,
+      submissionAuthor: ALICE,
+      reviewerAliasIndex: 1,
+      authorAliasIndex: 1,
+    });
+    expect(storedDoc(backend, 'reviews', 'r3')).toMatchObject({ reviewerAliasIndex: 0, authorAliasIndex: 0 });
+    expect(auditActions(backend)).toEqual(['assignment.create', 'data.migrate']);
+  });
+
+  it('reports nothing left once migrated and keeps the assignment on a second run', async () => {
+    const { backend, service } = setup(initialData);
+    await migrate(service);
+    expect(await service.findLegacyData()).toBeNull();
+    await service.updateAssignment(LEGACY_ID, { title: 'Úkol 0' });
+    expect(await migrate(service)).toEqual({ submissions: 0, reviews: 0 });
+    expect(storedDoc(backend, 'assignments', LEGACY_ID).title).toBe('Úkol 0');
+  });
+
+  it('marks works stored without a trash state as live', async () => {
+    const { deletedAt, ...older } = submission('s3', CAROL);
+    const { backend, service } = setup({ submissions: [older] });
+    expect(await service.findLegacyData()).toEqual({ submissions: 1, reviews: 0 });
+    await migrate(service);
+    expect(storedDoc(backend, 'submissions', 's3')).toMatchObject({ assignmentId: 'a1', deletedAt: null });
+    expect((await pickUp(service, backend, BOB)).id).toBe('s3');
+  });
+
+  it('records a database without legacy records after the first check', async () => {
+    const { backend, service } = setup({ submissions: [submission('s3', CAROL)] });
+    expect(await service.findLegacyData()).toBeNull();
+    expect(storedDoc(backend, 'settings', 'migration')).toMatchObject({ legacyMigrated: true });
+  });
+});
+
+describe('subscribeAuditLog', () => {
+  const entry = (id, at, values) => ({
+    id,
+    at: `2026-10-0${at}T10:00:00.000Z`,
+    actor: TEACHER,
+    subject: null,
+    assignmentId: 'a1',
+    submissionId: null,
+    action: 'review.submit',
+    ...values,
+  });
+  const initialData = {
+    auditLog: [
+      entry('e1', 1, { actor: BOB, subject: ALICE, submissionId: 's1' }),
+      entry('e2', 2, { actor: ALICE, subject: ALICE, submissionId: 's1', action: 'submission.resubmit' }),
+      entry('e3', 3, { assignmentId: 'a2', actor: ALICE, subject: CAROL, submissionId: 's2' }),
+      entry('e4', 4, { subject: ALICE, submissionId: 's1', action: 'review.override' }),
+      entry('e5', 5, { assignmentId: null, action: 'role.set', subject: BOB }),
+    ],
+  };
+  const ids = (service, query, count = 10) => {
+    let result;
+    service.subscribeAuditLog(
+      { assignmentId: null, submissionId: null, person: null, action: null, ...query },
+      count,
+      (entries) => (result = entries.map((item) => item.id))
+    )();
+    return result;
+  };
+
+  it('queries an assignment, the general entries or a submission newest first', () => {
+    const { service } = setup(initialData);
+    expect(ids(service, { assignmentId: 'a1' })).toEqual(['e4', 'e2', 'e1']);
+    expect(ids(service, {})).toEqual(['e5']);
+    expect(ids(service, { submissionId: 's1', action: 'review.submit' })).toEqual(['e1']);
+  });
+
+  it('merges the entries of a person as the actor and the subject across assignments', () => {
+    const { service } = setup(initialData);
+    expect(ids(service, { person: ALICE })).toEqual(['e4', 'e3', 'e2', 'e1']);
+    expect(ids(service, { person: ALICE }, 2)).toEqual(['e4', 'e3']);
+  });
+});
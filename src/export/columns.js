@@ -0,0 +1,79 @@
+// Columns of the exported overview. Every column belongs to one of the
+// columnVisibility keys of the overview table, so an export contains exactly
+// the columns the user sees; rubric criteria follow the score column. Cells
+// keep their native type – numbers stay numbers and missing values are null
+// – and each format decides how to write them. The score is the one grading
+// counts, a teacher's override included (see getEffectiveScore), and the
+// reviewer's own score of an overridden review follows it.
+
+import { getEffectiveScore } from '../grading';
+
+const OVERVIEW_COLUMNS = [
+  { key: 'sender', header: 'Odesilatel', value: (item) => item.sender || null },
+  { key: 'link', header: 'Odkaz', value: (item) => item.submissionLink || null },
+  {
+    key: 'reviewer',
+    header: 'Recenzent',
+    value: (item) => (item.type === 'review' ? item.reviewer || null : null),
+  },
+  { key: 'status', header: 'Stav recenze', value: (item) => item.statusText },
+  { key: 'submissionDate', header: 'Datum odeslání', value: (item) => item.submissionDate || null },
+  { key: 'pickupDate', header: 'Datum vyzvednutí', value: (item) => item.pickupDate || null },
+  { key: 'correctionDate', header: 'Datum opravy', value: (item) => item.correctionDate || null },
+  {
+    key: 'score',
+    header: 'Hodnocení',
+    value: (item) => (item.type === 'review' ? getEffectiveScore(item) : null),
+  },
+  {
+    key: 'grade',
+    header: 'Výsledné hodnocení',
+    value: (item) => (item.grade !== null && item.grade !== undefined ? item.grade : null),
+  },
+  {
+    key: 'comment',
+    header: 'Komentář',
+    value: (item) => (item.type === 'review' ? item.comment || null : null),
+  },
+];
+
+// Score of the reviewer when a teacher overrode it
+const originalScoreColumn = (maxScore) => ({
+  header: `Původní hodnocení recenzenta (max ${maxScore})`,
+  value: (item) => (item.type === 'review' && item.override ? item.score : null),
+});
+
+// Points and comment column of every rubric criterion
+const criterionColumns = (rubric) =>
+  rubric.flatMap((criterion) => {
+    const entryOf = (item) => (item.criteria && item.criteria[criterion.id]) || null;
+    return [
+      {
+        header: `${criterion.name} (body, max ${criterion.maxPoints})`,
+        value: (item) => (entryOf(item) ? entryOf(item).score : null),
+      },
+      {
+        header: `${criterion.name} – komentář`,
+        value: (item) => (entryOf(item) ? entryOf(item).comment || null : null),
+      },
+    ];
+  });
+
+// Turn overview rows into { headers, rows } with the visible columns only
+export const buildOverviewTable = (items, { rubric = [], maxScore, columnVisibility }) => {
+  const columns = OVERVIEW_COLUMNS.filter((column) => columnVisibility[column.key]).flatMap((column) => {
+    if (column.key === 'score') {
+      return [
+        { ...column, header: `${column.header} (max ${maxScore})` },
+        originalScoreColumn(maxScore),
+        ...criterionColumns(rubric),
+      ];
+    }
+    if (column.key === 'grade') return [{ ...column, header: `${column.header} (max ${maxScore})` }];
+    return [column];
+  });
+  return {
+    headers: columns.map((column) => column.header),
+    rows: items.map((item) => columns.map((column) => column.value(item))),
+  };
+};
@@ -0,0 +1,17 @@
+// Delimiters offered for CSV exports. Czech Excel expects a semicolon.
+export const CSV_DELIMITERS = [
+  { value: ';', label: 'Středník (;)' },
+  { value: ',', label: 'Čárka (,)' },
+  { value: '\t', label: 'Tabulátor' },
+];
+
+// Quote a cell when it contains the delimiter, quotes or line breaks
+const formatCell = (value, delimiter) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text (RFC 4180 quoting, CRLF line ends) from { headers, rows }
+export const toCsv = ({ headers, rows }, { delimiter = ';' } = {}) =>
+  [headers, ...rows].map((row) => row.map((value) => formatCell(value, delimiter)).join(delimiter)).join('\r\n');
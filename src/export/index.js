@@ -0,0 +1,44 @@
+import { buildOverviewTable } from './columns';
+import { toCsv } from './csv';
+import { toXlsx } from './xlsx';
+
+export { CSV_DELIMITERS } from './csv';
+
+// Export of the admin overview. The rows passed in are already filtered and
+// sorted like the table; buildOverviewTable keeps the visible columns and
+// each format serializes the resulting { headers, rows }.
+
+export const EXPORT_FORMATS = [
+  {
+    value: 'xlsx',
+    label: 'Excel (XLSX)',
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  },
+  { value: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  { value: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+];
+
+// JSON export: one object per row keyed by the column headers
+export const toJson = ({ headers, rows }) =>
+  JSON.stringify(
+    rows.map((row) =>
+      headers.reduce((acc, header, index) => {
+        acc[header] = row[index];
+        return acc;
+      }, {})
+    ),
+    null,
+    2
+  );
+
+// Serialize overview rows into { content, extension, mimeType }. Options are
+// { rubric, maxScore, columnVisibility } of the table and the CSV delimiter.
+// CSV starts with a byte order mark so Excel recognizes UTF-8.
+export const exportOverview = (items, format, { rubric, maxScore, columnVisibility, delimiter }) => {
+  const { extension, mimeType } = EXPORT_FORMATS.find((f) => f.value === format) || EXPORT_FORMATS[0];
+  const table = buildOverviewTable(items, { rubric, maxScore, columnVisibility });
+  const content =
+    extension === 'xlsx' ? toXlsx(table) : extension === 'json' ? toJson(table) : `\uFEFF${toCsv(table, { delimiter })}`;
+  return { content, extension, mimeType };
+};
@@ -0,0 +1,285 @@
+/**
+ * @jest-environment node
+ */
+import { exportOverview } from './index';
+import { crc32 } from './zip';
+import { applyOverviewFilters } from '../overviewFilters';
+
+const ALL_COLUMNS = {
+  sender: true,
+  link: true,
+  reviewer: true,
+  status: true,
+  submissionDate: true,
+  pickupDate: true,
+  correctionDate: true,
+  score: true,
+  grade: true,
+  comment: true,
+};
+
+const rubric = [{ id: 'c1', name: 'Čitelnost', maxPoints: 5 }];
+
+// Overview rows as the admin table builds them
+const rows = [
+  {
+    type: 'review',
+    sender: 'jiří.šťastný@example.com',
+    submissionLink: 'https://example.com/práce?a=1&b=2',
+    reviewer: 'bob@example.com',
+    status: 'finished',
+    statusText: 'Dokončeno',
+    submissionDate: '2026-10-01',
+    pickupDate: '2026-10-02',
+    correctionDate: '2026-10-03',
+    score: 8,
+    grade: 7.5,
+    comment: 'Řádek; s "uvozovkami"\na druhý řádek <b>',
+    criteria: { c1: { score: 4, comment: 'Přehledné' } },
+  },
+  {
+    type: 'review',
+    sender: 'alice@example.com',
+    submissionLink: 'https://example.com/alice',
+    reviewer: 'carol@example.com',
+    status: 'assigned',
+    statusText: 'Přiděleno',
+    submissionDate: '2026-10-01',
+    pickupDate: '2026-10-04',
+    correctionDate: null,
+    score: null,
+    grade: null,
+    comment: '',
+  },
+  {
+    type: 'submission',
+    sender: 'dana@example.com',
+    submissionLink: 'https://example.com/dana',
+    reviewer: 'N/A',
+    status: 'unassigned',
+    statusText: 'Nevyzvednuto',
+    submissionDate: '2026-10-02',
+    pickupDate: null,
+    correctionDate: null,
+    score: null,
+    grade: null,
+    comment: '',
+  },
+];
+
+const options = (values) => ({ rubric, maxScore: 10, columnVisibility: ALL_COLUMNS, delimiter: ';', ...values });
+
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+// Files of a ZIP archive by name, checking the structure and the checksums
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const files = {};
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+    const dataStart =
+      localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + size);
+    expect(crc32(data)).toBe(view.getUint32(offset + 16, true));
+    files[decode(bytes.subarray(offset + 46, offset + 46 + nameLength))] = decode(data);
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+  return files;
+};
+
+const unescapeXml = (text) =>
+  text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+
+// Cells of a worksheet as { [ref]: { value, style } }
+const readCells = (sheetXml) => {
+  const cells = {};
+  const pattern =
+    /<c r="([A-Z]+\d+)"(?: s="(\d+)")?( t="inlineStr")?>(?:<v>([^<]*)<\/v>|<is><t xml:space="preserve">([^<]*)<\/t><\/is>)<\/c>/g;
+  for (const [, ref, style, inline, number, text] of sheetXml.matchAll(pattern)) {
+    cells[ref] = { value: inline ? unescapeXml(text) : Number(number), style: Number(style || 0) };
+  }
+  return cells;
+};
+
+// Parse CSV text written with the given delimiter (RFC 4180 quoting)
+const parseCsv = (text, delimiter) => {
+  const records = [[]];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') quoted = false;
+      else cell += char;
+    } else if (char === '"') quoted = true;
+    else if (char === delimiter) {
+      records[records.length - 1].push(cell);
+      cell = '';
+    } else if (char === '\r' && text[i + 1] === '\n') {
+      records[records.length - 1].push(cell);
+      records.push([]);
+      cell = '';
+      i++;
+    } else cell += char;
+  }
+  records[records.length - 1].push(cell);
+  return records;
+};
+
+const HEADERS = [
+  'Odesilatel',
+  'Odkaz',
+  'Recenzent',
+  'Stav recenze',
+  'Datum odeslání',
+  'Datum vyzvednutí',
+  'Datum opravy',
+  'Hodnocení (max 10)',
+  'Původní hodnocení recenzenta (max 10)',
+  'Čitelnost (body, max 5)',
+  'Čitelnost – komentář',
+  'Výsledné hodnocení (max 10)',
+  'Komentář',
+];
+
+describe('CSV export', () => {
+  it('writes UTF-8 with a byte order mark, the headers and every row', () => {
+    const { content, extension, mimeType } = exportOverview(rows, 'csv', options());
+    expect(extension).toBe('csv');
+    expect(mimeType).toBe('text/csv;charset=utf-8');
+    expect(content.startsWith('\uFEFF')).toBe(true);
+    const records = parseCsv(content.slice(1), ';');
+    expect(records[0]).toEqual(HEADERS);
+    expect(records).toHaveLength(rows.length + 1);
+    expect(records[1]).toEqual([
+      'jiří.šťastný@example.com',
+      'https://example.com/práce?a=1&b=2',
+      'bob@example.com',
+      'Dokončeno',
+      '2026-10-01',
+      '2026-10-02',
+      '2026-10-03',
+      '8',
+      '',
+      '4',
+      'Přehledné',
+      '7.5',
+      'Řádek; s "uvozovkami"\na druhý řádek <b>',
+    ]);
+    expect(records[3].slice(7)).toEqual(['', '', '', '', '', '']);
+  });
+
+  it('quotes only cells holding the chosen delimiter, quotes or line breaks', () => {
+    const table = exportOverview(rows.slice(0, 1), 'csv', options({ delimiter: ',' })).content;
+    const [, record] = table.slice(1).split('\r\n');
+    expect(record.startsWith('jiří.šťastný@example.com,https://example.com/práce?a=1&b=2,')).toBe(true);
+    expect(record.endsWith(',"Řádek; s ""uvozovkami""\na druhý řádek <b>"')).toBe(true);
+    expect(parseCsv(table.slice(1), ',')[1][12]).toBe(rows[0].comment);
+  });
+
+  it('separates cells with tabs', () => {
+    const { content } = exportOverview(rows, 'csv', options({ delimiter: '\t' }));
+    expect(parseCsv(content.slice(1), '\t')[0]).toEqual(HEADERS);
+  });
+});
+
+describe('JSON export', () => {
+  it('writes one object per row keyed by the headers with native values', () => {
+    const { content, extension } = exportOverview(rows, 'json', options());
+    expect(extension).toBe('json');
+    const records = JSON.parse(content);
+    expect(records).toHaveLength(3);
+    expect(Object.keys(records[0])).toEqual(HEADERS);
+    expect(records[0]).toMatchObject({
+      Odesilatel: 'jiří.šťastný@example.com',
+      'Hodnocení (max 10)': 8,
+      'Výsledné hodnocení (max 10)': 7.5,
+      Komentář: rows[0].comment,
+    });
+    expect(records[2]).toMatchObject({ Recenzent: null, 'Hodnocení (max 10)': null, Komentář: null });
+  });
+});
+
+describe('XLSX export', () => {
+  it('packs a valid workbook with the overview sheet', () => {
+    const { content, extension, mimeType } = exportOverview(rows, 'xlsx', options());
+    expect(extension).toBe('xlsx');
+    expect(mimeType).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const files = readZip(content);
+    expect(Object.keys(files).sort()).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/workbook.xml',
+      'xl/worksheets/sheet1.xml',
+    ]);
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Přehled"');
+  });
+
+  it('writes bold headers, numeric scores and escaped text', () => {
+    const cells = readCells(readZip(exportOverview(rows, 'xlsx', options()).content)['xl/worksheets/sheet1.xml']);
+    expect(cells.A1).toEqual({ value: 'Odesilatel', style: 1 });
+    expect(cells.M1).toEqual({ value: 'Komentář', style: 1 });
+    expect(cells.A2).toEqual({ value: 'jiří.šťastný@example.com', style: 0 });
+    expect(cells.B2.value).toBe('https://example.com/práce?a=1&b=2');
+    expect(cells.H2).toEqual({ value: 8, style: 0 });
+    expect(cells.L2).toEqual({ value: 7.5, style: 0 });
+    expect(cells.M2.value).toBe(rows[0].comment);
+    // Missing values leave the cell out
+    expect(cells.H4).toBeUndefined();
+    expect(cells.A4.value).toBe('dana@example.com');
+  });
+
+  it('drops characters XML does not allow', () => {
+    const content = exportOverview([{ ...rows[0], comment: 'a\u0001b\u000bc' }], 'xlsx', options()).content;
+    expect(readCells(readZip(content)['xl/worksheets/sheet1.xml']).M2.value).toBe('abc');
+  });
+});
+
+describe('exported columns and rows', () => {
+  it('exports the score a teacher overrode together with the original one', () => {
+    const overridden = { ...rows[0], override: { score: 6, comment: 'Upraveno' } };
+    const [record] = JSON.parse(exportOverview([overridden], 'json', options()).content);
+    expect(record).toMatchObject({ 'Hodnocení (max 10)': 6, 'Původní hodnocení recenzenta (max 10)': 8 });
+  });
+
+  it('keeps only the visible columns', () => {
+    const columnVisibility = { ...ALL_COLUMNS, link: false, score: false, comment: false };
+    const records = JSON.parse(exportOverview(rows, 'json', options({ columnVisibility })).content);
+    expect(Object.keys(records[0])).toEqual([
+      'Odesilatel',
+      'Recenzent',
+      'Stav recenze',
+      'Datum odeslání',
+      'Datum vyzvednutí',
+      'Datum opravy',
+      'Výsledné hodnocení (max 10)',
+    ]);
+  });
+
+  it('exports the rows left by the applied filters', () => {
+    const filtered = applyOverviewFilters(rows, { sender: 'JIRI', score: { min: '5', max: '' } });
+    const records = parseCsv(exportOverview(filtered, 'csv', options()).content.slice(1), ';');
+    expect(records).toHaveLength(2);
+    expect(records[1][0]).toBe('jiří.šťastný@example.com');
+    const unassigned = applyOverviewFilters(rows, { status: 'unassigned' });
+    const cells = readCells(readZip(exportOverview(unassigned, 'xlsx', options()).content)['xl/worksheets/sheet1.xml']);
+    expect(cells.A2.value).toBe('dana@example.com');
+    expect(cells.A3).toBeUndefined();
+  });
+});
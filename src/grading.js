@@ -0,0 +1,181 @@
+// Final grade of a submission, computed from its finished reviews with the
+// grading settings of the assignment ({ aggregation, teacherWeight,
+// missingReviewPenalty } stored as `grading`):
+//   aggregation          – how peer scores are combined: mean, median or a
+//                          trimmed mean dropping the highest and the lowest
+//   teacherWeight        – share of the grade (0-100 %) given to reviews
+//                          written by staff; 0 counts them as peer reviews
+//   missingReviewPenalty – points deducted from the author for every
+//                          required review they did not finish
+//   helpfulnessBonus     – points added for the helpfulness of the author's
+//                          own reviews: the full bonus for a mean rating of
+//                          5, nothing for 1 or without ratings
+// The required number of reviews per student is the assignment's
+// reviewsPerSubmission. A submission is graded by the reviews of its
+// current version (see versions.js). A teacher's override of a review
+// replaces the reviewer's score. Staff can exclude a review from grading
+// (`excludedFromGrading`), or a whole submission, which then gets no grade.
+
+import { getReviewVersion, getSubmissionVersion, getVersionHistory } from './versions';
+
+export const AGGREGATIONS = [
+  { value: 'mean', label: 'Průměr' },
+  { value: 'median', label: 'Medián' },
+  { value: 'trimmed', label: 'Ořezaný průměr (bez nejvyššího a nejnižšího)' },
+];
+
+export const DEFAULT_GRADING = {
+  aggregation: 'mean',
+  teacherWeight: 0,
+  missingReviewPenalty: 0,
+  helpfulnessBonus: 0,
+};
+
+// Authors rate the helpfulness of each review they receive from 1 to 5
+export const HELPFULNESS_MIN = 1;
+export const HELPFULNESS_MAX = 5;
+
+// Score a review is graded with: the teacher's override when there is one,
+// otherwise the reviewer's own score
+export const getEffectiveScore = (review) => (review.override ? review.override.score : review.score);
+
+// Grading settings of an assignment, tolerating assignments without them
+export const getGrading = (assignment) => ({
+  ...DEFAULT_GRADING,
+  ...((assignment && assignment.grading) || {}),
+});
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Combine scores with the aggregation method; null without scores. The
+// trimmed mean needs at least three scores, fewer are simply averaged.
+export const aggregateScores = (scores, aggregation) => {
+  if (scores.length === 0) return null;
+  if (aggregation === 'median') return median(scores);
+  if (aggregation === 'trimmed' && scores.length >= 3) {
+    const sorted = [...scores].sort((a, b) => a - b);
+    return mean(sorted.slice(1, -1));
+  }
+  return mean(scores);
+};
+
+// Round a grade to two decimal places for display and export
+export const roundGrade = (value) => Math.round(value * 100) / 100;
+
+// Number of required reviews the author has not finished yet, 0 without
+// an assignment
+export const getMissingReviews = (assignment, author, reviews) => {
+  if (!assignment) return 0;
+  const required = assignment.reviewsPerSubmission || 0;
+  const finished = reviews.filter(
+    (r) => r.assignmentId === assignment.id && r.reviewer === author && r.status === 'finished'
+  ).length;
+  return Math.max(required - finished, 0);
+};
+
+// Helpfulness ratings received per reviewer: [{ reviewer, ratingCount,
+// meanRating }], the most helpful first. Only rated reviews count.
+export const getHelpfulnessByReviewer = (reviews) => {
+  const ratings = {};
+  for (const review of reviews) {
+    if (typeof review.helpfulness !== 'number') continue;
+    (ratings[review.reviewer] = ratings[review.reviewer] || []).push(review.helpfulness);
+  }
+  return Object.entries(ratings)
+    .map(([reviewer, values]) => ({ reviewer, ratingCount: values.length, meanRating: roundGrade(mean(values)) }))
+    .sort((a, b) => b.meanRating - a.meanRating || a.reviewer.localeCompare(b.reviewer));
+};
+
+// Mean helpfulness rating of the reviews the author wrote in the
+// assignment, null when none was rated or without an assignment
+export const getAuthorHelpfulness = (assignment, author, reviews) => {
+  if (!assignment) return null;
+  const ratings = reviews
+    .filter((r) => r.assignmentId === assignment.id && r.reviewer === author && typeof r.helpfulness === 'number')
+    .map((r) => r.helpfulness);
+  return ratings.length > 0 ? mean(ratings) : null;
+};
+
+// Points the author gets for the helpfulness of their reviews under the
+// helpfulnessBonus setting of the assignment, 0 without ratings
+export const getHelpfulnessBonus = (assignment, author, reviews) => {
+  const helpfulness = getAuthorHelpfulness(assignment, author, reviews);
+  if (helpfulness === null) return 0;
+  const { helpfulnessBonus } = getGrading(assignment);
+  return roundGrade((helpfulnessBonus * (helpfulness - HELPFULNESS_MIN)) / (HELPFULNESS_MAX - HELPFULNESS_MIN));
+};
+
+// Grade of a submission: { grade, peerScore, teacherScore, reviewCount,
+// missingReviews, penalty, bonus }. The grade is null until the submission
+// has a finished review and never exceeds maxScore. `reviews` may contain
+// any reviews of the assignment; the author's own reviews decide the
+// penalty and the helpfulness bonus. With `biases` (reviewer → mean
+// deviation, see reliability.js) peer scores are corrected for the leniency
+// of their reviewers and kept within 0..maxScore. `version` selects the
+// reviewed version, the current one by default.
+export const computeGrade = (
+  assignment,
+  submission,
+  reviews,
+  { biases = null, maxScore = Infinity, version = getSubmissionVersion(submission) } = {}
+) => {
+  const grading = getGrading(assignment);
+  const finished = reviews.filter(
+    (r) =>
+      r.submissionId === submission.id &&
+      getReviewVersion(r) === version &&
+      r.status === 'finished' &&
+      !r.excludedFromGrading &&
+      !submission.excludedFromGrading &&
+      getEffectiveScore(r) !== null
+  );
+  const weighted = grading.teacherWeight > 0;
+  // Overridden scores come from the teacher and need no correction
+  const normalized = (review) =>
+    biases && biases[review.reviewer] !== undefined && !review.override
+      ? Math.min(Math.max(review.score - biases[review.reviewer], 0), maxScore)
+      : getEffectiveScore(review);
+  const peerScores = finished.filter((r) => !weighted || !r.staffReview).map(normalized);
+  const teacherScores = weighted ? finished.filter((r) => r.staffReview).map(getEffectiveScore) : [];
+  const peerScore = aggregateScores(peerScores, grading.aggregation);
+  const teacherScore = teacherScores.length > 0 ? mean(teacherScores) : null;
+  const missingReviews = getMissingReviews(assignment, submission.author, reviews);
+  const penalty = missingReviews * grading.missingReviewPenalty;
+  const bonus = getHelpfulnessBonus(assignment, submission.author, reviews);
+  const share = grading.teacherWeight / 100;
+  const base =
+    peerScore !== null && teacherScore !== null
+      ? share * teacherScore + (1 - share) * peerScore
+      : peerScore !== null
+      ? peerScore
+      : teacherScore;
+  return {
+    grade: base === null ? null : roundGrade(Math.min(Math.max(base - penalty, 0) + bonus, maxScore)),
+    peerScore: peerScore === null ? null : roundGrade(peerScore),
+    teacherScore: teacherScore === null ? null : roundGrade(teacherScore),
+    reviewCount: finished.length,
+    missingReviews,
+    penalty,
+    bonus,
+  };
+};
+
+// Grades of every version of a submission, oldest first, for comparing how
+// a revision changed the scores: [{ version, submissionDate, grade,
+// peerScore, teacherScore, reviewCount, change }] where change is the
+// difference to the previous graded version
+export const compareVersionGrades = (assignment, submission, reviews) => {
+  let previous = null;
+  return getVersionHistory(submission).map(({ version, submissionDate }) => {
+    const result = computeGrade(assignment, submission, reviews, { version });
+    const change = previous !== null && result.grade !== null ? roundGrade(result.grade - previous) : null;
+    if (result.grade !== null) previous = result.grade;
+    return { version, submissionDate, ...result, change };
+  });
+};
@@ -0,0 +1,157 @@
+import { aggregateScores, computeGrade, getHelpfulnessBonus, getMissingReviews } from './grading';
+
+const ALICE = 'alice@example.com';
+const BOB = 'bob@example.com';
+const CAROL = 'carol@example.com';
+const DAVE = 'dave@example.com';
+const TEACHER = 'teacher@example.com';
+
+const assignment = (grading = {}, values = {}) => ({ id: 'a1', reviewsPerSubmission: 0, grading, ...values });
+
+const submission = { id: 's1', assignmentId: 'a1', author: ALICE };
+
+const review = (reviewer, score, values = {}) => ({
+  id: `s1_${reviewer}`,
+  assignmentId: 'a1',
+  submissionId: 's1',
+  submissionAuthor: ALICE,
+  reviewer,
+  status: 'finished',
+  score,
+  ...values,
+});
+
+// A review Alice wrote of somebody else's work
+const ownReview = (id, values = {}) => ({
+  id,
+  assignmentId: 'a1',
+  submissionId: `other_${id}`,
+  reviewer: ALICE,
+  status: 'finished',
+  score: 5,
+  ...values,
+});
+
+describe('aggregateScores', () => {
+  it('combines scores by the aggregation method', () => {
+    expect(aggregateScores([2, 4, 9], 'mean')).toBe(5);
+    expect(aggregateScores([2, 4, 9], 'median')).toBe(4);
+    expect(aggregateScores([2, 4, 6, 9], 'median')).toBe(5);
+    expect(aggregateScores([1, 4, 6, 10], 'trimmed')).toBe(5);
+  });
+
+  it('averages fewer than three scores for the trimmed mean and gives null without scores', () => {
+    expect(aggregateScores([4, 6], 'trimmed')).toBe(5);
+    expect(aggregateScores([], 'mean')).toBeNull();
+  });
+});
+
+describe('computeGrade', () => {
+  it('grades the finished reviews of the current version only', () => {
+    const result = computeGrade(assignment(), submission, [
+      review(BOB, 6),
+      review(CAROL, 8),
+      review(DAVE, null, { status: 'assigned' }),
+      review(TEACHER, 1, { status: 'returned' }),
+      { ...review(DAVE, 2), submissionVersion: 2 },
+    ]);
+    expect(result).toEqual({
+      grade: 7,
+      peerScore: 7,
+      teacherScore: null,
+      reviewCount: 2,
+      missingReviews: 0,
+      penalty: 0,
+      bonus: 0,
+    });
+  });
+
+  it('gives no grade before the first finished review', () => {
+    expect(computeGrade(assignment(), submission, [review(BOB, null, { status: 'assigned' })]).grade).toBeNull();
+  });
+
+  it('uses the override instead of the reviewer score and skips excluded reviews', () => {
+    const result = computeGrade(assignment(), submission, [
+      review(BOB, 2, { override: { score: 9, comment: 'Opraveno.' } }),
+      review(CAROL, 1, { excludedFromGrading: true }),
+    ]);
+    expect(result).toMatchObject({ grade: 9, reviewCount: 1 });
+    expect(computeGrade(assignment(), { ...submission, excludedFromGrading: true }, [review(BOB, 2)]).grade).toBeNull();
+  });
+
+  it('aggregates peer scores by the assignment setting', () => {
+    const reviews = [review(BOB, 2), review(CAROL, 3), review(DAVE, 10)];
+    expect(computeGrade(assignment({ aggregation: 'mean' }), submission, reviews).grade).toBe(5);
+    expect(computeGrade(assignment({ aggregation: 'median' }), submission, reviews).grade).toBe(3);
+    expect(computeGrade(assignment({ aggregation: 'trimmed' }), submission, reviews).grade).toBe(3);
+  });
+
+  it('weights staff reviews by teacherWeight and counts them as peer reviews without it', () => {
+    const reviews = [review(BOB, 4), review(CAROL, 6), review(TEACHER, 10, { staffReview: true })];
+    expect(computeGrade(assignment({ teacherWeight: 50 }), submission, reviews)).toMatchObject({
+      grade: 7.5,
+      peerScore: 5,
+      teacherScore: 10,
+    });
+    expect(computeGrade(assignment(), submission, reviews)).toMatchObject({ grade: 6.67, teacherScore: null });
+  });
+
+  it('deducts the penalty for every required review the author did not finish', () => {
+    const grading = assignment({ missingReviewPenalty: 1.5 }, { reviewsPerSubmission: 3 });
+    const result = computeGrade(grading, submission, [
+      review(BOB, 8),
+      ownReview('o1'),
+      ownReview('o2', { status: 'assigned' }),
+    ]);
+    expect(result).toMatchObject({ grade: 5, missingReviews: 2, penalty: 3 });
+    expect(computeGrade(grading, submission, [review(BOB, 1)]).grade).toBe(0);
+  });
+
+  it('adds the helpfulness bonus on top of the penalty and keeps the grade within maxScore', () => {
+    const grading = assignment({ helpfulnessBonus: 2, missingReviewPenalty: 1 }, { reviewsPerSubmission: 2 });
+    const reviews = [review(BOB, 9), ownReview('o1', { helpfulness: 4 })];
+    expect(computeGrade(grading, submission, reviews)).toMatchObject({ grade: 9.5, penalty: 1, bonus: 1.5 });
+    expect(computeGrade(grading, submission, reviews, { maxScore: 9 }).grade).toBe(9);
+  });
+
+  it('corrects peer scores for the bias of their reviewers but not overrides', () => {
+    const reviews = [review(BOB, 9), review(CAROL, 4, { override: { score: 5 } })];
+    const biases = { [BOB]: 2, [CAROL]: -3 };
+    expect(computeGrade(assignment(), submission, reviews, { biases, maxScore: 10 })).toMatchObject({
+      grade: 6,
+      peerScore: 6,
+    });
+    expect(computeGrade(assignment(), submission, [review(BOB, 1)], { biases }).grade).toBe(0);
+  });
+});
+
+describe('getMissingReviews', () => {
+  it('counts the finished reviews the author wrote in the assignment', () => {
+    const reviews = [ownReview('o1'), ownReview('o2', { assignmentId: 'a2' }), ownReview('o3', { status: 'returned' })];
+    expect(getMissingReviews(assignment({}, { reviewsPerSubmission: 3 }), ALICE, reviews)).toBe(2);
+    expect(
+      getMissingReviews(assignment({}, { reviewsPerSubmission: 1 }), ALICE, [ownReview('o1'), ownReview('o2')])
+    ).toBe(0);
+  });
+
+  it('requires nothing without an assignment', () => {
+    expect(getMissingReviews(null, ALICE, [ownReview('o1')])).toBe(0);
+    expect(getMissingReviews(undefined, ALICE, [])).toBe(0);
+  });
+});
+
+describe('getHelpfulnessBonus', () => {
+  it('scales the bonus from nothing at the lowest rating to all of it at the highest', () => {
+    const grading = assignment({ helpfulnessBonus: 4 });
+    expect(getHelpfulnessBonus(grading, ALICE, [ownReview('o1', { helpfulness: 5 })])).toBe(4);
+    expect(getHelpfulnessBonus(grading, ALICE, [ownReview('o1', { helpfulness: 1 })])).toBe(0);
+    expect(
+      getHelpfulnessBonus(grading, ALICE, [ownReview('o1', { helpfulness: 2 }), ownReview('o2', { helpfulness: 5 })])
+    ).toBe(2.5);
+  });
+
+  it('gives nothing without ratings or without an assignment', () => {
+    expect(getHelpfulnessBonus(assignment({ helpfulnessBonus: 4 }), ALICE, [ownReview('o1')])).toBe(0);
+    expect(getHelpfulnessBonus(null, ALICE, [ownReview('o1', { helpfulness: 5 })])).toBe(0);
+  });
+});
@@ -0,0 +1,165 @@
+// Filtering and sorting of the staff overview table. Filters are an object
+// keyed by field, so several apply at once and a row has to match all of
+// them; each field has at most one filter:
+//   sender, reviewer, link – text contained in the value
+//   status                 – exact status ('unassigned' for works nobody
+//                            picked up yet)
+//   score, grade           – { min, max } in points, either may be ''
+//   submissionDate, pickupDate, correctionDate
+//                          – { from, to } as YYYY-MM-DD, both inclusive,
+//                            either may be ''
+//   comment                – full-text search: every word of the query has
+//                            to occur in the comments of the review (its
+//                            comment, the criterion comments or the
+//                            teacher's override)
+// Text is compared regardless of case and diacritics. Scores are the
+// graded ones, so a teacher's override counts (see getEffectiveScore).
+// Sorting is a list of { column, direction } keys applied in order.
+
+import { REVIEW_STATUS_LABELS } from './allocation';
+import { getEffectiveScore } from './grading';
+
+export const FILTER_FIELDS = [
+  { key: 'sender', label: 'Odesilatel', kind: 'text' },
+  { key: 'reviewer', label: 'Recenzent', kind: 'text' },
+  { key: 'link', label: 'Odkaz', kind: 'text' },
+  { key: 'status', label: 'Stav recenze', kind: 'status' },
+  { key: 'score', label: 'Hodnocení', kind: 'range' },
+  { key: 'grade', label: 'Výsledek', kind: 'range' },
+  { key: 'submissionDate', label: 'Datum odeslání', kind: 'dateRange' },
+  { key: 'pickupDate', label: 'Datum vyzvednutí', kind: 'dateRange' },
+  { key: 'correctionDate', label: 'Datum opravy', kind: 'dateRange' },
+  { key: 'comment', label: 'Komentář', kind: 'search' },
+];
+
+// Statuses of overview rows: review statuses and works without a review
+export const OVERVIEW_STATUS_LABELS = { unassigned: 'Nevyzvednuto', ...REVIEW_STATUS_LABELS };
+
+const fieldOf = (key) => FILTER_FIELDS.find((field) => field.key === key);
+
+const fold = (text) =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+const scoreOf = (row) => (row.type === 'review' ? getEffectiveScore(row) : null);
+
+const valueOf = (row, key) => {
+  if (key === 'link') return row.submissionLink;
+  if (key === 'score') return scoreOf(row);
+  return row[key];
+};
+
+const commentsOf = (row) =>
+  [
+    row.comment,
+    row.override && row.override.comment,
+    ...Object.values(row.criteria || {}).map((entry) => entry && entry.comment),
+  ].join(' ');
+
+// Whether a filter value restricts nothing, e.g. a range without bounds
+export const isEmptyFilter = (key, value) => {
+  const { kind } = fieldOf(key);
+  if (kind === 'range') return value.min === '' && value.max === '';
+  if (kind === 'dateRange') return !value.from && !value.to;
+  return !String(value).trim();
+};
+
+const inRange = (value, min, max) =>
+  value !== null && value !== undefined && value !== '' && (min === '' || value >= min) && (max === '' || value <= max);
+
+const matchesFilter = (row, key, value) => {
+  const field = fieldOf(key);
+  if (!field || isEmptyFilter(key, value)) return true;
+  switch (field.kind) {
+    case 'text':
+      return fold(valueOf(row, key)).includes(fold(value).trim());
+    case 'status':
+      return row.status === value;
+    case 'search': {
+      const text = fold(commentsOf(row));
+      return fold(value)
+        .split(/\s+/)
+        .filter(Boolean)
+        .every((word) => text.includes(word));
+    }
+    case 'range':
+      return inRange(
+        valueOf(row, key),
+        value.min === '' ? '' : Number(value.min),
+        value.max === '' ? '' : Number(value.max)
+      );
+    case 'dateRange':
+      return inRange(valueOf(row, key), value.from || '', value.to || '');
+    default:
+      return true;
+  }
+};
+
+// Rows matching every filter
+export const applyOverviewFilters = (rows, filters) =>
+  rows.filter((row) => Object.entries(filters).every(([key, value]) => matchesFilter(row, key, value)));
+
+// Czech label of an applied filter for its chip, e.g. "Hodnocení: 5–8"
+export const describeFilter = (key, value) => {
+  const field = fieldOf(key);
+  if (!field) return key;
+  const bounds = (from, to) => (from && to ? `${from}–${to}` : from ? `od ${from}` : `do ${to}`);
+  switch (field.kind) {
+    case 'status':
+      return `${field.label}: ${OVERVIEW_STATUS_LABELS[value] || value}`;
+    case 'range':
+      return `${field.label}: ${bounds(value.min, value.max)}`;
+    case 'dateRange':
+      return `${field.label}: ${bounds(value.from, value.to)}`;
+    default:
+      return `${field.label}: „${value}“`;
+  }
+};
+
+const sortValue = (row, column) => {
+  switch (column) {
+    case 'score': {
+      const score = scoreOf(row);
+      return score === null || score === undefined ? -1 : score;
+    }
+    case 'grade':
+      return row.grade !== null && row.grade !== undefined ? row.grade : -1;
+    case 'comment':
+      return row.type === 'review' ? (row.comment || '').length : 0;
+    default:
+      return row[column] || '';
+  }
+};
+
+// Rows sorted by the keys, the first key deciding first
+export const sortOverviewRows = (rows, sortKeys) =>
+  sortKeys.length === 0
+    ? rows
+    : [...rows].sort((a, b) => {
+        for (const { column, direction } of sortKeys) {
+          const x = sortValue(a, column);
+          const y = sortValue(b, column);
+          const order = typeof x === 'string' ? x.localeCompare(String(y)) : x - y;
+          if (order !== 0) return direction === 'asc' ? order : -order;
+        }
+        return 0;
+      });
+
+// Sort keys after clicking a column header. A plain click sorts by the
+// column alone, cycling ascending, descending and unsorted; an additive
+// click (with Shift) adds the column as the next key or cycles it in place.
+export const toggleSortKey = (sortKeys, column, additive) => {
+  if (!additive) {
+    const only = sortKeys.length === 1 && sortKeys[0].column === column ? sortKeys[0] : null;
+    if (!only) return [{ column, direction: 'asc' }];
+    return only.direction === 'asc' ? [{ column, direction: 'desc' }] : [];
+  }
+  const current = sortKeys.find((key) => key.column === column);
+  if (!current) return [...sortKeys, { column, direction: 'asc' }];
+  if (current.direction === 'asc') {
+    return sortKeys.map((key) => (key.column === column ? { column, direction: 'desc' } : key));
+  }
+  return sortKeys.filter((key) => key.column !== column);
+};
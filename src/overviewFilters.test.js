@@ -0,0 +1,158 @@
+import {
+  applyOverviewFilters,
+  describeFilter,
+  isEmptyFilter,
+  sortOverviewRows,
+  toggleSortKey,
+} from './overviewFilters';
+
+// Overview rows as the admin table builds them
+const rows = [
+  {
+    id: 'r1',
+    type: 'review',
+    sender: 'jiří.šťastný@example.com',
+    submissionLink: 'https://example.com/esej',
+    reviewer: 'bob@example.com',
+    status: 'finished',
+    submissionDate: '2026-10-01',
+    pickupDate: '2026-10-02',
+    correctionDate: '2026-10-04',
+    score: 4,
+    override: { score: 9, comment: 'Hodnocení upraveno.' },
+    grade: 9,
+    comment: 'Výborná struktura.',
+    criteria: { c1: { points: 4, comment: 'Chybí závěr.' } },
+  },
+  {
+    id: 'r2',
+    type: 'review',
+    sender: 'alice@example.com',
+    submissionLink: 'https://example.com/referat',
+    reviewer: 'carol@example.com',
+    status: 'assigned',
+    submissionDate: '2026-10-03',
+    pickupDate: '2026-10-05',
+    correctionDate: null,
+    score: null,
+    grade: null,
+    comment: '',
+  },
+  {
+    id: 'r3',
+    type: 'review',
+    sender: 'alice@example.com',
+    submissionLink: 'https://example.com/referat',
+    reviewer: 'bob@example.com',
+    status: 'finished',
+    submissionDate: '2026-10-03',
+    pickupDate: '2026-10-04',
+    correctionDate: '2026-10-06',
+    score: 6,
+    grade: 6,
+    comment: 'Dobrá práce, slabší závěr.',
+  },
+  {
+    id: 's4',
+    type: 'submission',
+    sender: 'dave@example.com',
+    submissionLink: 'https://example.com/prace',
+    status: 'unassigned',
+    submissionDate: '2026-10-07',
+    grade: null,
+  },
+];
+
+const ids = (result) => result.map((row) => row.id);
+
+describe('applyOverviewFilters', () => {
+  it('matches text regardless of case and diacritics', () => {
+    expect(ids(applyOverviewFilters(rows, { sender: 'JIRI.STASTNY' }))).toEqual(['r1']);
+    expect(ids(applyOverviewFilters(rows, { link: 'referat' }))).toEqual(['r2', 'r3']);
+  });
+
+  it('requires every filter to match', () => {
+    expect(ids(applyOverviewFilters(rows, { sender: 'alice', reviewer: 'bob' }))).toEqual(['r3']);
+    expect(ids(applyOverviewFilters(rows, { status: 'unassigned' }))).toEqual(['s4']);
+  });
+
+  it('filters scores by the overridden score and leaves out rows without one', () => {
+    expect(ids(applyOverviewFilters(rows, { score: { min: '8', max: '' } }))).toEqual(['r1']);
+    expect(ids(applyOverviewFilters(rows, { score: { min: '', max: '5' } }))).toEqual([]);
+    expect(ids(applyOverviewFilters(rows, { grade: { min: '5', max: '7' } }))).toEqual(['r3']);
+  });
+
+  it('includes both ends of a date range', () => {
+    expect(ids(applyOverviewFilters(rows, { correctionDate: { from: '2026-10-04', to: '2026-10-06' } }))).toEqual([
+      'r1',
+      'r3',
+    ]);
+    expect(ids(applyOverviewFilters(rows, { submissionDate: { from: '2026-10-07', to: '' } }))).toEqual(['s4']);
+  });
+
+  it('searches every word in the review, criterion and override comments', () => {
+    expect(ids(applyOverviewFilters(rows, { comment: 'zaver' }))).toEqual(['r1', 'r3']);
+    expect(ids(applyOverviewFilters(rows, { comment: 'upraveno struktura' }))).toEqual(['r1']);
+    expect(ids(applyOverviewFilters(rows, { comment: 'struktura slabsi' }))).toEqual([]);
+  });
+
+  it('ignores empty filters', () => {
+    expect(isEmptyFilter('score', { min: '', max: '' })).toBe(true);
+    expect(isEmptyFilter('pickupDate', { from: '', to: '' })).toBe(true);
+    expect(isEmptyFilter('sender', '  ')).toBe(true);
+    expect(applyOverviewFilters(rows, { sender: ' ', score: { min: '', max: '' } })).toHaveLength(rows.length);
+  });
+});
+
+describe('describeFilter', () => {
+  it('labels filters in Czech', () => {
+    expect(describeFilter('status', 'unassigned')).toBe('Stav recenze: Nevyzvednuto');
+    expect(describeFilter('score', { min: '5', max: '8' })).toBe('Hodnocení: 5–8');
+    expect(describeFilter('pickupDate', { from: '', to: '2026-10-05' })).toBe('Datum vyzvednutí: do 2026-10-05');
+    expect(describeFilter('comment', 'závěr')).toBe('Komentář: „závěr“');
+  });
+});
+
+describe('sortOverviewRows', () => {
+  it('applies the sort keys in order', () => {
+    const sorted = sortOverviewRows(rows, [
+      { column: 'sender', direction: 'asc' },
+      { column: 'score', direction: 'desc' },
+    ]);
+    expect(ids(sorted)).toEqual(['r3', 'r2', 's4', 'r1']);
+  });
+
+  it('sorts by the overridden score with missing scores last when descending', () => {
+    expect(ids(sortOverviewRows(rows, [{ column: 'score', direction: 'desc' }]))).toEqual(['r1', 'r3', 'r2', 's4']);
+  });
+
+  it('keeps the order without keys', () => {
+    expect(sortOverviewRows(rows, [])).toBe(rows);
+  });
+});
+
+describe('toggleSortKey', () => {
+  it('cycles a single column through ascending, descending and unsorted', () => {
+    const asc = toggleSortKey([], 'score', false);
+    expect(asc).toEqual([{ column: 'score', direction: 'asc' }]);
+    const desc = toggleSortKey(asc, 'score', false);
+    expect(desc).toEqual([{ column: 'score', direction: 'desc' }]);
+    expect(toggleSortKey(desc, 'score', false)).toEqual([]);
+    expect(toggleSortKey(desc, 'grade', false)).toEqual([{ column: 'grade', direction: 'asc' }]);
+  });
+
+  it('adds and cycles further keys in place with an additive click', () => {
+    const keys = toggleSortKey([{ column: 'sender', direction: 'asc' }], 'score', true);
+    expect(keys).toEqual([
+      { column: 'sender', direction: 'asc' },
+      { column: 'score', direction: 'asc' },
+    ]);
+    expect(toggleSortKey(keys, 'sender', true)).toEqual([
+      { column: 'sender', direction: 'desc' },
+      { column: 'score', direction: 'asc' },
+    ]);
+    expect(toggleSortKey(toggleSortKey(keys, 'score', true), 'score', true)).toEqual([
+      { column: 'sender', direction: 'asc' },
+    ]);
+  });
+});
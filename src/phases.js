@@ -0,0 +1,131 @@
+// Assignment phases derived from deadlines stored on the assignment:
+//   submissionDeadline – last moment a student can submit work
+//   reviewStart        – first moment works can be picked up and reviewed
+//   reviewDeadline     – last moment a review can be picked up or submitted
+//   closeDate          – after this the assignment accepts nothing
+// Deadlines are local date-time strings as produced by a datetime-local
+// input ("YYYY-MM-DDTHH:mm"); an empty value means no limit. Individual
+// students can get later deadlines through the assignment's `extensions`
+// array of { email, submissionDeadline, reviewDeadline }. E-mails are
+// compared in the normalized form of roleDocId.
+
+import { roleDocId } from './roles';
+
+export const DEADLINE_FIELDS = [
+  { field: 'submissionDeadline', label: 'Odevzdání do' },
+  { field: 'reviewStart', label: 'Hodnocení od' },
+  { field: 'reviewDeadline', label: 'Hodnocení do' },
+  { field: 'closeDate', label: 'Uzavření úkolu' },
+];
+
+const toTime = (value) => (value ? new Date(value).getTime() : null);
+
+// Later of two deadlines where null means "no limit"
+const laterDeadline = (a, b) => {
+  if (!a || !b) return null;
+  return toTime(a) >= toTime(b) ? a : b;
+};
+
+// Deadlines that apply to the given student, taking extensions into account.
+// An extension also postpones the close date so the student can use it.
+export const getEffectiveDeadlines = (assignment, email) => {
+  const deadlines = {
+    submissionDeadline: (assignment && assignment.submissionDeadline) || '',
+    reviewStart: (assignment && assignment.reviewStart) || '',
+    reviewDeadline: (assignment && assignment.reviewDeadline) || '',
+    closeDate: (assignment && assignment.closeDate) || '',
+  };
+  const id = roleDocId(email);
+  const extension = ((assignment && assignment.extensions) || []).find((e) => roleDocId(e.email) === id);
+  if (!extension) return deadlines;
+  if (extension.submissionDeadline && deadlines.submissionDeadline) {
+    deadlines.submissionDeadline = laterDeadline(deadlines.submissionDeadline, extension.submissionDeadline);
+  }
+  if (extension.reviewDeadline && deadlines.reviewDeadline) {
+    deadlines.reviewDeadline = laterDeadline(deadlines.reviewDeadline, extension.reviewDeadline);
+  }
+  if (deadlines.closeDate) {
+    for (const value of [extension.submissionDeadline, extension.reviewDeadline]) {
+      if (value) deadlines.closeDate = laterDeadline(deadlines.closeDate, value);
+    }
+  }
+  return deadlines;
+};
+
+const isBefore = (now, deadline) => !deadline || now < toTime(deadline);
+const isAfter = (now, start) => !start || now >= toTime(start);
+
+// Whether the assignment is closed for the given student
+export const isClosed = (assignment, email, now) =>
+  !isBefore(now, getEffectiveDeadlines(assignment, email).closeDate);
+
+// Whether the given student can submit work right now
+export const isSubmissionOpen = (assignment, email, now) => {
+  const deadlines = getEffectiveDeadlines(assignment, email);
+  return !isClosed(assignment, email, now) && isBefore(now, deadlines.submissionDeadline);
+};
+
+// Whether the given student can pick up and submit reviews right now
+export const isReviewOpen = (assignment, email, now) => {
+  const deadlines = getEffectiveDeadlines(assignment, email);
+  return (
+    !isClosed(assignment, email, now) &&
+    isAfter(now, deadlines.reviewStart) &&
+    isBefore(now, deadlines.reviewDeadline)
+  );
+};
+
+// Current phase for the given student: 'submission', 'review',
+// 'submission-review' (both open), 'waiting' (between phases) or 'closed'
+export const getPhase = (assignment, email, now) => {
+  if (isClosed(assignment, email, now)) return 'closed';
+  const submissionOpen = isSubmissionOpen(assignment, email, now);
+  const reviewOpen = isReviewOpen(assignment, email, now);
+  if (submissionOpen && reviewOpen) return 'submission-review';
+  if (submissionOpen) return 'submission';
+  if (reviewOpen) return 'review';
+  return 'waiting';
+};
+
+export const PHASE_LABELS = {
+  submission: 'Odevzdávání',
+  review: 'Hodnocení',
+  'submission-review': 'Odevzdávání a hodnocení',
+  waiting: 'Čeká se na zahájení hodnocení',
+  closed: 'Uzavřeno',
+};
+
+// Human readable time remaining until the deadline, e.g. "2 d 3 h 15 min"
+export const formatCountdown = (deadline, now) => {
+  const remaining = toTime(deadline) - now;
+  if (remaining <= 0) return '0 min';
+  const minutes = Math.floor(remaining / 60000);
+  const days = Math.floor(minutes / (60 * 24));
+  const hours = Math.floor((minutes % (60 * 24)) / 60);
+  const parts = [];
+  if (days > 0) parts.push(`${days} d`);
+  if (days > 0 || hours > 0) parts.push(`${hours} h`);
+  parts.push(`${minutes % 60} min`);
+  return parts.join(' ');
+};
+
+// Format a deadline for display in Czech locale
+export const formatDeadline = (deadline) =>
+  deadline
+    ? new Date(deadline).toLocaleString('cs-CZ', { dateStyle: 'medium', timeStyle: 'short' })
+    : 'bez omezení';
+
+// Check that the deadlines follow each other in a sensible order. Returns
+// an error message or null.
+export const validateDeadlines = ({ submissionDeadline, reviewStart, reviewDeadline, closeDate }) => {
+  const ordered = [
+    [reviewStart, reviewDeadline, 'Začátek hodnocení musí předcházet jeho konci.'],
+    [submissionDeadline, reviewDeadline, 'Termín odevzdání musí předcházet konci hodnocení.'],
+    [submissionDeadline, closeDate, 'Termín odevzdání musí předcházet uzavření úkolu.'],
+    [reviewDeadline, closeDate, 'Konec hodnocení musí předcházet uzavření úkolu.'],
+  ];
+  for (const [earlier, later, message] of ordered) {
+    if (earlier && later && toTime(earlier) > toTime(later)) return message;
+  }
+  return null;
+};
@@ -0,0 +1,33 @@
+import { getEffectiveDeadlines, isSubmissionOpen } from './phases';
+
+const assignment = {
+  submissionDeadline: '2026-10-10T23:59',
+  reviewStart: '2026-10-11T00:00',
+  reviewDeadline: '2026-10-20T23:59',
+  closeDate: '2026-10-25T23:59',
+  extensions: [{ email: 'alice@example.com', submissionDeadline: '2026-10-15T23:59', reviewDeadline: '' }],
+};
+
+describe('getEffectiveDeadlines', () => {
+  it('applies the extension and postpones the close date when needed', () => {
+    expect(getEffectiveDeadlines(assignment, 'alice@example.com')).toEqual({
+      submissionDeadline: '2026-10-15T23:59',
+      reviewStart: '2026-10-11T00:00',
+      reviewDeadline: '2026-10-20T23:59',
+      closeDate: '2026-10-25T23:59',
+    });
+  });
+
+  it('matches the extension regardless of the e-mail case', () => {
+    const deadlines = getEffectiveDeadlines(assignment, ' Alice@Example.com');
+    expect(deadlines.submissionDeadline).toBe('2026-10-15T23:59');
+    const stored = { ...assignment, extensions: [{ ...assignment.extensions[0], email: 'ALICE@example.com' }] };
+    expect(getEffectiveDeadlines(stored, 'alice@example.com').submissionDeadline).toBe('2026-10-15T23:59');
+  });
+
+  it('keeps the assignment deadlines for other students', () => {
+    expect(getEffectiveDeadlines(assignment, 'bob@example.com').submissionDeadline).toBe('2026-10-10T23:59');
+    expect(isSubmissionOpen(assignment, 'bob@example.com', new Date('2026-10-12T12:00').getTime())).toBe(false);
+    expect(isSubmissionOpen(assignment, 'Alice@example.com', new Date('2026-10-12T12:00').getTime())).toBe(true);
+  });
+});
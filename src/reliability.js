@@ -0,0 +1,103 @@
+// Analytics of how consistently students score the same work, computed from
+// the finished reviews of one assignment.
+//
+// The consensus for a review is the mean of the other finished reviews of
+// the same version of the submission, so a reviewer is never compared with
+// themselves. A reviewer's bias is their mean deviation from that
+// consensus: positive for lenient reviewers, negative for harsh ones.
+// Agreement is measured with Krippendorff's alpha for interval data.
+
+import { getReviewVersion } from './versions';
+
+// Reviewers whose bias is this many standard deviations away from the
+// others are flagged as outliers
+export const OUTLIER_Z_SCORE = 2;
+
+// Reviewers needed before outliers are flagged at all
+const MIN_REVIEWERS_FOR_OUTLIERS = 5;
+
+const sum = (values) => values.reduce((acc, value) => acc + value, 0);
+const mean = (values) => sum(values) / values.length;
+
+const finishedReviews = (reviews) =>
+  reviews.filter((r) => r.status === 'finished' && r.score !== null && r.score !== undefined);
+
+// Finished reviews grouped by the reviewed version of each submission, as
+// grading groups them: reviews of a replaced version judged other work
+const groupByVersion = (reviews) => {
+  const groups = new Map();
+  for (const review of finishedReviews(reviews)) {
+    const key = `${review.submissionId}@${getReviewVersion(review)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(review);
+  }
+  return groups;
+};
+
+// Bias of every reviewer whose work can be compared with somebody else's:
+// [{ reviewer, reviewCount, meanScore, meanDeviation, outlier }], the most
+// biased first
+export const getReviewerBias = (reviews) => {
+  const groups = groupByVersion(reviews);
+  const byReviewer = new Map();
+  for (const group of groups.values()) {
+    for (const review of group) {
+      const others = group.filter((r) => r !== review);
+      if (others.length === 0) continue;
+      if (!byReviewer.has(review.reviewer)) byReviewer.set(review.reviewer, { scores: [], deviations: [] });
+      const entry = byReviewer.get(review.reviewer);
+      entry.scores.push(review.score);
+      entry.deviations.push(review.score - mean(others.map((r) => r.score)));
+    }
+  }
+  const rows = [...byReviewer.entries()].map(([reviewer, { scores, deviations }]) => ({
+    reviewer,
+    reviewCount: scores.length,
+    meanScore: mean(scores),
+    meanDeviation: mean(deviations),
+    outlier: false,
+  }));
+  if (rows.length >= MIN_REVIEWERS_FOR_OUTLIERS) {
+    const average = mean(rows.map((row) => row.meanDeviation));
+    const deviation = Math.sqrt(mean(rows.map((row) => (row.meanDeviation - average) ** 2)));
+    if (deviation > 0) {
+      rows.forEach((row) => {
+        row.outlier = Math.abs(row.meanDeviation - average) / deviation >= OUTLIER_Z_SCORE;
+      });
+    }
+  }
+  return rows.sort((a, b) => Math.abs(b.meanDeviation) - Math.abs(a.meanDeviation));
+};
+
+// Reviewer → bias map as used for normalizing grades
+export const getBiasMap = (biasRows) =>
+  biasRows.reduce((acc, row) => {
+    acc[row.reviewer] = row.meanDeviation;
+    return acc;
+  }, {});
+
+// Sum of squared differences over all ordered pairs of values
+const pairwiseSquares = (values) => 2 * (values.length * sum(values.map((v) => v * v)) - sum(values) ** 2);
+
+// Krippendorff's alpha (interval metric) over the submissions of the
+// reviews: { alpha, units } where units is the number of submission
+// versions with at least two finished reviews. Alpha is null without such
+// versions or when all scores are equal.
+export const getKrippendorffAlpha = (reviews) => {
+  const units = [...groupByVersion(reviews).values()]
+    .map((group) => group.map((r) => r.score))
+    .filter((values) => values.length >= 2);
+  const n = sum(units.map((values) => values.length));
+  if (n < 2) return { alpha: null, units: units.length };
+  const observed = sum(units.map((values) => pairwiseSquares(values) / (values.length - 1))) / n;
+  const expected = pairwiseSquares(units.flat()) / (n * (n - 1));
+  return { alpha: expected === 0 ? null : 1 - observed / expected, units: units.length };
+};
+
+// Usual reading of alpha: 0.8 and above is reliable, 0.667 tentative
+export const describeAlpha = (alpha) => {
+  if (alpha === null) return 'Nedostatek dat';
+  if (alpha >= 0.8) return 'Spolehlivá shoda';
+  if (alpha >= 0.667) return 'Přijatelná shoda';
+  return 'Nízká shoda';
+};
@@ -0,0 +1,79 @@
+import { describeAlpha, getBiasMap, getKrippendorffAlpha, getReviewerBias } from './reliability';
+
+const review = (submissionId, reviewer, score, values = {}) => ({
+  id: `${submissionId}_${reviewer}`,
+  submissionId,
+  reviewer,
+  status: 'finished',
+  score,
+  ...values,
+});
+
+describe('getKrippendorffAlpha', () => {
+  it('is 1 for perfect agreement', () => {
+    const reviews = [review('s1', 'a', 2), review('s1', 'b', 2), review('s2', 'a', 9), review('s2', 'b', 9)];
+    expect(getKrippendorffAlpha(reviews)).toEqual({ alpha: 1, units: 2 });
+  });
+
+  it('follows the interval metric for partial and systematic disagreement', () => {
+    const close = [review('s1', 'a', 2), review('s1', 'b', 3), review('s2', 'a', 8), review('s2', 'b', 9)];
+    // Observed disagreement 4 / 4 values, expected 296 / (4 × 3)
+    expect(getKrippendorffAlpha(close).alpha).toBeCloseTo(1 - 12 / 296, 10);
+    const opposite = [review('s1', 'a', 1), review('s1', 'b', 5), review('s2', 'a', 5), review('s2', 'b', 1)];
+    expect(getKrippendorffAlpha(opposite).alpha).toBeCloseTo(-0.5, 10);
+  });
+
+  it('counts only versions with two finished scores', () => {
+    const reviews = [
+      review('s1', 'a', 2),
+      review('s1', 'b', 4),
+      review('s1', 'c', 9, { submissionVersion: 2 }),
+      review('s2', 'a', 7),
+      review('s2', 'b', null, { status: 'assigned' }),
+    ];
+    expect(getKrippendorffAlpha(reviews).units).toBe(1);
+  });
+
+  it('has no alpha without comparable scores or when all scores are equal', () => {
+    expect(getKrippendorffAlpha([review('s1', 'a', 5)])).toEqual({ alpha: null, units: 0 });
+    expect(getKrippendorffAlpha([review('s1', 'a', 5), review('s1', 'b', 5)])).toEqual({ alpha: null, units: 1 });
+    expect(describeAlpha(null)).toBe('Nedostatek dat');
+    expect(describeAlpha(0.85)).toBe('Spolehlivá shoda');
+    expect(describeAlpha(0.7)).toBe('Přijatelná shoda');
+    expect(describeAlpha(0.2)).toBe('Nízká shoda');
+  });
+});
+
+describe('getReviewerBias', () => {
+  it('measures every reviewer against the mean of the others, the most biased first', () => {
+    const rows = getReviewerBias([review('s1', 'a', 8), review('s1', 'b', 6), review('s1', 'c', 4)]);
+    expect(rows).toEqual([
+      { reviewer: 'a', reviewCount: 1, meanScore: 8, meanDeviation: 3, outlier: false },
+      { reviewer: 'c', reviewCount: 1, meanScore: 4, meanDeviation: -3, outlier: false },
+      { reviewer: 'b', reviewCount: 1, meanScore: 6, meanDeviation: 0, outlier: false },
+    ]);
+    expect(getBiasMap(rows)).toEqual({ a: 3, b: 0, c: -3 });
+  });
+
+  it('leaves out reviews nobody else scored in the same version', () => {
+    const rows = getReviewerBias([
+      review('s1', 'a', 8),
+      review('s1', 'b', 6),
+      review('s1', 'c', 1, { submissionVersion: 2 }),
+      review('s2', 'a', 3),
+    ]);
+    expect(rows.map((row) => [row.reviewer, row.reviewCount])).toEqual([
+      ['a', 1],
+      ['b', 1],
+    ]);
+  });
+
+  it('flags reviewers far from the others once there are enough of them', () => {
+    const reviewers = ['a', 'b', 'c', 'd', 'e'];
+    const reviews = [...reviewers.map((reviewer) => review('s1', reviewer, 5)), review('s1', 'f', 10)];
+    const rows = getReviewerBias(reviews);
+    expect(rows[0]).toMatchObject({ reviewer: 'f', meanDeviation: 5, outlier: true });
+    expect(rows.slice(1).every((row) => !row.outlier && row.meanDeviation === -1)).toBe(true);
+    expect(getReviewerBias(reviews.slice(2)).some((row) => row.outlier)).toBe(false);
+  });
+});
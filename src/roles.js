@@ -0,0 +1,39 @@
+// Staff roles. Every staff member has a document in the `roles` collection
+// keyed by their lower-cased e-mail: { role, addedBy, addedAt }. Users
+// without a document are students. The same model is enforced by
+// firestore.rules, so the checks here only decide what the UI offers.
+
+export const ROLES = ['owner', 'teacher', 'ta'];
+
+export const ROLE_LABELS = {
+  owner: 'Správce',
+  teacher: 'Učitel',
+  ta: 'Asistent',
+  student: 'Student',
+};
+
+// Actions guarded by roles and the roles allowed to perform them
+const PERMISSIONS = {
+  viewAdmin: ['owner', 'teacher', 'ta'],
+  overrideReviews: ['owner', 'teacher', 'ta'],
+  exportData: ['owner', 'teacher', 'ta'],
+  manageAssignments: ['owner', 'teacher'],
+  deleteRecords: ['owner', 'teacher'],
+  deleteAllData: ['owner', 'teacher'],
+  manageStaff: ['owner', 'teacher'],
+};
+
+// Normalize an e-mail into the id of its roles document
+export const roleDocId = (email) => (email || '').trim().toLowerCase();
+
+// Whether the role (null for students) may perform the action
+export const hasPermission = (role, permission) =>
+  Boolean(role) && (PERMISSIONS[permission] || []).includes(role);
+
+// Roles the actor may grant or revoke: owners manage everybody, teachers
+// only manage teaching assistants
+export const getManageableRoles = (actorRole) => {
+  if (actorRole === 'owner') return ROLES;
+  if (actorRole === 'teacher') return ['ta'];
+  return [];
+};
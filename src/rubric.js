@@ -0,0 +1,42 @@
+// Helpers for rubric-based scoring. A rubric is an ordered list of
+// criteria stored on the assignment document:
+//   { id, name, maxPoints, descriptors }
+// A review graded against a rubric stores the points and comment for each
+// criterion in a map keyed by criterion id:
+//   criteria: { [criterionId]: { score, comment } }
+// The review's `score` field always holds the computed total so that
+// everything that only understands a single score keeps working.
+
+// Generate a short id for a new criterion. Ids only need to be unique
+// within one rubric, and keep reviews attached to a criterion when it is
+// renamed.
+export const createCriterionId = () =>
+  `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// True when the assignment is graded against a rubric
+export const hasRubric = (assignment) =>
+  Boolean(assignment && Array.isArray(assignment.rubric) && assignment.rubric.length > 0);
+
+// Maximum total attainable with the given rubric
+export const getRubricMaxScore = (rubric) =>
+  rubric.reduce((sum, criterion) => sum + (Number(criterion.maxPoints) || 0), 0);
+
+// Sum the points awarded per criterion. Criteria without a score count as 0.
+export const computeRubricTotal = (rubric, criteria) =>
+  rubric.reduce((sum, criterion) => {
+    const entry = criteria && criteria[criterion.id];
+    return sum + (entry && entry.score !== null ? Number(entry.score) || 0 : 0);
+  }, 0);
+
+// List the per-criterion results of a review in rubric order. Criteria the
+// review has no entry for are skipped.
+export const getCriteriaBreakdown = (rubric, criteria) =>
+  (rubric || [])
+    .filter((criterion) => criteria && criteria[criterion.id])
+    .map((criterion) => ({
+      id: criterion.id,
+      name: criterion.name,
+      maxPoints: criterion.maxPoints,
+      score: criteria[criterion.id].score,
+      comment: criteria[criterion.id].comment || '',
+    }));
@@ -0,0 +1,6 @@
+import { ReadableStream } from 'stream/web';
+
+// The Node.js build of the Firebase SDK (loaded by the emulator tests)
+// needs the web streams that Node.js has but the Jest environments do not
+// expose
+Object.assign(global, { ReadableStream });
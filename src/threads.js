@@ -0,0 +1,25 @@
+// Discussion threads on reviews. Messages live in the `messages`
+// subcollection of a review and carry the role of their sender instead of
+// an e-mail, so a thread never reveals more than the assignment's anonymity
+// allows; only staff messages name their sender. The review keeps
+// `lastMessageAt` and `lastMessageBy` (a role) so unread threads can be
+// spotted without loading them. When a user last read each thread is
+// remembered in the browser.
+
+export const THREAD_MESSAGE_MAX_LENGTH = 2000;
+
+// Path of the messages collection of a review
+export const threadCollection = (reviewId) => `reviews/${reviewId}/messages`;
+
+// Role the user writes in on the thread of the review: 'reviewer',
+// 'author', 'staff' or null when they may not take part
+export const getThreadRole = (review, email, isStaff) => {
+  if (review.reviewer === email) return 'reviewer';
+  if (review.submissionAuthor === email) return 'author';
+  return isStaff ? 'staff' : null;
+};
+
+// Whether the thread has a message from somebody else newer than readAt
+// (the lastMessageAt seen when the user last opened it)
+export const isThreadUnread = (review, role, readAt) =>
+  Boolean(review.lastMessageAt) && review.lastMessageBy !== role && (!readAt || review.lastMessageAt > readAt);
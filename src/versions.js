@@ -0,0 +1,29 @@
+// Submission versions. A revised work keeps the id of the submission: the
+// replaced link and date move to its `versions` list and the new version
+// starts a fresh review round. Reviews remember the version they were
+// written for in `submissionVersion`; documents from before versioning
+// count as version 1.
+
+export const getSubmissionVersion = (submission) => submission.version || 1;
+
+export const getReviewVersion = (review) => review.submissionVersion || 1;
+
+// Whether the review belongs to the current version of the submission
+export const isCurrentVersionReview = (review, submission) =>
+  review.submissionId === submission.id && getReviewVersion(review) === getSubmissionVersion(submission);
+
+// Every version of a submission, oldest first: [{ version, link, submissionDate }]
+export const getVersionHistory = (submission) => [
+  ...(submission.versions || []),
+  { version: getSubmissionVersion(submission), link: submission.link, submissionDate: submission.submissionDate },
+];
+
+// Reviews of a submission grouped by version, newest version first:
+// [{ version, link, submissionDate, reviews }]
+export const groupReviewsByVersion = (submission, reviews) =>
+  getVersionHistory(submission)
+    .map((entry) => ({
+      ...entry,
+      reviews: reviews.filter((r) => r.submissionId === submission.id && getReviewVersion(r) === entry.version),
+    }))
+    .reverse();